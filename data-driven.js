@@ -0,0 +1,237 @@
+// ============================================
+// DATA-DRIVEN RUNS
+// Treats a CSV or JSON input file as rows and
+// runs the suite once per row, with the row's
+// fields bound as variables. Each row is
+// reported as its own sub-result.
+// ============================================
+
+// Suite data_driven Structure
+/*
+{
+  enabled: true,
+  file: "users.csv"   // input file with the rows; empty = first .csv/.json input file
+}
+
+Row fields are passed as parameters (os.environ, Robot ${var}, {{var}}
+placeholders, VWT step values) and, for Python, as globals.
+*/
+
+const DATA_DRIVEN_MAX_ROWS = 500;
+
+/**
+ * @param {Object} suite
+ * @returns {{file: string}|null} The data source when data-driven mode is on
+ */
+function getSuiteDataSource(suite) {
+  const config = suite && suite.data_driven;
+  if (!config || !config.enabled) return null;
+  return { file: (config.file || '').trim() };
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting).
+ */
+function parseCsvCells(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines are not rows
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses the rows of a data file. CSV needs a header line; JSON must be an
+ * array of objects (plain values become {value: ...}).
+ * @param {string} text
+ * @param {string} filename - The extension decides the format
+ * @returns {Array<Object>}
+ */
+function parseDataRows(text, filename) {
+  if (/\.json$/i.test(filename)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${filename} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) throw new Error(`${filename} must contain a JSON array of rows`);
+    return data.map(item => (item && typeof item === 'object' && !Array.isArray(item) ? item : { value: item }));
+  }
+
+  const [header, ...lines] = parseCsvCells(text);
+  if (!header) return [];
+  const fields = header.map(name => name.trim());
+  return lines.map(cells => {
+    const row = {};
+    fields.forEach((field, index) => {
+      if (field) row[field] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return row;
+  });
+}
+
+/**
+ * Finds the data file among the prepared input files and parses it.
+ * @param {{file: string}} source - Result of getSuiteDataSource()
+ * @param {Array} preparedFiles - Result of prepareInputFiles()
+ * @returns {{file: string, rows: Array<Object>}}
+ */
+function loadDataRows(source, preparedFiles) {
+  const file = source.file
+    ? preparedFiles.find(f => f.path === normalizeInputFilePath(source.file))
+    : preparedFiles.find(f => /\.(csv|json)$/i.test(f.path));
+  if (!file) {
+    throw new Error(source.file
+      ? `Data-driven mode: input file "${source.file}" not found`
+      : 'Data-driven mode needs a .csv or .json input file');
+  }
+  if (file.binary) throw new Error(`Data-driven mode: ${file.path} is a binary file`);
+
+  const rows = parseDataRows(new TextDecoder().decode(file.bytes), file.path);
+  if (rows.length === 0) throw new Error(`Data-driven mode: ${file.path} has no rows`);
+  if (rows.length > DATA_DRIVEN_MAX_ROWS) {
+    throw new Error(`Data-driven mode: ${file.path} has ${rows.length} rows - the limit is ${DATA_DRIVEN_MAX_ROWS}`);
+  }
+  return { file: file.path, rows };
+}
+
+/**
+ * Row values as strings, ready to merge into the parameter map.
+ */
+function getDataRowParameters(row) {
+  const parameters = {};
+  Object.entries(row).forEach(([key, value]) => {
+    parameters[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+  return parameters;
+}
+
+function formatDataRowLabel(row) {
+  const label = Object.entries(row).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`).join(', ');
+  return label.length > 80 ? `${label.slice(0, 77)}...` : label;
+}
+
+/**
+ * Runs the rows one after another and combines them into one executor-style
+ * result, with the per-row outcome in result.rows.
+ * @param {{file: string, rows: Array<Object>}} data - Result of loadDataRows()
+ * @param {Object} options
+ * @param {Function} options.execute - (row, onOutput) => Promise<executor result>
+ * @param {Function} options.evaluate - executor result => {status: 'SUCCESS'|'FAILURE', error?: string},
+ *   error says why the row failed
+ * @param {Function} [options.onOutput] - Called with (stream, line)
+ * @returns {Promise<{success: boolean, output: string, error: string|null, exitCode: number, rows: Array}>}
+ */
+async function runDataDrivenRows(data, { execute, evaluate, onOutput = null }) {
+  const rowResults = [];
+  const outputSections = [];
+
+  for (let index = 0; index < data.rows.length; index++) {
+    const row = data.rows[index];
+    const label = formatDataRowLabel(row);
+    const header = `--- ROW ${index + 1}/${data.rows.length}: ${label} ---`;
+    if (onOutput) onOutput('stdout', header);
+
+    const lines = [];
+    const started = Date.now();
+    let result;
+    try {
+      result = await execute(row, (stream, line) => {
+        lines.push(line);
+        if (onOutput) onOutput(stream, line);
+      });
+    } catch (error) {
+      // Aborts end the whole run, other errors only fail the row
+      if (isAbortError(error)) throw error;
+      result = { success: false, output: '', error: error.message };
+    }
+
+    const { status, error } = evaluate(result);
+    rowResults.push({
+      index: index + 1,
+      label,
+      status,
+      error: status === 'SUCCESS' ? null : (error || result.error || 'Failed'),
+      duration: parseFloat(((Date.now() - started) / 1000).toFixed(2))
+    });
+    outputSections.push([header, ...(lines.length > 0 ? lines : (result.output || '').split('\n').filter(Boolean))].join('\n'));
+  }
+
+  const failed = rowResults.filter(row => row.status !== 'SUCCESS');
+  return {
+    success: failed.length === 0,
+    output: outputSections.join('\n'),
+    error: failed.length === 0 ? null : `${failed.length} of ${rowResults.length} row(s) failed: ${failed.map(row => `row ${row.index}`).join(', ')}`,
+    exitCode: failed.length === 0 ? 0 : 1,
+    rows: rowResults
+  };
+}
+
+/**
+ * Log section with one line per row.
+ */
+function formatDataRowsLog(rowResults) {
+  const passed = rowResults.filter(row => row.status === 'SUCCESS').length;
+  let text = `[ROWS] ${passed}/${rowResults.length} passed\n`;
+  rowResults.forEach(row => {
+    text += row.status === 'SUCCESS'
+      ? `  PASSED row ${row.index} (${row.label})\n`
+      : `  FAILED row ${row.index} (${row.label}): ${firstLine(row.error)}\n`;
+  });
+  return text;
+}
+
+// ============================================
+// SUITE EDITOR
+// ============================================
+
+function loadDataDrivenIntoForm(config) {
+  const value = config || {};
+  const enabled = document.getElementById('data_driven_enabled');
+  const file = document.getElementById('data_driven_file');
+  if (enabled) enabled.checked = !!value.enabled;
+  if (file) file.value = value.file || '';
+}
+
+/**
+ * @returns {Object|null} The data_driven config to store on the suite
+ */
+function getDataDrivenFromForm() {
+  const enabled = document.getElementById('data_driven_enabled');
+  const file = document.getElementById('data_driven_file');
+  if (!enabled || !enabled.checked) return null;
+  return { enabled: true, file: file ? file.value.trim() : '' };
+}
@@ -0,0 +1,425 @@
+// ============================================
+// EXECUTION QUEUE
+// Runs suites through a shared job queue with a
+// concurrency limit per runtime, so bulk runs do
+// not fight over Pyodide or the run modal.
+// ============================================
+
+// Job Structure
+/*
+{
+  id: "job-timestamp-random",
+  suiteId: "suite-id",
+  suiteName: "Name at enqueue time",
+  runtime: "pyodide|jdoodle|runner|javascript|backend|vwt|browser|simulated",
+  source: "bulk|schedule|pipeline|matrix|manual",
+  parameters: { ENV: "staging" },  // overrides for this run (matrix combination), or null
+  showModal: false,         // manual runs show their log in the run modal
+  status: "QUEUED|RUNNING|SUCCESS|FAILURE|ABORTED|CANCELLED",
+  enqueuedAt: "ISO timestamp",
+  startedAt: "ISO timestamp",
+  finishedAt: "ISO timestamp",
+  duration: 1.23,           // seconds
+  buildNumber: 42,
+  log: "live / final run log",
+  result: { tests, rows, robotTree, artifacts },  // details of the finished run, for the log modal
+  promise: Promise          // resolves with the runTestSuite() result (or null)
+}
+*/
+
+const EXECUTION_RUNTIMES = {
+  pyodide: { label: 'Pyodide (Python, Robot in browser)', defaultConcurrency: 1, fixed: true },
+  jdoodle: { label: 'JDoodle (Java, C#)', defaultConcurrency: 3 },
+  runner: { label: 'Local runner (Java, C#)', defaultConcurrency: 2 },
+  javascript: { label: 'JavaScript sandbox (JS, TS)', defaultConcurrency: 2 },
+  backend: { label: 'Robot backend / API', defaultConcurrency: 3 },
+  vwt: { label: 'Visual Web Tester', defaultConcurrency: 2 },
+  browser: { label: 'Website integration', defaultConcurrency: 2 },
+  simulated: { label: 'Simulated runs', defaultConcurrency: 4 }
+};
+
+// Finished jobs kept in the panel
+const EXECUTION_QUEUE_MAX_FINISHED = 50;
+
+/**
+ * Picks the runtime a suite will execute on with the current settings.
+ * @param {Object} suite
+ * @returns {string} One of the EXECUTION_RUNTIMES keys
+ */
+function getSuiteRuntime(suite) {
+  if (suite.language === 'website' && suite.website_method === 'upload') return 'vwt';
+  if (executionConfig.mode !== 'real') return 'simulated';
+
+  // Each executor names its runtime (see executor-registry.js)
+  const runtime = getExecutorRuntime(suite);
+  return EXECUTION_RUNTIMES[runtime] ? runtime : 'browser';
+}
+
+class ExecutionQueue {
+  constructor() {
+    this.CONFIG_KEY = 'execution_queue_config';
+    this.jobs = [];
+    this.runningCounts = {};
+    this.listeners = [];
+  }
+
+  /**
+   * Concurrency limit per runtime. Pyodide is always 1 - it is a single
+   * shared interpreter.
+   * @returns {Object<string, number>}
+   */
+  getConcurrencyConfig() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.CONFIG_KEY) || '{}');
+    } catch (error) {
+      saved = {};
+    }
+
+    const config = {};
+    Object.entries(EXECUTION_RUNTIMES).forEach(([runtime, info]) => {
+      const value = parseInt(saved[runtime], 10);
+      config[runtime] = info.fixed || !(value >= 1) ? info.defaultConcurrency : value;
+    });
+    return config;
+  }
+
+  saveConcurrencyConfig(config) {
+    localStorage.setItem(this.CONFIG_KEY, JSON.stringify(config));
+    this._pump();
+  }
+
+  /**
+   * Adds a suite run to the queue.
+   * @param {string} suiteId
+   * @param {Object} [options]
+   * @param {string} [options.source='manual'] - What queued the job (shown in the panel)
+   * @param {Object} [options.parameters] - Parameter values that override the suite's
+   * @param {boolean} [options.showModal=false] - Show the run in the run modal once it starts
+   * @returns {Object|null} The job, or null when the suite does not exist
+   */
+  enqueue(suiteId, { source = 'manual', parameters = null, showModal = false } = {}) {
+    const suite = testSuites.find(s => s.id === suiteId);
+    if (!suite) return null;
+
+    const job = {
+      id: this._generateId(),
+      suiteId,
+      suiteName: suite.name,
+      runtime: getSuiteRuntime(suite),
+      source,
+      parameters,
+      showModal,
+      status: 'QUEUED',
+      enqueuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      duration: null,
+      buildNumber: null,
+      log: ''
+    };
+    job.promise = new Promise(resolve => { job._resolve = resolve; });
+
+    this.jobs.push(job);
+    this._notify();
+    this._pump();
+    return job;
+  }
+
+  /**
+   * Cancels a job. Queued jobs are dropped, running jobs are aborted and
+   * finish with the ABORTED status.
+   * @returns {boolean} Whether the job was cancelled
+   */
+  cancel(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job) return false;
+
+    if (job.status === 'RUNNING') {
+      job.controller.abort(createAbortError('Cancelled from the execution queue'));
+      return true;
+    }
+    if (job.status !== 'QUEUED') return false;
+
+    job.status = 'CANCELLED';
+    job.finishedAt = new Date().toISOString();
+    job._resolve(null);
+    this._notify();
+    return true;
+  }
+
+  cancelAllQueued() {
+    return this.jobs.filter(j => j.status === 'QUEUED').map(j => this.cancel(j.id)).filter(Boolean).length;
+  }
+
+  clearFinished() {
+    this.jobs = this.jobs.filter(j => j.status === 'QUEUED' || j.status === 'RUNNING');
+    this._notify();
+  }
+
+  getJob(jobId) {
+    return this.jobs.find(j => j.id === jobId) || null;
+  }
+
+  getActiveCount() {
+    return this.jobs.filter(j => j.status === 'QUEUED' || j.status === 'RUNNING').length;
+  }
+
+  /**
+   * Registers a callback invoked whenever a job changes.
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  _pump() {
+    const config = this.getConcurrencyConfig();
+    this.jobs
+      .filter(j => j.status === 'QUEUED')
+      .forEach(job => {
+        if ((this.runningCounts[job.runtime] || 0) < config[job.runtime]) {
+          this._runJob(job);
+        }
+      });
+  }
+
+  async _runJob(job) {
+    job.status = 'RUNNING';
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+    this.runningCounts[job.runtime] = (this.runningCounts[job.runtime] || 0) + 1;
+    this._notify(job);
+
+    let result = null;
+    try {
+      result = await runTestSuite(job.suiteId, {
+        showModal: job.showModal,
+        signal: job.controller.signal,
+        parameters: job.parameters,
+        onLog: (text) => {
+          job.log = text;
+          this._notify(job, 'log');
+        }
+      });
+    } catch (error) {
+      console.error(`Queued run of ${job.suiteName} crashed:`, error);
+      job.log += `\n[ERROR] ${error.message}\n`;
+    }
+
+    this.runningCounts[job.runtime]--;
+    job.finishedAt = new Date().toISOString();
+    job.duration = (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000;
+    // runTestSuite returns nothing when the suite no longer exists
+    job.status = result && (result.status === 'SUCCESS' || result.status === RUN_STATUS_ABORTED) ? result.status : 'FAILURE';
+    if (result) {
+      job.log = result.log || job.log;
+      job.buildNumber = result.buildNumber || null;
+      job.result = { duration: result.duration, timestamp: job.startedAt, tests: result.tests || null, rows: result.rows || null, robotTree: result.robotTree || null, artifacts: result.artifacts || null };
+    }
+
+    this._trimFinished();
+    job._resolve(result);
+    this._notify(job);
+    this._pump();
+  }
+
+  _trimFinished() {
+    const finished = this.jobs.filter(j => j.status !== 'QUEUED' && j.status !== 'RUNNING');
+    const excess = finished.length - EXECUTION_QUEUE_MAX_FINISHED;
+    if (excess > 0) {
+      const dropped = new Set(finished.slice(0, excess).map(j => j.id));
+      this.jobs = this.jobs.filter(j => !dropped.has(j.id));
+    }
+  }
+
+  /**
+   * @param {Object} [job] - The job that changed
+   * @param {string} [change] - 'log' when only the job's live log grew
+   */
+  _notify(job = null, change = null) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(job, change);
+      } catch (error) {
+        console.error('Execution queue listener failed:', error);
+      }
+    });
+  }
+
+  _generateId() {
+    return 'job-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+const executionQueue = new ExecutionQueue();
+
+// ============================================
+// QUEUE PANEL
+// ============================================
+
+let executionQueueRenderPending = false;
+
+executionQueue.onChange((job, change) => {
+  // Keep an open job log following the run
+  if (job && currentLogData && currentLogData.jobId === job.id &&
+      !document.getElementById('run-modal').classList.contains('hidden')) {
+    showExecutionQueueJobLog(job.id);
+  }
+  // The panel does not show logs
+  if (change === 'log') return;
+
+  updateExecutionQueueBadge();
+  // Several jobs can change in one frame - redraw at most once per frame
+  if (!executionQueueRenderPending && !document.getElementById('execution-queue-modal').classList.contains('hidden')) {
+    executionQueueRenderPending = true;
+    requestAnimationFrame(() => {
+      executionQueueRenderPending = false;
+      renderExecutionQueue();
+    });
+  }
+});
+
+function openExecutionQueue() {
+  const config = executionQueue.getConcurrencyConfig();
+  document.getElementById('execution-queue-concurrency').innerHTML = Object.entries(EXECUTION_RUNTIMES).map(([runtime, info]) => `
+    <label class="flex items-center justify-between gap-2">
+      <span>${escapeHtml(info.label)}</span>
+      <input type="number" min="1" max="20" data-runtime="${runtime}" value="${config[runtime]}"
+        class="w-16 aero-input p-1 rounded queue-concurrency-input" ${info.fixed ? 'disabled title="Pyodide runs one job at a time"' : ''}>
+    </label>
+  `).join('');
+
+  document.getElementById('execution-queue-modal').classList.remove('hidden');
+  renderExecutionQueue();
+}
+
+function closeExecutionQueue() {
+  document.getElementById('execution-queue-modal').classList.add('hidden');
+}
+
+function saveExecutionQueueConcurrency() {
+  const config = {};
+  document.querySelectorAll('#execution-queue-concurrency .queue-concurrency-input').forEach(input => {
+    config[input.dataset.runtime] = Math.max(1, parseInt(input.value, 10) || 1);
+  });
+  executionQueue.saveConcurrencyConfig(config);
+  showMessage('Concurrency limits saved', 'success');
+}
+
+function getQueueJobStatusBadge(status) {
+  const badges = {
+    'QUEUED': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #E0E0E0 0%, #BDBDBD 100%); color: #424242;">● QUEUED</span>',
+    'RUNNING': '<span class="aero-badge-info text-xs">● RUNNING</span>',
+    'SUCCESS': '<span class="aero-badge-success text-xs">✓ SUCCESS</span>',
+    'FAILURE': '<span class="aero-badge-error text-xs">✗ FAILURE</span>',
+    'ABORTED': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #FFE0B2 0%, #FFB74D 100%); color: #5D4037;">■ ABORTED</span>',
+    'CANCELLED': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #E0E0E0 0%, #BDBDBD 100%); color: #424242;">⊘ CANCELLED</span>'
+  };
+  return badges[status] || badges['QUEUED'];
+}
+
+function renderExecutionQueue() {
+  const container = document.getElementById('execution-queue-list');
+  if (!container) return;
+
+  const runningByRuntime = Object.keys(EXECUTION_RUNTIMES)
+    .filter(runtime => executionQueue.runningCounts[runtime] > 0)
+    .map(runtime => `${EXECUTION_RUNTIMES[runtime].label}: ${executionQueue.runningCounts[runtime]}`);
+  document.getElementById('execution-queue-summary').textContent = runningByRuntime.length > 0
+    ? `Running - ${runningByRuntime.join(' · ')}`
+    : 'Idle';
+
+  if (executionQueue.jobs.length === 0) {
+    container.innerHTML = '<p class="text-sm aero-text-muted">No jobs. Bulk runs, schedules and pipelines are queued here.</p>';
+    return;
+  }
+
+  // Running and queued jobs in queue order, then the most recently finished
+  const rankOf = (job) => job.status === 'RUNNING' ? 0 : job.status === 'QUEUED' ? 1 : 2;
+  const jobs = [...executionQueue.jobs].sort((a, b) => {
+    const rank = rankOf(a) - rankOf(b);
+    if (rank !== 0) return rank;
+    return rankOf(a) < 2
+      ? a.enqueuedAt.localeCompare(b.enqueuedAt)
+      : (b.finishedAt || '').localeCompare(a.finishedAt || '');
+  });
+
+  container.innerHTML = jobs.map(job => `
+    <div class="aero-card p-3 rounded-lg flex items-center gap-3">
+      <div class="flex-1 min-w-0">
+        <div class="flex items-center gap-2">
+          <span class="font-semibold text-sm aero-text-primary truncate">${escapeHtml(job.suiteName)}${job.buildNumber ? ` #${job.buildNumber}` : ''}</span>
+          ${getQueueJobStatusBadge(job.status)}
+        </div>
+        <div class="text-xs aero-text-muted">
+          ${escapeHtml(EXECUTION_RUNTIMES[job.runtime].label)} · ${escapeHtml(job.source)} ·
+          ${job.parameters ? `${escapeHtml(formatMatrixCombination(job.parameters))} ·` : ''}
+          ${job.duration !== null ? `${job.duration.toFixed(2)}s` : `queued ${new Date(job.enqueuedAt).toLocaleTimeString()}`}
+        </div>
+      </div>
+      ${job.status !== 'QUEUED' && job.status !== 'CANCELLED' ? `
+        <button onclick="showExecutionQueueJobLog('${job.id}')" class="aero-button-info text-xs py-1 px-2 rounded">Log</button>
+      ` : ''}
+      ${job.status === 'QUEUED' || job.status === 'RUNNING' ? `
+        <button onclick="executionQueue.cancel('${job.id}')" class="aero-button-danger text-xs py-1 px-2 rounded">Cancel</button>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+function showExecutionQueueJobLog(jobId) {
+  const job = executionQueue.getJob(jobId);
+  if (!job) return;
+
+  const suite = testSuites.find(s => s.id === job.suiteId) || { id: job.suiteId, name: job.suiteName };
+  showRunLogInModal(suite, job.log || '(waiting for output)', job.status, job.buildNumber, 'suite', job.result || null);
+  currentLogData.jobId = jobId;
+}
+
+/**
+ * Run button of a suite card. Manual runs are queued like all others, so
+ * they keep to the concurrency limits and the one-at-a-time Pyodide runtime.
+ * @returns {Object|null} The job
+ */
+function runSuiteManually(suiteId) {
+  const job = executionQueue.enqueue(suiteId, { source: 'manual', showModal: true });
+  if (!job) {
+    showMessage('Suite not found', 'error');
+    return null;
+  }
+  // A job that could start right away already took over the run modal
+  if (job.status !== 'QUEUED') return job;
+
+  const waitingControl = { abort: () => executionQueue.cancel(job.id) };
+  document.getElementById('run-modal').classList.remove('hidden');
+  document.getElementById('run-modal-title').textContent = job.suiteName;
+  document.getElementById('run-modal-content').textContent = 'Waiting in the execution queue...';
+  document.getElementById('run-status-indicator').innerHTML = '<span class="text-yellow-400">Queued</span>';
+  renderRunDiffPanel(null);
+  renderRobotResultPanel(null);
+  renderRunArtifacts(null);
+  setRunPermalinkButton(null);
+  setModalRunControl(waitingControl);
+  currentLogData = { log: '', status: 'QUEUED', permalink: null, run: {} };
+
+  job.promise.then(() => {
+    if (job.status !== 'CANCELLED' || currentModalRunControl !== waitingControl) return;
+    setModalRunControl(null);
+    document.getElementById('run-modal-content').textContent = 'Cancelled before it started.';
+    document.getElementById('run-status-indicator').innerHTML = '<span class="text-yellow-400">Cancelled</span>';
+  });
+  return job;
+}
+
+function cancelAllQueuedJobs() {
+  const count = executionQueue.cancelAllQueued();
+  showMessage(count > 0 ? `Cancelled ${count} queued job(s)` : 'No queued jobs to cancel', 'info');
+}
+
+function updateExecutionQueueBadge() {
+  const badge = document.getElementById('execution-queue-badge');
+  if (!badge) return;
+  const active = executionQueue.getActiveCount();
+  badge.textContent = active;
+  badge.classList.toggle('hidden', active === 0);
+}
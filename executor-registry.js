@@ -0,0 +1,332 @@
+// ============================================
+// EXECUTOR REGISTRY
+// Suite languages and how to run them. Drives
+// the language dropdowns, the Monaco language,
+// execution settings and dispatch in
+// runTestSuite().
+// ============================================
+
+/* Executor definition
+
+   registerExecutor({
+     id: 'bash',                      // stored as suite.language
+     label: 'Bash (WASM)',            // shown in the dropdowns
+     monacoLanguage: 'shell',         // Monaco language id (default: plaintext)
+     runtime: 'browser',              // EXECUTION_RUNTIMES key or function(suite, settings) -> key
+     validate(suite, settings) {      // optional, returns an error message or null
+       return suite.code ? null : 'Script is empty';
+     },
+     supportsHooks: true,             // false if execute() ignores context.code (see suite-hooks.js)
+     settingsSchema: [                // optional, rendered in Execution Settings
+       { key: 'shellUrl', label: 'Shell WASM URL', type: 'text', default: '', help: '...' }
+     ],
+     async execute(context) {
+       // context: { suite, code, inputFiles, parameters, variables, settings, signal, onOutput, log }
+       //   variables  fields of the current data-driven row (see data-driven.js), or null
+       //   log(line)  adds an [INFO]-style line to the run log
+       return { success: true, output: '...', error: null };
+     }
+   });
+
+   Setting types: text, password, number, textarea, checkbox, select (with options: [{value, label}]).
+   Values are stored in executionConfig.executorSettings[id][key].
+*/
+
+const executorRegistry = new Map();
+
+/**
+ * Adds (or replaces) a suite language.
+ * @param {Object} executor - See the definition above
+ * @returns {Object} The registered executor
+ */
+function registerExecutor(executor) {
+  if (!executor || !executor.id || typeof executor.execute !== 'function') {
+    throw new Error('registerExecutor() needs at least an id and an execute function');
+  }
+
+  const definition = {
+    label: executor.id,
+    monacoLanguage: 'plaintext',
+    runtime: 'browser',
+    validate: null,
+    supportsHooks: true,
+    settingsSchema: [],
+    ...executor
+  };
+  executorRegistry.set(definition.id, definition);
+
+  // Executors registered after page load show up immediately
+  if (document.readyState !== 'loading') populateLanguageSelects();
+  return definition;
+}
+
+/**
+ * @param {string} id - Suite language
+ * @returns {Object|null}
+ */
+function getExecutor(id) {
+  return executorRegistry.get(id) || null;
+}
+
+/**
+ * @returns {Array<Object>} Executors in registration order
+ */
+function listExecutors() {
+  return Array.from(executorRegistry.values());
+}
+
+/**
+ * Saved settings of an executor merged over the schema defaults.
+ */
+function getExecutorSettings(id) {
+  const executor = getExecutor(id);
+  const saved = (executionConfig && executionConfig.executorSettings && executionConfig.executorSettings[id]) || {};
+  const settings = {};
+  (executor ? executor.settingsSchema : []).forEach(field => {
+    settings[field.key] = Object.prototype.hasOwnProperty.call(saved, field.key) ? saved[field.key] : field.default;
+  });
+  return { ...saved, ...settings };
+}
+
+/**
+ * Monaco language for a suite language.
+ */
+function getExecutorMonacoLanguage(id) {
+  const executor = getExecutor(id);
+  return executor ? executor.monacoLanguage : 'plaintext';
+}
+
+/**
+ * Runtime (EXECUTION_RUNTIMES key) the executor uses for a suite.
+ */
+function getExecutorRuntime(suite) {
+  const executor = getExecutor(suite.language);
+  if (!executor) return 'browser';
+  return typeof executor.runtime === 'function'
+    ? executor.runtime(suite, getExecutorSettings(executor.id))
+    : executor.runtime;
+}
+
+/**
+ * Runs the executor's validate() hook.
+ * @returns {string|null} Error message
+ */
+function validateSuiteForExecutor(suite) {
+  const executor = getExecutor(suite.language);
+  if (!executor) return `Unsupported language: ${suite.language}`;
+  if (!executor.validate) return null;
+  return executor.validate(suite, getExecutorSettings(executor.id)) || null;
+}
+
+// ============================================
+// UI
+// ============================================
+
+/**
+ * Fills the suite editor language dropdown and the language filter.
+ */
+function populateLanguageSelects() {
+  const options = listExecutors()
+    .map(executor => `<option value="${escapeHtml(executor.id)}">${escapeHtml(executor.label)}</option>`)
+    .join('');
+
+  const languageSelect = document.getElementById('suite_language');
+  if (languageSelect) {
+    const current = languageSelect.value;
+    languageSelect.innerHTML = options;
+    if (current && getExecutor(current)) languageSelect.value = current;
+  }
+
+  const filterSelect = document.getElementById('language-filter');
+  if (filterSelect) {
+    const current = filterSelect.value;
+    filterSelect.innerHTML = `<option value="">All Languages</option>${options}`;
+    filterSelect.value = current && getExecutor(current) ? current : '';
+  }
+}
+
+function getExecutorSettingElementId(executorId, key) {
+  return `executor-setting-${executorId}-${key}`;
+}
+
+/**
+ * Renders the settingsSchema fields of all executors into the execution
+ * settings modal.
+ */
+function renderExecutorSettings() {
+  const container = document.getElementById('executor-settings-container');
+  if (!container) return;
+
+  const configurable = listExecutors().filter(executor => executor.settingsSchema.length > 0);
+  container.innerHTML = configurable.map(executor => {
+    const settings = getExecutorSettings(executor.id);
+    const fields = executor.settingsSchema.map(field => {
+      const elementId = getExecutorSettingElementId(executor.id, field.key);
+      const value = settings[field.key] === undefined || settings[field.key] === null ? '' : settings[field.key];
+      const help = field.help ? `<p class="text-xs aero-text-muted mt-1">${escapeHtml(field.help)}</p>` : '';
+      let input;
+
+      if (field.type === 'checkbox') {
+        return `
+          <label class="flex items-center mb-2">
+            <input type="checkbox" id="${elementId}" ${value ? 'checked' : ''} class="mr-2">
+            <span class="text-sm">${escapeHtml(field.label || field.key)}</span>
+          </label>${help}`;
+      } else if (field.type === 'select') {
+        input = `<select id="${elementId}" class="w-full aero-input p-2 rounded text-sm">
+            ${(field.options || []).map(option => `<option value="${escapeHtml(String(option.value))}" ${String(option.value) === String(value) ? 'selected' : ''}>${escapeHtml(option.label || String(option.value))}</option>`).join('')}
+          </select>`;
+      } else if (field.type === 'textarea') {
+        input = `<textarea id="${elementId}" rows="3" class="w-full aero-glass-panel border border-blue-300 aero-text-primary p-2 rounded text-sm font-mono">${escapeHtml(String(value))}</textarea>`;
+      } else {
+        const type = ['password', 'number'].includes(field.type) ? field.type : 'text';
+        input = `<input type="${type}" id="${elementId}" value="${escapeHtml(String(value))}" placeholder="${escapeHtml(field.placeholder || '')}"
+            class="w-full aero-glass-panel border border-blue-300 aero-text-primary p-2 rounded text-sm">`;
+      }
+
+      return `
+        <div class="mb-2">
+          <label for="${elementId}" class="block text-xs aero-text-muted mb-1">${escapeHtml(field.label || field.key)}</label>
+          ${input}${help}
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="mb-6 p-4 aero-modal rounded-lg border aero-divider">
+        <h4 class="font-semibold aero-text-primary mb-3">${escapeHtml(executor.label)} Execution</h4>
+        ${fields}
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Reads the rendered settings fields back into executionConfig.
+ */
+function saveExecutorSettingsFromForm() {
+  const allSettings = executionConfig.executorSettings || {};
+
+  listExecutors().filter(executor => executor.settingsSchema.length > 0).forEach(executor => {
+    const settings = { ...(allSettings[executor.id] || {}) };
+    executor.settingsSchema.forEach(field => {
+      const element = document.getElementById(getExecutorSettingElementId(executor.id, field.key));
+      if (!element) return;
+      if (field.type === 'checkbox') settings[field.key] = element.checked;
+      else if (field.type === 'number') settings[field.key] = element.value === '' ? null : Number(element.value);
+      else settings[field.key] = element.value;
+    });
+    allSettings[executor.id] = settings;
+  });
+
+  executionConfig.executorSettings = allSettings;
+}
+
+document.addEventListener('DOMContentLoaded', populateLanguageSelects);
+
+// ============================================
+// BUILT-IN EXECUTORS
+// ============================================
+
+registerExecutor({
+  id: 'python',
+  label: 'Python',
+  monacoLanguage: 'python',
+  runtime: 'pyodide',
+  async execute({ suite, code, inputFiles, parameters, variables, signal, onOutput, log }) {
+    log('[INFO] Initializing Python (Pyodide)...');
+    if (parsePythonRequirements(suite.requirements).requirements.length > 0) {
+      log('[INFO] Installing requirements...');
+    }
+    const result = await executePythonCode(code, inputFiles, parameters, signal, onOutput, suite.requirements || '', variables || {});
+    if (result.packages && result.packages.length > 0) log(formatInstalledPackages(result.packages));
+    // pytest.main() returns instead of raising, its JUnit report has the verdict
+    const failedTests = (result.tests || []).filter(test => test.status === 'FAILURE' || test.status === 'ERROR');
+    if (result.success && failedTests.length > 0) {
+      result.success = false;
+      result.error = `${failedTests.length} of ${result.tests.length} test(s) failed: ${failedTests.map(test => test.name).join(', ')}`;
+    }
+    return result;
+  }
+});
+
+registerExecutor({
+  id: 'java',
+  label: 'Java',
+  monacoLanguage: 'java',
+  runtime: () => !executionConfig.javaType || executionConfig.javaType === 'jdoodle' ? 'jdoodle' : 'runner',
+  execute({ suite, code, inputFiles, parameters, signal, onOutput, log }) {
+    log('[INFO] Executing Java code...');
+    return executeJavaCode(code, inputFiles, parameters, signal, onOutput, getRunTimeoutSeconds(suite));
+  }
+});
+
+registerExecutor({
+  id: 'csharp',
+  label: 'C#',
+  monacoLanguage: 'csharp',
+  runtime: () => !executionConfig.csharpType || executionConfig.csharpType === 'jdoodle' ? 'jdoodle' : 'runner',
+  execute({ suite, code, inputFiles, parameters, signal, onOutput, log }) {
+    log('[INFO] Executing C# code...');
+    return executeCSharpCode(code, inputFiles, parameters, signal, onOutput, getRunTimeoutSeconds(suite));
+  }
+});
+
+registerExecutor({
+  id: 'javascript',
+  label: 'JavaScript',
+  monacoLanguage: 'javascript',
+  runtime: 'javascript',
+  execute({ code, inputFiles, parameters, signal, onOutput, log }) {
+    log('[INFO] Running JavaScript in a sandboxed worker...');
+    return executeJavaScriptCode('javascript', code, inputFiles, parameters, signal, onOutput);
+  }
+});
+
+registerExecutor({
+  id: 'typescript',
+  label: 'TypeScript',
+  monacoLanguage: 'typescript',
+  runtime: 'javascript',
+  execute({ code, inputFiles, parameters, signal, onOutput, log }) {
+    log('[INFO] Transpiling TypeScript...');
+    log('[INFO] Running JavaScript in a sandboxed worker...');
+    return executeJavaScriptCode('typescript', code, inputFiles, parameters, signal, onOutput);
+  }
+});
+
+registerExecutor({
+  id: 'robot',
+  label: 'Robot Framework',
+  monacoLanguage: 'robotframework',
+  runtime: () => executionConfig.robotType === 'browser' ? 'pyodide' : 'backend',
+  execute({ code, inputFiles, parameters, signal, onOutput, log }) {
+    log('[INFO] Initializing Robot Framework...');
+
+    if (executionConfig.robotType === 'browser') {
+      if (robotCodeNeedsDom(code)) {
+        log('[INFO] Suite uses BrowserLibrary keywords - running on the page instead of the Python worker');
+      }
+      return executeRobotFrameworkBrowser(code, parameters, inputFiles, signal, onOutput);
+    } else if (executionConfig.robotType === 'backend') {
+      return executeRobotFrameworkBackend(code, parameters, inputFiles, signal, onOutput);
+    }
+    return executeRobotFrameworkApi(code, parameters, inputFiles, signal, onOutput);
+  }
+});
+
+registerExecutor({
+  id: 'website',
+  label: 'Website Integration Testing',
+  // Website tests are written as Robot Framework suites
+  monacoLanguage: 'robotframework',
+  runtime: suite => suite.website_method === 'upload' ? 'vwt' : 'browser',
+  // Runs the configured site, not context.code
+  supportsHooks: false,
+  validate(suite) {
+    if (suite.website_method !== 'upload' && !suite.website_url) return 'Website URL is required';
+    return null;
+  },
+  execute({ suite, log }) {
+    log('[INFO] Starting Website Integration Test...');
+    return executeWebsiteIntegration(suite);
+  }
+});
@@ -0,0 +1,174 @@
+// ============================================
+// INPUT FILES
+// Prepares a suite's mock input files for the
+// runtimes: path checks, base64 decoding,
+// checksums and writing into Pyodide's FS.
+// ============================================
+
+// Marker written by handleFileLoad() in front of base64 encoded content
+const BINARY_FILE_PREFIX = '[Binary file - Base64 encoded]';
+
+/**
+ * Validates and normalizes an input file path. Subdirectories are allowed,
+ * absolute paths and ".." segments are not.
+ * @param {string} filename - Path as entered in the suite editor
+ * @returns {string} Normalized relative path, e.g. "data/users.csv"
+ */
+function normalizeInputFilePath(filename) {
+  const parts = String(filename || '')
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part !== '' && part !== '.');
+
+  if (parts.length === 0) {
+    throw new Error('Input file has no name');
+  }
+  if (parts.includes('..')) {
+    throw new Error(`Input file path "${filename}" may not contain ".."`);
+  }
+  return parts.join('/');
+}
+
+function isBinaryInputFile(file) {
+  return typeof file.content === 'string' && file.content.startsWith(BINARY_FILE_PREFIX);
+}
+
+/**
+ * Decodes an input file's content to raw bytes.
+ * @param {{filename: string, content: string}} file
+ * @returns {Uint8Array}
+ */
+function decodeInputFileContent(file) {
+  if (isBinaryInputFile(file)) {
+    const base64 = file.content.substring(BINARY_FILE_PREFIX.length).replace(/\s+/g, '');
+    let binary;
+    try {
+      binary = atob(base64);
+    } catch (error) {
+      throw new Error(`Input file "${file.filename}" has invalid base64 content`);
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+  return new TextEncoder().encode(file.content || '');
+}
+
+async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Turns the suite's stored input_files into runtime-ready entries.
+ * @param {Array<{filename: string, content: string}>} inputFiles
+ * @returns {Promise<Array<{path: string, bytes: Uint8Array, binary: boolean, size: number, sha256: string}>>}
+ */
+async function prepareInputFiles(inputFiles) {
+  const prepared = [];
+  const seen = new Set();
+
+  for (const file of inputFiles || []) {
+    const path = normalizeInputFilePath(file.filename);
+    if (seen.has(path)) {
+      throw new Error(`Input file "${path}" is defined more than once`);
+    }
+    seen.add(path);
+
+    const bytes = decodeInputFileContent(file);
+    prepared.push({
+      path,
+      bytes,
+      binary: isBinaryInputFile(file),
+      size: bytes.length,
+      sha256: await sha256Hex(bytes)
+    });
+  }
+  return prepared;
+}
+
+/**
+ * Log section listing the input files with size and checksum.
+ */
+function formatInputFilesLog(preparedFiles) {
+  let text = `[INPUT FILES]\n`;
+  preparedFiles.forEach(file => {
+    text += ` ${file.path} (${formatFileSize(file.size)}${file.binary ? ', binary' : ''}) sha256:${file.sha256}\n`;
+  });
+  return text + '\n';
+}
+
+/**
+ * Input files in the shape sent to the Robot backend/API endpoints.
+ */
+function serializeInputFilesForRequest(preparedFiles) {
+  return preparedFiles.map(file => ({
+    path: file.path,
+    encoding: file.binary ? 'base64' : 'utf-8',
+    content: file.binary ? bytesToBase64(file.bytes) : new TextDecoder().decode(file.bytes),
+    sha256: file.sha256
+  }));
+}
+
+/**
+ * Text content of the non-binary input files (used as stdin for JDoodle).
+ */
+function getTextInputFileContents(preparedFiles) {
+  return preparedFiles
+    .filter(file => !file.binary)
+    .map(file => new TextDecoder().decode(file.bytes));
+}
+
+// ============================================
+// PYODIDE FILESYSTEM
+// ============================================
+
+/**
+ * Writes input files below baseDir, creating subdirectories as needed, and
+ * defines an input_files(pattern) helper for glob lookups from Python.
+ * @param {Object} pyodide
+ * @param {Array} preparedFiles - Result of prepareInputFiles()
+ * @param {string} baseDir - Usually Python's current working directory
+ */
+function writeInputFilesToPyodide(pyodide, preparedFiles, baseDir) {
+  preparedFiles.forEach(file => {
+    const fullPath = `${baseDir}/${file.path}`;
+    const dir = fullPath.substring(0, fullPath.lastIndexOf('/'));
+    if (dir) pyodide.FS.mkdirTree(dir);
+    pyodide.FS.writeFile(fullPath, file.bytes);
+  });
+
+  pyodide.globals.set('__lvx_input_paths', pyodide.toPy(preparedFiles.map(file => file.path)));
+  pyodide.runPython(`
+import glob as __lvx_glob
+
+def input_files(pattern='**/*'):
+    """Input file paths (relative to the working directory) matching a glob pattern."""
+    return sorted(p for p in __lvx_glob.glob(pattern, recursive=True) if p in __lvx_input_paths)
+`);
+}
+
+/**
+ * Removes files written by writeInputFilesToPyodide() so they do not leak
+ * into the next run on the shared Pyodide instance.
+ */
+function removeInputFilesFromPyodide(pyodide, preparedFiles, baseDir) {
+  preparedFiles.forEach(file => {
+    try {
+      pyodide.FS.unlink(`${baseDir}/${file.path}`);
+    } catch (error) {
+      // Already removed by the test code
+    }
+  });
+}
@@ -0,0 +1,276 @@
+// ============================================
+// JAVASCRIPT RUNTIME
+// Runs JavaScript and TypeScript suites in a
+// throwaway worker inside a sandboxed frame,
+// with the same expect/assert
+// helpers as the JavaScript unit tests.
+// TypeScript is transpiled in the page first.
+// ============================================
+
+/* Inside a suite the code can use:
+   expect(actual).toBe/toEqual/toBeTruthy/toBeFalsy/toContain(...)
+   assert(condition, message)
+   env.KEY / process.env.KEY      suite parameters
+   inputFiles                     paths of the attached input files
+   readInputFile(path)            file content as text
+   readInputFile(path, 'binary')  file content as Uint8Array
+   console.log/info/warn/error    streamed to the run log
+   Top-level await is supported. A suite fails when it throws or an
+   assertion fails.
+*/
+
+async function loadTypeScriptCompiler() {
+  if (typeof ts !== 'undefined') return ts;
+  try {
+    // Location is configurable in the execution settings (offline-assets.js)
+    await loadScriptOnce(getAssetUrl('typescript'));
+  } catch (error) {
+    throw new Error('Failed to load the TypeScript compiler');
+  }
+  return ts;
+}
+
+/**
+ * Transpiles TypeScript to JavaScript. Only syntax is checked, types are
+ * erased without being verified.
+ * @throws {Error} With the syntax errors and their line numbers
+ */
+async function transpileTypeScript(code) {
+  const compiler = await loadTypeScriptCompiler();
+  const output = compiler.transpileModule(code, {
+    fileName: 'suite.ts',
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: compiler.ScriptTarget.ES2020,
+      module: compiler.ModuleKind.CommonJS
+    }
+  });
+
+  const errors = (output.diagnostics || []).filter(d => d.category === compiler.DiagnosticCategory.Error);
+  if (errors.length > 0) {
+    const messages = errors.map(diagnostic => {
+      const text = compiler.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      if (!diagnostic.file) return `TS${diagnostic.code}: ${text}`;
+      const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+      return `TS${diagnostic.code} (line ${line + 1}, col ${character + 1}): ${text}`;
+    });
+    throw new Error(`TypeScript compilation failed:\n${messages.join('\n')}`);
+  }
+  return output.outputText;
+}
+
+/**
+ * Runs a JavaScript or TypeScript suite in its own worker. The worker lives
+ * in a sandboxed frame with an opaque origin, so it cannot read the app's
+ * IndexedDB, storage or cookies. Network requests are still possible, but
+ * only as a cross-origin client without the app's credentials.
+ * @param {Object} options
+ * @param {string} [options.language='javascript'] - 'javascript' or 'typescript'
+ * @param {string} options.code
+ * @param {Array} [options.inputFiles] - Result of prepareInputFiles()
+ * @param {Object} [options.parameters] - Exposed as env / process.env
+ * @param {Function} [options.onOutput] - Called with (stream, line) while the code runs
+ * @param {AbortSignal} [options.signal] - Removes the frame and its worker when aborted
+ * @returns {Promise<{success: boolean, output: string, error: string|null, stderr: string, assertionsPassed: number, assertionsFailed: number}>}
+ */
+async function runJavaScriptInSandbox({ language = 'javascript', code, inputFiles = [], parameters = {}, onOutput = null, signal = null }) {
+  if (signal && signal.aborted) throw getAbortError(signal);
+
+  let source = code || '';
+  if (language === 'typescript') {
+    try {
+      source = await transpileTypeScript(source);
+    } catch (error) {
+      return { success: false, output: '', error: error.message, stderr: error.message, assertionsPassed: 0, assertionsFailed: 0 };
+    }
+  }
+  if (signal && signal.aborted) throw getAbortError(signal);
+
+  const frame = document.createElement('iframe');
+  // Without allow-same-origin the frame and its worker get an opaque origin,
+  // so the suite cannot reach the app's IndexedDB, storage or cookies
+  frame.setAttribute('sandbox', 'allow-scripts');
+  frame.style.display = 'none';
+  frame.srcdoc = getJavaScriptSandboxFrameSource();
+
+  return new Promise((resolve, reject) => {
+    let onAbort = null;
+    const finish = () => {
+      window.removeEventListener('message', onMessage);
+      // Discarding the frame also terminates its worker
+      frame.remove();
+      if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+    };
+    const fail = (error) => {
+      finish();
+      resolve({ success: false, output: '', error, stderr: error, assertionsPassed: 0, assertionsFailed: 0 });
+    };
+
+    function onMessage(event) {
+      if (event.source !== frame.contentWindow) return;
+      const message = event.data || {};
+      if (message.type === 'ready') {
+        frame.contentWindow.postMessage({
+          code: source,
+          parameters,
+          files: inputFiles.map(file => ({ path: file.path, bytes: file.bytes }))
+        }, '*');
+      } else if (message.type === 'output') {
+        if (onOutput) onOutput(message.stream, message.text);
+      } else if (message.type === 'result') {
+        finish();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        fail(message.error || 'Worker failed');
+      }
+    }
+    window.addEventListener('message', onMessage);
+
+    if (signal) {
+      // Terminating also stops code stuck in an endless loop
+      onAbort = () => {
+        finish();
+        reject(getAbortError(signal));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    document.body.appendChild(frame);
+  });
+}
+
+/**
+ * Page of the sandbox frame. It starts the worker and relays messages
+ * between it and the app. The frame has an opaque origin, so the messages
+ * are posted to '*' and the app checks their source instead.
+ */
+function getJavaScriptSandboxFrameSource() {
+  const workerSource = `(${javaScriptSandboxWorker.toString()})();`;
+  const hostSource = `
+    const workerSource = ${JSON.stringify(workerSource).replace(/</g, '\\u003c')};
+    window.addEventListener('message', (event) => {
+      if (event.source !== parent) return;
+      let worker;
+      try {
+        worker = new Worker(URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' })));
+      } catch (error) {
+        parent.postMessage({ type: 'error', error: 'Could not start the sandbox worker: ' + error.message }, '*');
+        return;
+      }
+      worker.onmessage = (message) => parent.postMessage(message.data, '*');
+      worker.onerror = (error) => {
+        error.preventDefault();
+        parent.postMessage({ type: 'error', error: error.message || 'Worker failed' }, '*');
+      };
+      worker.postMessage(event.data);
+    }, { once: true });
+    parent.postMessage({ type: 'ready' }, '*');
+  `;
+  return `<!DOCTYPE html><script>${hostSource}</script>`;
+}
+
+/**
+ * Worker body. Serialized with toString(), so it must not reference
+ * anything outside itself.
+ */
+function javaScriptSandboxWorker() {
+  self.onmessage = async (event) => {
+    const { code, parameters, files } = event.data;
+    const combined = [];
+    const stderrLines = [];
+    let passed = 0;
+    let failed = 0;
+
+    const emit = (stream, text) => {
+      String(text).split('\n').forEach(line => {
+        combined.push(line);
+        if (stream === 'stderr') stderrLines.push(line);
+        self.postMessage({ type: 'output', stream, text: line });
+      });
+    };
+    const format = (value) => {
+      if (typeof value === 'string') return value;
+      if (value instanceof Error) return value.stack || value.message;
+      try {
+        const json = JSON.stringify(value);
+        return json === undefined ? String(value) : json;
+      } catch (error) {
+        return String(value);
+      }
+    };
+    const print = (stream) => (...args) => emit(stream, args.map(format).join(' '));
+    const sandboxConsole = {
+      log: print('stdout'),
+      info: print('stdout'),
+      debug: print('stdout'),
+      warn: print('stderr'),
+      error: print('stderr')
+    };
+
+    const check = (ok, passMessage, failMessage) => {
+      if (ok) {
+        passed++;
+        emit('stdout', `✓ Assertion passed: ${passMessage}`);
+        return true;
+      }
+      failed++;
+      emit('stdout', `✗ Assertion failed: ${failMessage}`);
+      const error = new Error(failMessage);
+      error.name = 'AssertionError';
+      throw error;
+    };
+    const expect = (actual) => ({
+      toBe: (expected) => check(actual === expected, `${format(actual)} === ${format(expected)}`, `Expected ${format(expected)}, got ${format(actual)}`),
+      toEqual: (expected) => check(JSON.stringify(actual) === JSON.stringify(expected), 'Objects equal', 'Objects not equal'),
+      toBeTruthy: () => check(!!actual, 'Value is truthy', 'Value is not truthy'),
+      toBeFalsy: () => check(!actual, 'Value is falsy', 'Value is not falsy'),
+      toContain: (expected) => check(
+        (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+        `Contains ${format(expected)}`,
+        `Does not contain ${format(expected)}`
+      )
+    });
+    const assert = (condition, message = 'Assertion failed') => check(!!condition, message, message);
+
+    const fileMap = new Map(files.map(file => [file.path, file.bytes]));
+    const readInputFile = (path, encoding = 'utf-8') => {
+      const bytes = fileMap.get(String(path).replace(/^\.?\//, ''));
+      if (!bytes) throw new Error(`Input file not found: ${path}`);
+      return encoding === 'binary' ? new Uint8Array(bytes) : new TextDecoder(encoding).decode(bytes);
+    };
+    const env = Object.freeze({ ...parameters });
+    const module = { exports: {} };
+    const require = (name) => {
+      throw new Error(`require('${name}') is not available in the sandbox`);
+    };
+
+    let error = null;
+    try {
+      const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+      const run = new AsyncFunction(
+        'expect', 'assert', 'console', 'env', 'process', 'inputFiles', 'readInputFile', 'module', 'exports', 'require',
+        code
+      );
+      await run(expect, assert, sandboxConsole, env, { env }, [...fileMap.keys()], readInputFile, module, module.exports, require);
+    } catch (thrown) {
+      error = thrown instanceof Error ? `${thrown.name}: ${thrown.message}` : `Uncaught ${format(thrown)}`;
+      // Failed assertions are already in the output
+      if (!(thrown instanceof Error && thrown.name === 'AssertionError')) {
+        emit('stderr', thrown instanceof Error && thrown.stack ? thrown.stack : error);
+      }
+    }
+
+    if (passed + failed > 0) emit('stdout', `Assertions: ${passed} passed, ${failed} failed`);
+    self.postMessage({
+      type: 'result',
+      result: {
+        success: !error && failed === 0,
+        output: combined.join('\n'),
+        error,
+        stderr: stderrLines.join('\n'),
+        assertionsPassed: passed,
+        assertionsFailed: failed
+      }
+    });
+  };
+}
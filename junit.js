@@ -0,0 +1,386 @@
+// ============================================
+// JUNIT XML
+// Writes JUnit XML reports for suite runs,
+// pipelines, unit tests and Visual Web Tester
+// step runs, and reads JUnit/xUnit reports
+// (Robot backend/API, pytest in Pyodide) into
+// per-test results.
+// ============================================
+
+// Report Structure (input of buildJUnitXml)
+/*
+{
+  name: "Nightly",
+  testsuites: [
+    {
+      name: "Login checks",
+      timestamp: "ISO timestamp",
+      time: 12.5,                       // seconds
+      testcases: [
+        { name: "valid user", classname: "login", time: 1.2,
+          status: "SUCCESS|FAILURE|ERROR|SKIPPED",
+          message: "first line of the failure", output: "system-out text" }
+      ]
+    }
+  ]
+}
+*/
+
+// Test Result Structure (result.tests, run history "tests")
+/*
+  [{ suite: "tests.test_login", classname: "tests.test_login.TestLogin", name: "test_valid_user",
+     time: 0.012, status: "SUCCESS|FAILURE|ERROR|SKIPPED", message: "AssertionError: ..." }]
+*/
+
+// Characters XML 1.0 does not allow, even escaped
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(XML_INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlCdata(text) {
+  const value = String(text || '').replace(XML_INVALID_CHARS, '');
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function formatJUnitTime(seconds) {
+  return (Number(seconds) || 0).toFixed(3);
+}
+
+function countJUnitCases(testcases) {
+  return {
+    tests: testcases.length,
+    failures: testcases.filter(test => test.status === 'FAILURE').length,
+    errors: testcases.filter(test => test.status === 'ERROR').length,
+    skipped: testcases.filter(test => test.status === 'SKIPPED').length
+  };
+}
+
+/**
+ * Serializes a report (see structure above) as JUnit XML.
+ * @param {Object} report
+ * @returns {string}
+ */
+function buildJUnitXml(report) {
+  const suites = report.testsuites || [];
+  const allCases = suites.flatMap(suite => suite.testcases || []);
+  const totals = countJUnitCases(allCases);
+  const totalTime = suites.reduce((sum, suite) => sum + (Number(suite.time) || 0), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" time="${formatJUnitTime(totalTime)}">`
+  ];
+
+  suites.forEach((suite, index) => {
+    const testcases = suite.testcases || [];
+    const counts = countJUnitCases(testcases);
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" id="${index}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${formatJUnitTime(suite.time)}" timestamp="${escapeXml((suite.timestamp || new Date().toISOString()).replace(/Z$/, ''))}">`);
+
+    testcases.forEach(test => {
+      const opening = `    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(test.classname || suite.name)}" time="${formatJUnitTime(test.time)}"`;
+      const message = test.message || '';
+      const children = [];
+      if (test.status === 'FAILURE') {
+        children.push(`      <failure message="${escapeXml(firstLine(message))}" type="failure">${escapeXml(message)}</failure>`);
+      } else if (test.status === 'ERROR') {
+        children.push(`      <error message="${escapeXml(firstLine(message))}" type="error">${escapeXml(message)}</error>`);
+      } else if (test.status === 'SKIPPED') {
+        children.push(message ? `      <skipped message="${escapeXml(firstLine(message))}"/>` : '      <skipped/>');
+      }
+      if (test.output) children.push(`      <system-out>${xmlCdata(test.output)}</system-out>`);
+
+      if (children.length === 0) {
+        lines.push(`${opening}/>`);
+      } else {
+        lines.push(`${opening}>`, ...children, '    </testcase>');
+      }
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Starts a browser download of a report.
+ */
+function downloadJUnitXml(report, filename) {
+  const blob = new Blob([buildJUnitXml(report)], { type: 'application/xml' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename.replace(/[^a-zA-Z0-9._-]/g, '_');
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * JUnit statuses of the app's run statuses. Aborted runs are errors.
+ */
+function getJUnitStatus(status) {
+  if (status === 'SUCCESS' || status === 'PASS') return 'SUCCESS';
+  if (status === 'SKIPPED') return 'SKIPPED';
+  if (status === 'FAILURE' || status === 'FAIL') return 'FAILURE';
+  return 'ERROR';
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Reads JUnit XML (testsuites/testsuite/testcase, also Robot's --xunit and
+ * pytest's --junitxml output) or xUnit.net XML (assemblies/assembly/test).
+ * @param {string} text
+ * @returns {Array<Object>} Test results (see structure above)
+ * @throws {Error} When the text is not XML
+ */
+function parseJUnitXml(text) {
+  const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) throw new Error(`Invalid XML: ${firstLine(parseError.textContent)}`);
+
+  const testcases = Array.from(doc.getElementsByTagName('testcase'));
+  if (testcases.length > 0) {
+    return testcases.map(testcase => {
+      const suite = testcase.parentElement && testcase.parentElement.tagName === 'testsuite'
+        ? testcase.parentElement.getAttribute('name') || ''
+        : '';
+      const child = (name) => Array.from(testcase.children).find(el => el.tagName === name);
+      const failure = child('failure');
+      const error = child('error');
+      const skipped = child('skipped');
+      const detail = failure || error || skipped;
+
+      return {
+        suite,
+        classname: testcase.getAttribute('classname') || suite,
+        name: testcase.getAttribute('name') || '(unnamed)',
+        time: parseFloat(testcase.getAttribute('time')) || 0,
+        status: failure ? 'FAILURE' : error ? 'ERROR' : skipped ? 'SKIPPED' : 'SUCCESS',
+        message: detail ? (detail.getAttribute('message') || detail.textContent || '').trim() : ''
+      };
+    });
+  }
+
+  // xUnit.net v2
+  return Array.from(doc.getElementsByTagName('test')).map(test => {
+    const result = (test.getAttribute('result') || '').toLowerCase();
+    const collection = test.parentElement ? test.parentElement.getAttribute('name') || '' : '';
+    const message = test.getElementsByTagName('message')[0] || test.getElementsByTagName('reason')[0];
+    return {
+      suite: collection,
+      classname: test.getAttribute('type') || collection,
+      name: test.getAttribute('method') || test.getAttribute('name') || '(unnamed)',
+      time: parseFloat(test.getAttribute('time')) || 0,
+      status: result === 'pass' ? 'SUCCESS' : result === 'skip' ? 'SKIPPED' : 'FAILURE',
+      message: message ? message.textContent.trim() : ''
+    };
+  });
+}
+
+/**
+ * Parses several report files, skipping the ones that cannot be read.
+ * @param {Array<{path: string, text: string}>} reports
+ * @param {Function} [log] - Called with a line for every unreadable report
+ * @returns {Array<Object>|null} Null when no report contained tests
+ */
+function parseJUnitReports(reports, log = null) {
+  const tests = [];
+  (reports || []).forEach(report => {
+    try {
+      tests.push(...parseJUnitXml(report.text));
+    } catch (error) {
+      const line = `[WARN] Could not read test report ${report.path}: ${error.message}`;
+      if (log) log(line);
+      else console.warn(line);
+    }
+  });
+  return tests.length > 0 ? tests : null;
+}
+
+/**
+ * Per-test results of a Robot backend/API response that carries a report
+ * as "junit" or "xunit" (XML text).
+ * @returns {Array<Object>|null}
+ */
+function parseExecutionJUnit(response) {
+  const text = response && (response.junit || response.xunit);
+  if (!text || typeof text !== 'string') return null;
+  return parseJUnitReports([{ path: response.junit ? 'junit' : 'xunit', text }]);
+}
+
+/**
+ * Log section with one line per parsed test.
+ */
+function formatJUnitTestsLog(tests) {
+  const passed = tests.filter(test => test.status === 'SUCCESS').length;
+  const skipped = tests.filter(test => test.status === 'SKIPPED').length;
+  let text = `[TESTS] ${passed}/${tests.length} passed${skipped > 0 ? `, ${skipped} skipped` : ''}\n`;
+  tests.forEach(test => {
+    const name = test.classname ? `${test.classname}.${test.name}` : test.name;
+    const time = test.time ? ` (${test.time.toFixed(3)}s)` : '';
+    text += test.status === 'SUCCESS' || test.status === 'SKIPPED'
+      ? `  ${test.status === 'SUCCESS' ? 'PASSED' : 'SKIPPED'} ${name}${time}\n`
+      : `  ${test.status === 'ERROR' ? 'ERROR' : 'FAILED'} ${name}${time}: ${firstLine(test.message)}\n`;
+  });
+  return text;
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Report of one suite run. Parsed per-test results become test cases,
+ * then data-driven rows; otherwise the run is a single test case. A run
+ * that did not pass always has a failing test case, also when it failed
+ * for reasons no single test shows (status rules, expected output, hooks).
+ * @param {Object} suite
+ * @param {Object} run - {status, log, duration, timestamp, error, tests, rows}
+ */
+function getSuiteRunJUnitReport(suite, run) {
+  const timestamp = run.timestamp || new Date().toISOString();
+  const duration = Number(run.duration) || 0;
+  const runCase = {
+    name: suite.name,
+    classname: suite.language || suite.name,
+    time: duration,
+    status: getJUnitStatus(run.status),
+    message: run.status === 'SUCCESS' ? '' : (run.error || `Final status: ${run.status}`),
+    output: run.log || ''
+  };
+  const runFailed = run.status !== 'SUCCESS';
+
+  if (run.tests && run.tests.length > 0) {
+    const groups = new Map();
+    run.tests.forEach(test => {
+      const name = test.suite || suite.name;
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push({ ...test, classname: test.classname || name });
+    });
+    if (runFailed) {
+      if (!groups.has(suite.name)) groups.set(suite.name, []);
+      groups.get(suite.name).push({ ...runCase, name: `${suite.name} (run status)`, time: 0 });
+    }
+    return {
+      name: suite.name,
+      testsuites: Array.from(groups.entries()).map(([name, testcases]) => ({
+        name,
+        timestamp,
+        time: testcases.reduce((sum, test) => sum + (test.time || 0), 0),
+        testcases
+      }))
+    };
+  }
+
+  let testcases;
+  if (run.rows && run.rows.length > 0) {
+    testcases = run.rows.map(row => ({
+      name: `row ${row.index}: ${row.label}`,
+      classname: suite.name,
+      time: row.duration || 0,
+      status: getJUnitStatus(row.status),
+      message: row.error || ''
+    }));
+    if (runFailed) testcases.push({ ...runCase, name: `${suite.name} (run status)`, time: 0 });
+  } else {
+    testcases = [runCase];
+  }
+
+  return {
+    name: suite.name,
+    testsuites: [{
+      name: suite.name,
+      timestamp,
+      time: duration || testcases.reduce((sum, test) => sum + test.time, 0),
+      testcases
+    }]
+  };
+}
+
+/**
+ * Report of a pipeline's last run: one test suite per stage, one test case
+ * per suite (or per matrix combination).
+ */
+function getPipelineJUnitReport(pipeline) {
+  const timestamp = pipeline.last_run_time || new Date().toISOString();
+  return {
+    name: pipeline.name,
+    testsuites: (pipeline.last_stage_results || []).map((stage, index) => {
+      const stageName = `${pipeline.name}.${stage.name || `Stage ${index + 1}`}`;
+      const testcases = (stage.suites || []).flatMap(suite => {
+        if (suite.matrix && suite.matrix.cells) {
+          return suite.matrix.cells.map(cell => ({
+            name: `${suite.name} [${formatMatrixCombination(cell.parameters)}]`,
+            classname: stageName,
+            time: cell.duration || 0,
+            status: getJUnitStatus(cell.status),
+            message: cell.status === 'SUCCESS' ? '' : `Status: ${cell.status}`
+          }));
+        }
+        return [{
+          name: suite.name,
+          classname: stageName,
+          time: suite.duration || 0,
+          status: getJUnitStatus(suite.status),
+          message: suite.status === 'SUCCESS' ? '' : `Status: ${suite.status}`
+        }];
+      });
+      return {
+        name: stageName,
+        timestamp,
+        time: testcases.reduce((sum, test) => sum + (test.time || 0), 0),
+        testcases
+      };
+    })
+  };
+}
+
+/**
+ * Report of the last results of unit tests, one test suite per linked suite.
+ * Tests that reported their own results (pytest) contribute those.
+ */
+function getUnitTestsJUnitReport(tests) {
+  const groups = new Map();
+  tests.forEach(test => {
+    const suite = test.suite_id ? testSuites.find(s => s.id === test.suite_id) : null;
+    const groupName = suite ? suite.name : 'Unlinked unit tests';
+    if (!groups.has(groupName)) groups.set(groupName, []);
+
+    if (test.last_run_tests && test.last_run_tests.length > 0) {
+      groups.get(groupName).push(...test.last_run_tests.map(result => ({
+        ...result,
+        classname: `${test.name}.${result.classname || result.suite || test.test_framework}`
+      })));
+      return;
+    }
+    groups.get(groupName).push({
+      name: test.name,
+      classname: `${groupName}.${test.test_framework || 'unit'}`,
+      time: (test.execution_time_ms || 0) / 1000,
+      status: test.status === 'PASS' ? 'SUCCESS' : test.status === 'FAIL' ? 'FAILURE' : 'SKIPPED',
+      message: test.status === 'FAIL' ? (test.last_run_error || 'Failed') : (test.status === 'PASS' ? '' : 'Not run'),
+      output: test.last_run_output || ''
+    });
+  });
+
+  return {
+    name: 'Unit tests',
+    testsuites: Array.from(groups.entries()).map(([name, testcases]) => ({
+      name,
+      timestamp: new Date().toISOString(),
+      time: testcases.reduce((sum, test) => sum + (test.time || 0), 0),
+      testcases
+    }))
+  };
+}
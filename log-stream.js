@@ -0,0 +1,255 @@
+// ============================================
+// LOG STREAM
+// Line-by-line run output with elapsed-time
+// stamps, plus readers for streaming backend
+// responses (SSE and NDJSON).
+// ============================================
+
+/**
+ * Collects streamed output lines and stamps each with the time since the
+ * run started.
+ */
+class LogStream {
+  /**
+   * @param {Date} [startTime] - Run start; stamps are relative to it
+   */
+  constructor(startTime = new Date()) {
+    this.startTime = startTime.getTime();
+    this.lines = [];
+    this.text = '';
+  }
+
+  /**
+   * @param {string} stream - 'stdout', 'stderr' or 'event' (Robot listener)
+   * @param {string} text - One or more lines
+   * @returns {string} The new lines as they appear in toText()
+   */
+  append(stream, text) {
+    const elapsed = Date.now() - this.startTime;
+    const labels = { stderr: ' [stderr]', event: ' [robot]' };
+    const added = String(text).replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map(line => {
+      this.lines.push({ elapsed, stream, text: line });
+      return `[+${(elapsed / 1000).toFixed(2)}s]${labels[stream] || ''} ${line}`;
+    }).join('\n');
+    this.text += (this.text ? '\n' : '') + added;
+    return added;
+  }
+
+  get length() {
+    return this.lines.length;
+  }
+
+  toText() {
+    return this.text;
+  }
+}
+
+/**
+ * The log of a running suite. setLog() replaces the text, streamed output is
+ * appended below it and drawn at most once per frame, so long outputs do not
+ * redraw the whole log for every line.
+ */
+class LiveRunLog {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} [options.element] - Run modal log, null for runs without the modal
+   * @param {Function} [options.onText] - Called with the full text after every update
+   * @param {Function} [options.mask] - Applied to all text before it is shown
+   */
+  constructor({ element = null, onText = null, mask = text => text } = {}) {
+    this.element = element;
+    this.onText = onText;
+    this.mask = mask;
+    this.log = '';
+    this.output = '';
+    this.pending = '';
+    this.frame = null;
+  }
+
+  getText() {
+    const output = this.output + this.pending;
+    return output ? `${this.log}[OUTPUT]\n${output}` : this.log;
+  }
+
+  /**
+   * Replaces the log text. Streamed output stays below it until endOutput().
+   */
+  setLog(text) {
+    this.cancelFrame();
+    this.log = this.mask(text);
+    this.output += this.pending;
+    this.pending = '';
+    if (this.element) {
+      this.element.textContent = this.getText();
+      followRunLog();
+    }
+    if (this.onText) this.onText(this.getText());
+  }
+
+  /**
+   * @param {string} text - Output lines, e.g. the return value of LogStream.append()
+   */
+  appendOutput(text) {
+    this.pending += `${this.mask(text)}\n`;
+    if (!this.frame) this.frame = requestAnimationFrame(() => this.flush());
+  }
+
+  flush() {
+    this.frame = null;
+    if (!this.pending) return;
+    const added = this.output ? this.pending : `[OUTPUT]\n${this.pending}`;
+    this.output += this.pending;
+    this.pending = '';
+    if (this.element) {
+      this.element.appendChild(document.createTextNode(added));
+      followRunLog();
+    }
+    if (this.onText) this.onText(this.getText());
+  }
+
+  /**
+   * Drops the streamed output, once the log itself contains it.
+   * @returns {boolean} Whether there was output to drop
+   */
+  endOutput() {
+    const hadOutput = !!(this.output || this.pending);
+    this.cancelFrame();
+    this.output = '';
+    this.pending = '';
+    return hadOutput;
+  }
+
+  cancelFrame() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+}
+
+// ============================================
+// STREAMING BACKEND RESPONSES
+// ============================================
+
+/* A backend may answer /execute in one of three ways:
+   - application/json: the final result object (original protocol)
+   - text/event-stream: "output" events ({stream, text} or a plain line)
+     followed by one "result" event with the final result object
+   - application/x-ndjson: one JSON object per line, either
+     {type: "output", stream, text} or {type: "result", ...result}
+*/
+
+const EXECUTION_STREAM_ACCEPT = 'text/event-stream, application/x-ndjson, application/json';
+
+/**
+ * Reads an execution response, forwarding streamed output as it arrives.
+ * @param {Response} response - fetch() response
+ * @param {Function} [onOutput] - Called with (stream, line)
+ * @returns {Promise<Object>} The final result object
+ */
+async function readExecutionResponse(response, onOutput) {
+  const contentType = (response.headers.get('Content-Type') || '').toLowerCase();
+  const emit = (stream, text) => { if (onOutput) onOutput(stream || 'stdout', text); };
+
+  if (contentType.includes('text/event-stream')) {
+    let result = null;
+    let eventName = 'message';
+    let data = [];
+
+    const dispatch = () => {
+      if (data.length === 0) return;
+      const payload = data.join('\n');
+      if (eventName === 'result') {
+        result = JSON.parse(payload);
+      } else {
+        const parsed = tryParseJSON(payload);
+        if (parsed && typeof parsed === 'object') emit(parsed.stream, parsed.text);
+        else emit('stdout', payload);
+      }
+      eventName = 'message';
+      data = [];
+    };
+
+    await readResponseLines(response, line => {
+      if (line === '') dispatch();
+      else if (line.startsWith('event:')) eventName = line.substring(6).trim();
+      else if (line.startsWith('data:')) data.push(line.substring(5).replace(/^ /, ''));
+    });
+    dispatch();
+
+    if (!result) throw new Error('Stream ended without a result event');
+    return result;
+  }
+
+  if (contentType.includes('application/x-ndjson')) {
+    let result = null;
+    await readResponseLines(response, line => {
+      if (!line.trim()) return;
+      const message = JSON.parse(line);
+      if (message.type === 'result') result = message;
+      else emit(message.stream, message.text);
+    });
+
+    if (!result) throw new Error('Stream ended without a result line');
+    return result;
+  }
+
+  return response.json();
+}
+
+/**
+ * Calls onLine for every line of a (possibly chunked) response body.
+ */
+async function readResponseLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(onLine);
+
+    if (done) break;
+  }
+  if (buffer) onLine(buffer);
+}
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================
+// RUN MODAL FOLLOW MODE
+// ============================================
+
+/**
+ * Scrolls the run log to the bottom when "Follow" is on.
+ */
+function followRunLog() {
+  const follow = document.getElementById('run-log-follow');
+  if (follow && !follow.checked) return;
+  const content = document.getElementById('run-modal-content');
+  content.scrollTop = content.scrollHeight;
+}
+
+function setRunLogFollow(enabled) {
+  document.getElementById('run-log-follow').checked = enabled;
+  if (enabled) followRunLog();
+}
+
+// Scrolling up turns follow off, scrolling back to the bottom turns it on
+document.addEventListener('DOMContentLoaded', () => {
+  const content = document.getElementById('run-modal-content');
+  const follow = document.getElementById('run-log-follow');
+  if (!content || !follow) return;
+
+  content.addEventListener('scroll', () => {
+    follow.checked = content.scrollHeight - content.scrollTop - content.clientHeight < 20;
+  });
+});
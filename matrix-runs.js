@@ -0,0 +1,317 @@
+// ============================================
+// MATRIX RUNS
+// Runs one suite once per combination of
+// parameter values (e.g. ENV × ROLE) through the
+// execution queue and shows the results as a
+// grid. Used for suites and pipelines.
+// ============================================
+
+// Matrix Definition (suite.matrix / pipeline.matrix)
+/*
+  "ENV=[staging,prod] × ROLE=[admin,user]"
+
+  Axes are separated by "×", " x " or new lines; values by commas. The
+  brackets are optional. A pipeline matrix is combined with the matrix of
+  each suite it runs (the pipeline wins when both define the same key).
+*/
+
+// Matrix Result Structure (suite.last_matrix_results, pipeline suite results .matrix)
+/*
+{
+  run_time: "ISO timestamp",
+  status: "SUCCESS|FAILURE|ABORTED|RUNNING",
+  axes: [{ key: "ENV", values: ["staging", "prod"] }],
+  cells: [
+    { parameters: { ENV: "staging", ROLE: "admin" }, status: "QUEUED|RUNNING|SUCCESS|...",
+      job_id: "job-...", build_number: 12, duration: 1.5 }
+  ]
+}
+*/
+
+const MATRIX_MAX_COMBINATIONS = 64;
+
+/**
+ * Parses a matrix definition.
+ * @param {string} text
+ * @returns {{axes: Array<{key: string, values: string[]}>, error: string|null}}
+ */
+function parseMatrixDefinition(text) {
+  const source = String(text || '').trim();
+  if (!source) return { axes: [], error: null };
+
+  const axes = [];
+  const parts = source.split(/\s*(?:×|\n|\s[xX]\s)\s*/).filter(Boolean);
+  for (const part of parts) {
+    const match = part.match(/^([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*\[?([^\]]*)\]?$/);
+    if (!match) return { axes: [], error: `Cannot read matrix axis "${part}" - expected KEY=[value1,value2]` };
+
+    const key = match[1];
+    const values = match[2].split(',').map(value => value.trim()).filter(Boolean);
+    if (values.length === 0) return { axes: [], error: `Matrix axis ${key} has no values` };
+    if (axes.some(axis => axis.key === key)) return { axes: [], error: `Matrix axis ${key} is defined twice` };
+    axes.push({ key, values: Array.from(new Set(values)) });
+  }
+
+  const count = axes.reduce((total, axis) => total * axis.values.length, 1);
+  if (count > MATRIX_MAX_COMBINATIONS) {
+    return { axes: [], error: `Matrix has ${count} combinations - the limit is ${MATRIX_MAX_COMBINATIONS}` };
+  }
+  return { axes, error: null };
+}
+
+/**
+ * Merges axis lists. Later lists replace axes with the same key.
+ */
+function combineMatrixAxes(...axisLists) {
+  const combined = [];
+  axisLists.forEach(axes => (axes || []).forEach(axis => {
+    const index = combined.findIndex(existing => existing.key === axis.key);
+    if (index >= 0) combined[index] = axis;
+    else combined.push(axis);
+  }));
+  return combined;
+}
+
+/**
+ * All combinations, last axis varying fastest (row-major for the grid).
+ * @returns {Array<Object>} Parameter maps
+ */
+function expandMatrix(axes) {
+  return axes.reduce((combinations, axis) =>
+    combinations.flatMap(combination => axis.values.map(value => ({ ...combination, [axis.key]: value }))),
+  [{}]);
+}
+
+function formatMatrixCombination(parameters) {
+  return Object.entries(parameters || {}).map(([key, value]) => `${key}=${value}`).join(' · ');
+}
+
+/**
+ * Overall status of a set of cells.
+ */
+function getMatrixStatus(cells) {
+  if (cells.some(cell => cell.status === 'QUEUED' || cell.status === 'RUNNING')) return 'RUNNING';
+  if (cells.every(cell => cell.status === 'SUCCESS')) return 'SUCCESS';
+  if (cells.some(cell => cell.status === 'FAILURE')) return 'FAILURE';
+  return RUN_STATUS_ABORTED;
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+/**
+ * Why a suite cannot run as a matrix, or null when it can. The VWT live
+ * runner keeps one runner per suite and takes no parameter values, so every
+ * combination would run the same steps.
+ * @param {Object} suite
+ * @returns {string|null}
+ */
+function getMatrixUnsupportedReason(suite) {
+  return suite && suite.language === 'website' && suite.website_method === 'upload'
+    ? `"${suite.name}" is a Visual Web Tester suite - matrix runs are not supported for it`
+    : null;
+}
+
+// Keeps cells in step with their queue jobs while they run
+executionQueue.onChange((job, change) => {
+  if (!job || !job.matrixCell || change === 'log') return;
+  job.matrixCell.status = job.status === 'CANCELLED' ? RUN_STATUS_ABORTED : job.status;
+  if (job.onMatrixChange) job.onMatrixChange();
+});
+
+/**
+ * Queues one run per combination and waits for all of them.
+ * @param {string} suiteId
+ * @param {Array<{key: string, values: string[]}>} axes
+ * @param {Object} [options]
+ * @param {string} [options.source='matrix'] - Shown in the execution queue
+ * @param {Function} [options.onChange] - Called with the result whenever a cell changes
+ * @returns {Promise<Object>} Matrix result (see structure above)
+ * @throws {Error} When there are more than MATRIX_MAX_COMBINATIONS combinations or the
+ *   suite cannot run as a matrix
+ */
+async function runMatrixCombinations(suiteId, axes, { source = 'matrix', onChange = null } = {}) {
+  const unsupported = getMatrixUnsupportedReason(testSuites.find(s => s.id === suiteId));
+  if (unsupported) throw new Error(unsupported);
+  // Suite and pipeline matrices are checked separately, their product is not
+  const count = expandMatrix(axes).length;
+  if (count > MATRIX_MAX_COMBINATIONS) {
+    throw new Error(`Matrix has ${count} combinations - the limit is ${MATRIX_MAX_COMBINATIONS}`);
+  }
+
+  const matrix = {
+    run_time: new Date().toISOString(),
+    status: 'RUNNING',
+    axes,
+    cells: expandMatrix(axes).map(parameters => ({
+      parameters,
+      status: 'QUEUED',
+      job_id: null,
+      build_number: null,
+      duration: null
+    }))
+  };
+  const notify = () => {
+    if (onChange) onChange(matrix);
+  };
+
+  await Promise.all(matrix.cells.map(async (cell) => {
+    const job = executionQueue.enqueue(suiteId, { source, parameters: cell.parameters });
+    if (!job) {
+      cell.status = 'FAILURE';
+      return;
+    }
+    cell.job_id = job.id;
+    cell.status = job.status;
+    job.matrixCell = cell;
+    job.onMatrixChange = notify;
+    notify();
+
+    const result = await job.promise;
+    cell.status = result ? result.status : RUN_STATUS_ABORTED;
+    cell.build_number = result ? result.buildNumber : null;
+    cell.duration = result ? result.duration : null;
+    notify();
+  }));
+
+  matrix.status = getMatrixStatus(matrix.cells);
+  notify();
+  return matrix;
+}
+
+// ============================================
+// SUITE MATRIX MODAL
+// ============================================
+
+let matrixModalSuiteId = null;
+// Matrix runs in progress, keyed by suite ID
+const activeMatrixRuns = {};
+
+function openMatrixModal(suiteId) {
+  const suite = testSuites.find(s => s.id === suiteId);
+  if (!suite) return;
+  matrixModalSuiteId = suiteId;
+  document.getElementById('matrix-modal').classList.remove('hidden');
+  renderMatrixModal();
+}
+
+function closeMatrixModal() {
+  document.getElementById('matrix-modal').classList.add('hidden');
+  matrixModalSuiteId = null;
+}
+
+function renderMatrixModal() {
+  if (!matrixModalSuiteId) return;
+  const suite = testSuites.find(s => s.id === matrixModalSuiteId);
+  if (!suite) return;
+
+  const { axes, error } = parseMatrixDefinition(suite.matrix);
+  const matrix = activeMatrixRuns[suite.id] || suite.last_matrix_results || null;
+  const runButton = document.getElementById('matrix-run-btn');
+  runButton.disabled = !!activeMatrixRuns[suite.id] || !!error || axes.length === 0;
+
+  document.getElementById('matrix-modal-title').textContent = `Matrix: ${suite.name}`;
+  document.getElementById('matrix-modal-summary').textContent = error ||
+    `${axes.map(axis => `${axis.key}=[${axis.values.join(',')}]`).join(' × ')} - ${expandMatrix(axes).length} combination(s)` +
+    (matrix ? ` · last run ${new Date(matrix.run_time).toLocaleString()}` : '');
+  document.getElementById('matrix-grid').innerHTML = matrix
+    ? renderMatrixGrid(suite.id, matrix)
+    : '<p class="text-sm aero-text-muted">Not run yet.</p>';
+}
+
+/**
+ * Runs every combination of the suite's matrix and stores the grid on the suite.
+ */
+async function runSuiteMatrix(suiteId) {
+  const suite = testSuites.find(s => s.id === suiteId);
+  if (!suite || activeMatrixRuns[suiteId]) return;
+
+  const { axes, error } = parseMatrixDefinition(suite.matrix);
+  if (error || axes.length === 0 || getMatrixUnsupportedReason(suite)) {
+    showMessage(error || getMatrixUnsupportedReason(suite) || `"${suite.name}" has no matrix defined`, 'error');
+    return;
+  }
+
+  showMessage(`Queued ${expandMatrix(axes).length} matrix run(s) of "${suite.name}"`, 'info');
+  const matrix = await runMatrixCombinations(suiteId, axes, {
+    onChange: (current) => {
+      activeMatrixRuns[suiteId] = current;
+      if (matrixModalSuiteId === suiteId) renderMatrixModal();
+    }
+  });
+  delete activeMatrixRuns[suiteId];
+
+  // Job references only make sense in this session
+  const stored = { ...matrix, cells: matrix.cells.map(cell => ({ ...cell, job_id: null })) };
+  try {
+    await currentStorage.updateSuite(suiteId, {
+      last_matrix_results: stored,
+      last_run_status: matrix.status
+    });
+  } catch (updateError) {
+    console.error("Update error:", updateError);
+  }
+  suite.last_matrix_results = stored;
+  if (matrixModalSuiteId === suiteId) renderMatrixModal();
+
+  showMessage(`Matrix of "${suite.name}" finished: ${matrix.status}`, matrix.status === 'SUCCESS' ? 'success' : 'error');
+  return matrix;
+}
+
+/**
+ * Grid with the last axis as columns and all other combinations as rows.
+ * Each cell opens that combination's log.
+ * @param {string} suiteId
+ * @param {Object} matrix - Matrix result
+ * @param {boolean} [compact=false] - Smaller cells (pipeline cards)
+ */
+function renderMatrixGrid(suiteId, matrix, compact = false) {
+  const axes = matrix.axes || [];
+  if (axes.length === 0) return '';
+  const columnAxis = axes[axes.length - 1];
+  const rowCount = matrix.cells.length / columnAxis.values.length;
+
+  const header = `<tr><th></th>${columnAxis.values.map(value =>
+    `<th class="px-2 py-1 text-left font-semibold">${escapeHtml(`${columnAxis.key}=${value}`)}</th>`).join('')}</tr>`;
+
+  const rows = [];
+  for (let row = 0; row < rowCount; row++) {
+    const rowCells = matrix.cells.slice(row * columnAxis.values.length, (row + 1) * columnAxis.values.length);
+    const rowParameters = { ...rowCells[0].parameters };
+    delete rowParameters[columnAxis.key];
+
+    rows.push(`<tr>
+      <th class="px-2 py-1 text-left font-semibold whitespace-nowrap">${escapeHtml(formatMatrixCombination(rowParameters))}</th>
+      ${rowCells.map(cell => `
+        <td class="px-1 py-1">
+          <button onclick="showMatrixCellLog('${suiteId}', '${cell.job_id || ''}', ${cell.build_number || 0})"
+            class="w-full text-left hover:shadow rounded transition duration-200"
+            title="${escapeHtml(formatMatrixCombination(cell.parameters))}${cell.duration ? ` (${cell.duration}s)` : ''}">
+            ${compact ? getPipelineStatusIcon(cell.status) : getQueueJobStatusBadge(cell.status)}${cell.build_number && !compact ? ` <span class="aero-text-muted">#${cell.build_number}</span>` : ''}
+          </button>
+        </td>`).join('')}
+    </tr>`);
+  }
+
+  return `<table class="text-xs aero-text-secondary"><thead>${header}</thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Shows a cell's log: the live queue job while it exists, otherwise the
+ * run history entry of its build.
+ */
+async function showMatrixCellLog(suiteId, jobId, buildNumber) {
+  if (jobId && executionQueue.getJob(jobId)) {
+    showExecutionQueueJobLog(jobId);
+    return;
+  }
+
+  const suite = testSuites.find(s => s.id === suiteId) || { id: suiteId, name: 'Deleted suite' };
+  const run = buildNumber && window.runHistory ? await window.runHistory.getRunByBuild(suiteId, buildNumber) : null;
+  if (!run) {
+    showMessage('No log stored for this combination', 'info');
+    return;
+  }
+  showRunLogInModal(suite, run.log, run.status, buildNumber, 'suite', run);
+}
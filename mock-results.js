@@ -0,0 +1,132 @@
+// ============================================
+// MOCK RESULTS
+// Scripted results for simulation mode, so
+// pipelines, notifications and reports can be
+// exercised without a runtime.
+// ============================================
+
+// Suite mock_result Structure
+/*
+{
+  enabled: true,
+  status: "SUCCESS|FAILURE|ABORTED",
+  output: "Line 1\nLine 2",   // {{PARAM}} placeholders are filled from the suite parameters
+  error: "AssertionError",    // reported for FAILURE (optional)
+  duration_seconds: 3,        // output lines are streamed evenly over this time
+  flaky_probability: 0.2      // chance that a SUCCESS run fails anyway
+}
+*/
+
+const MOCK_RESULT_STATUSES = ['SUCCESS', 'FAILURE', 'ABORTED'];
+
+/**
+ * The suite's mock result with defaults filled in, or null when the suite
+ * does not define an enabled one.
+ * @param {Object} suite
+ * @returns {Object|null}
+ */
+function getSuiteMockResult(suite) {
+  const mock = suite && suite.mock_result;
+  if (!mock || !mock.enabled) return null;
+
+  return {
+    enabled: true,
+    status: MOCK_RESULT_STATUSES.includes(mock.status) ? mock.status : 'SUCCESS',
+    output: mock.output || '',
+    error: mock.error || '',
+    duration_seconds: Math.max(0, Number(mock.duration_seconds) || 0),
+    flaky_probability: Math.min(1, Math.max(0, Number(mock.flaky_probability) || 0))
+  };
+}
+
+/**
+ * Plays back a mock result like a real executor.
+ * @param {Object} mock - Result of getSuiteMockResult()
+ * @param {Object} [options]
+ * @param {Object} [options.parameters] - Used for {{PARAM}} placeholders
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onOutput] - Called with (stream, line)
+ * @returns {Promise<{success: boolean, output: string, error: string|null, exitCode: number, flaked: boolean}>}
+ * @throws {Error} An AbortError for mocks with status ABORTED
+ */
+async function runMockResult(mock, { parameters = {}, signal = null, onOutput = null } = {}) {
+  const output = applyParameterTemplate(mock.output, parameters);
+  const lines = output ? output.split('\n') : [];
+  const totalMs = mock.duration_seconds * 1000;
+  // ABORTED mocks stop halfway through the output (and the duration)
+  const shownLines = mock.status === 'ABORTED' ? lines.slice(0, Math.ceil(lines.length / 2)) : lines;
+  const stepMs = totalMs / Math.max(1, lines.length);
+
+  for (const line of shownLines) {
+    await waitUnlessAborted(stepMs, signal);
+    if (onOutput) onOutput('stdout', line);
+  }
+
+  if (lines.length === 0) {
+    await waitUnlessAborted(mock.status === 'ABORTED' ? totalMs / 2 : totalMs, signal);
+  }
+  if (mock.status === 'ABORTED') throw createAbortError('Simulated abort (mock result)');
+
+  const flaked = mock.status === 'SUCCESS' && Math.random() < mock.flaky_probability;
+  const success = mock.status === 'SUCCESS' && !flaked;
+  let error = null;
+  if (flaked) {
+    error = `Simulated flaky failure (probability ${Math.round(mock.flaky_probability * 100)}%)`;
+  } else if (!success) {
+    error = applyParameterTemplate(mock.error, parameters) || 'Simulated failure (mock result)';
+  }
+
+  return {
+    success,
+    output: shownLines.join('\n'),
+    error,
+    exitCode: success ? 0 : 1,
+    flaked
+  };
+}
+
+// ============================================
+// SUITE EDITOR
+// ============================================
+
+function loadMockResultIntoForm(mockResult) {
+  const mock = mockResult || {};
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+
+  const enabled = document.getElementById('mock_result_enabled');
+  if (enabled) enabled.checked = !!mock.enabled;
+  setValue('mock_result_status', MOCK_RESULT_STATUSES.includes(mock.status) ? mock.status : 'SUCCESS');
+  setValue('mock_result_output', mock.output || '');
+  setValue('mock_result_error', mock.error || '');
+  setValue('mock_result_duration', mock.duration_seconds || '');
+  setValue('mock_result_flaky', mock.flaky_probability ? Math.round(mock.flaky_probability * 100) : '');
+
+  const options = document.getElementById('mock-result-options');
+  if (options) options.classList.toggle('hidden', !mock.enabled);
+}
+
+/**
+ * @returns {Object|null} The mock_result to store on the suite
+ */
+function getMockResultFromForm() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value : '';
+  };
+  const enabled = document.getElementById('mock_result_enabled');
+  const mock = {
+    enabled: !!(enabled && enabled.checked),
+    status: value('mock_result_status') || 'SUCCESS',
+    output: value('mock_result_output'),
+    error: value('mock_result_error'),
+    duration_seconds: Math.max(0, parseFloat(value('mock_result_duration')) || 0),
+    flaky_probability: Math.min(100, Math.max(0, parseFloat(value('mock_result_flaky')) || 0)) / 100
+  };
+
+  // Nothing configured - do not store an empty object on every suite
+  if (!mock.enabled && !mock.output && !mock.error && !mock.duration_seconds && !mock.flaky_probability) return null;
+  return mock;
+}
@@ -16,9 +16,12 @@ function loadMonacoEditor() {
  return;
  }
 
+ // The AMD loader comes from the configured Monaco location (offline-assets.js)
+ const monacoBaseUrl = getAssetUrl('monaco');
+ loadScriptOnce(`${monacoBaseUrl}/loader.js`).then(() => {
  require.config({ 
  paths: { 
- 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.44.0/min/vs' 
+ 'vs': monacoBaseUrl 
  } 
  });
 
@@ -35,11 +38,15 @@ function loadMonacoEditor() {
  // Setup auto-completion providers
  setupAutoCompletion();
  
+ // Typings for the JavaScript/TypeScript suite sandbox
+ registerSandboxTypings();
+ 
  resolve();
  }, function(err) {
  console.error('Failed to load Monaco Editor:', err);
  reject(err);
  });
+ }).catch(reject);
  });
 }
 
@@ -554,10 +561,44 @@ function setupAutoCompletion() {
  });
 }
 
+/**
+ * Declares the globals available in JavaScript/TypeScript suites
+ * (see javascript-runtime.js) so they autocomplete and type-check
+ */
+function registerSandboxTypings() {
+ const typings = `
+interface LvxMatchers {
+ toBe(expected: any): boolean;
+ toEqual(expected: any): boolean;
+ toBeTruthy(): boolean;
+ toBeFalsy(): boolean;
+ toContain(expected: any): boolean;
+}
+declare function expect(actual: any): LvxMatchers;
+declare function assert(condition: any, message?: string): boolean;
+/** Suite parameters */
+declare const env: Readonly<Record<string, string>>;
+declare const process: { env: Readonly<Record<string, string>> };
+/** Paths of the attached input files */
+declare const inputFiles: string[];
+declare function readInputFile(path: string): string;
+declare function readInputFile(path: string, encoding: 'binary'): Uint8Array;
+declare function readInputFile(path: string, encoding: string): string;
+`;
+ monaco.languages.typescript.javascriptDefaults.addExtraLib(typings, 'ts:lvx-sandbox.d.ts');
+ monaco.languages.typescript.typescriptDefaults.addExtraLib(typings, 'ts:lvx-sandbox.d.ts');
+ // Suites may use top-level await
+ monaco.languages.typescript.typescriptDefaults.setCompilerOptions({
+ target: monaco.languages.typescript.ScriptTarget.ES2020,
+ module: monaco.languages.typescript.ModuleKind.ESNext,
+ allowNonTsExtensions: true
+ });
+}
+
 /**
  * Main initialization function
  * @param {string} containerId - ID of the container element
- * @param {string} language - Programming language (python, java, csharp, robot, robotframework)
+ * @param {string} language - Programming language (python, java, csharp, javascript, typescript, robot, robotframework)
  * @param {string} initialValue - Initial code content
  * @returns {Promise<monaco.editor.IStandaloneCodeEditor>} - Monaco editor instance
  */
@@ -576,12 +617,18 @@ async function initializeMonaco(containerId, language, initialValue = '') {
  // Map language aliases
  const languageMap = {
  'robot': 'robotframework',
+ 'robotframework': 'robotframework',
  'python': 'python',
  'java': 'java',
- 'csharp': 'csharp'
+ 'csharp': 'csharp',
+ 'javascript': 'javascript',
+ 'typescript': 'typescript'
  };
 
- const editorLanguage = languageMap[language.toLowerCase()] || 'plaintext';
+ // Executors may name any language Monaco knows (see executor-registry.js)
+ const requested = language.toLowerCase();
+ const editorLanguage = languageMap[requested] ||
+ (monaco.languages.getLanguages().some(lang => lang.id === requested) ? requested : 'plaintext');
 
  // Get container element
  const container = document.getElementById(containerId);
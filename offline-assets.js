@@ -0,0 +1,157 @@
+// ============================================
+// OFFLINE ASSETS
+// Configurable base URLs for Pyodide, Monaco and
+// the TypeScript compiler, plus the service
+// worker that keeps them (and the app) cached
+// for offline use. Loaded in <head>.
+// ============================================
+
+const ASSET_DEFAULT_URLS = {
+  pyodide: 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/',
+  monaco: 'https://cdn.jsdelivr.net/npm/monaco-editor@0.44.0/min/vs',
+  typescript: 'https://cdn.jsdelivr.net/npm/typescript@5.3.3/lib/typescript.js'
+};
+
+const loadedScripts = new Map();
+
+/**
+ * Configured URL of an asset. Read straight from localStorage because it
+ * is needed before script.js has loaded executionConfig.
+ * @param {string} name - 'pyodide' (directory), 'monaco' (vs directory) or 'typescript' (file)
+ */
+function getAssetUrl(name) {
+  let configured = '';
+  try {
+    const config = JSON.parse(localStorage.getItem('execution_config') || '{}');
+    configured = ((config.assetUrls || {})[name] || '').trim();
+  } catch (error) {
+    configured = '';
+  }
+
+  const url = configured || ASSET_DEFAULT_URLS[name];
+  if (name === 'pyodide') return url.endsWith('/') ? url : `${url}/`;
+  if (name === 'monaco') return url.replace(/\/+$/, '');
+  return url;
+}
+
+/**
+ * Adds a <script> tag once per URL.
+ * @returns {Promise<void>}
+ */
+function loadScriptOnce(url) {
+  if (!loadedScripts.has(url)) {
+    const loading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = url;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Failed to load ${url}`));
+      document.head.appendChild(script);
+    });
+    loading.catch(() => loadedScripts.delete(url));
+    loadedScripts.set(url, loading);
+  }
+  return loadedScripts.get(url);
+}
+
+// Monaco's stylesheet has to follow the configured location as well
+(() => {
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = `${getAssetUrl('monaco')}/editor/editor.main.css`;
+  document.head.appendChild(link);
+})();
+
+// ============================================
+// SERVICE WORKER
+// ============================================
+
+function isOfflineCacheSupported() {
+  return 'serviceWorker' in navigator && /^https?:$/.test(location.protocol);
+}
+
+async function registerOfflineServiceWorker() {
+  if (!isOfflineCacheSupported()) return;
+  try {
+    await navigator.serviceWorker.register('service-worker.js');
+    await postAssetUrlsToServiceWorker();
+  } catch (error) {
+    console.warn('Offline cache unavailable:', error);
+  }
+}
+
+/**
+ * Tells the service worker which URLs to keep cache-first (self-hosted
+ * mirrors may live on any host).
+ */
+async function postAssetUrlsToServiceWorker() {
+  if (!isOfflineCacheSupported()) return;
+  const registration = await navigator.serviceWorker.ready;
+  const bases = Object.keys(ASSET_DEFAULT_URLS).map(name => {
+    const url = new URL(getAssetUrl(name), location.href).href;
+    return name === 'typescript' ? url : url.replace(/\/?$/, '/');
+  });
+  registration.active.postMessage({ type: 'LVX_ASSET_BASES', bases });
+}
+
+window.addEventListener('load', registerOfflineServiceWorker);
+
+// ============================================
+// EXECUTION SETTINGS
+// ============================================
+
+function loadAssetSettingsIntoForm() {
+  Object.keys(ASSET_DEFAULT_URLS).forEach(name => {
+    const input = document.getElementById(`asset-url-${name}`);
+    if (input) {
+      input.value = ((executionConfig.assetUrls || {})[name]) || '';
+      input.placeholder = ASSET_DEFAULT_URLS[name];
+    }
+  });
+  renderOfflineCacheStatus();
+}
+
+/**
+ * @returns {boolean} Whether any URL changed (a reload is needed to use it)
+ */
+function saveAssetSettingsFromForm() {
+  const previous = JSON.stringify(executionConfig.assetUrls || {});
+  const assetUrls = {};
+  Object.keys(ASSET_DEFAULT_URLS).forEach(name => {
+    const input = document.getElementById(`asset-url-${name}`);
+    const value = input ? input.value.trim() : '';
+    if (value) assetUrls[name] = value;
+  });
+  executionConfig.assetUrls = assetUrls;
+  return JSON.stringify(assetUrls) !== previous;
+}
+
+async function renderOfflineCacheStatus() {
+  const status = document.getElementById('offline-cache-status');
+  if (!status) return;
+
+  if (!isOfflineCacheSupported()) {
+    status.textContent = 'Offline cache needs the app to be served over http(s) - not available for file:// pages.';
+    return;
+  }
+
+  try {
+    const names = (await caches.keys()).filter(name => name.startsWith('lvx-'));
+    let entries = 0;
+    for (const name of names) {
+      entries += (await (await caches.open(name)).keys()).length;
+    }
+    const controlled = navigator.serviceWorker.controller ? 'active' : 'installing (reload to activate)';
+    status.textContent = `Service worker ${controlled} · ${entries} cached files`;
+  } catch (error) {
+    status.textContent = `Offline cache unavailable: ${error.message}`;
+  }
+}
+
+async function clearOfflineCache() {
+  if (!confirm('Delete all cached app files, Pyodide and Monaco assets? They are downloaded again on next use.')) return;
+  const names = (await caches.keys()).filter(name => name.startsWith('lvx-'));
+  await Promise.all(names.map(name => caches.delete(name)));
+  await postAssetUrlsToServiceWorker();
+  showMessage('Offline cache cleared', 'success');
+  renderOfflineCacheStatus();
+}
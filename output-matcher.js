@@ -0,0 +1,263 @@
+// ============================================
+// OUTPUT MATCHER
+// Compares a suite's actual output against its
+// expected_output and builds a unified diff.
+// ============================================
+
+const OUTPUT_MATCH_MODES = {
+  exact: 'Exact',
+  trimmed: 'Trimmed / whitespace-insensitive',
+  regex: 'Regular expression',
+  contains_lines: 'Contains all lines',
+  json: 'JSON (structural)'
+};
+
+const DEFAULT_OUTPUT_MATCH_MODE = 'trimmed';
+
+// Above this many line pairs the LCS table gets too large for the browser
+const OUTPUT_DIFF_MAX_CELLS = 4000000;
+const OUTPUT_DIFF_CONTEXT = 3;
+
+/**
+ * Compares actual output against the expected output.
+ * @param {string} expected - The suite's expected_output
+ * @param {string} actual - Output produced by the run
+ * @param {string} [mode] - One of the OUTPUT_MATCH_MODES keys
+ * @returns {{matched: boolean, mode: string, message: string, diff: Array|null}}
+ *   diff is a list of {type: ' '|'-'|'+'|'@', text} entries, or null when
+ *   the outputs match or a diff is not meaningful for the mode
+ */
+function matchOutput(expected, actual, mode) {
+  mode = OUTPUT_MATCH_MODES[mode] ? mode : DEFAULT_OUTPUT_MATCH_MODE;
+  const expectedText = normalizeNewlines(expected);
+  const actualText = normalizeNewlines(actual);
+
+  switch (mode) {
+    case 'exact':
+      return buildLineMatchResult(mode, expectedText.split('\n'), actualText.split('\n'),
+        expectedText === actualText, 'Output is not exactly equal to the expected output');
+
+    case 'trimmed': {
+      const expectedLines = normalizeWhitespaceLines(expectedText);
+      const actualLines = normalizeWhitespaceLines(actualText);
+      const matched = expectedLines.length === actualLines.length &&
+        expectedLines.every((line, i) => line === actualLines[i]);
+      return buildLineMatchResult(mode, expectedLines, actualLines, matched,
+        'Output differs from the expected output (ignoring whitespace)');
+    }
+
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = parseExpectedRegex(expectedText);
+      } catch (error) {
+        return { matched: false, mode, message: `Invalid regular expression: ${error.message}`, diff: null };
+      }
+      const matched = pattern.test(actualText);
+      return {
+        matched,
+        mode,
+        message: matched ? `Output matches ${pattern}` : `Output does not match ${pattern}`,
+        diff: null
+      };
+    }
+
+    case 'contains_lines': {
+      const actualLines = new Set(actualText.split('\n').map(line => line.trim()));
+      const missing = expectedText.split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '' && !actualLines.has(line));
+      return {
+        matched: missing.length === 0,
+        mode,
+        message: missing.length === 0
+          ? 'Output contains all expected lines'
+          : `Output is missing ${missing.length} expected line(s)`,
+        diff: missing.length === 0 ? null : missing.map(line => ({ type: '-', text: line }))
+      };
+    }
+
+    case 'json': {
+      let expectedValue, actualValue;
+      try {
+        expectedValue = JSON.parse(expectedText);
+      } catch (error) {
+        return { matched: false, mode, message: `Expected output is not valid JSON: ${error.message}`, diff: null };
+      }
+      try {
+        actualValue = JSON.parse(actualText);
+      } catch (error) {
+        return { matched: false, mode, message: `Actual output is not valid JSON: ${error.message}`, diff: null };
+      }
+      const expectedLines = canonicalJSON(expectedValue).split('\n');
+      const actualLines = canonicalJSON(actualValue).split('\n');
+      const matched = expectedLines.join('\n') === actualLines.join('\n');
+      return buildLineMatchResult(mode, expectedLines, actualLines, matched,
+        'JSON output is structurally different from the expected JSON');
+    }
+  }
+}
+
+function buildLineMatchResult(mode, expectedLines, actualLines, matched, failureMessage) {
+  return {
+    matched,
+    mode,
+    message: matched ? 'Output matches the expected output' : failureMessage,
+    diff: matched ? null : createUnifiedDiff(expectedLines, actualLines)
+  };
+}
+
+function normalizeNewlines(text) {
+  return (text || '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Trims every line, collapses inner whitespace and drops blank lines at
+ * the start and end.
+ */
+function normalizeWhitespaceLines(text) {
+  const lines = text.split('\n').map(line => line.trim().replace(/\s+/g, ' '));
+  while (lines.length > 0 && lines[0] === '') lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Accepts either "/pattern/flags" or a bare pattern (compiled with the m flag).
+ */
+function parseExpectedRegex(text) {
+  const literal = text.trim().match(/^\/([\s\S]*)\/([gimsuy]*)$/);
+  if (literal) {
+    return new RegExp(literal[1], literal[2].replace('g', ''));
+  }
+  return new RegExp(text.trim(), 'm');
+}
+
+/**
+ * Pretty-prints JSON with object keys sorted so key order does not matter.
+ */
+function canonicalJSON(value) {
+  const sortKeys = (v) => {
+    if (Array.isArray(v)) return v.map(sortKeys);
+    if (v && typeof v === 'object') {
+      return Object.keys(v).sort().reduce((acc, key) => {
+        acc[key] = sortKeys(v[key]);
+        return acc;
+      }, {});
+    }
+    return v;
+  };
+  return JSON.stringify(sortKeys(value), null, 2);
+}
+
+// ============================================
+// UNIFIED DIFF
+// ============================================
+
+/**
+ * Builds a line-based unified diff (expected → actual) using an LCS table.
+ * @param {string[]} expectedLines
+ * @param {string[]} actualLines
+ * @returns {Array<{type: string, text: string}>}
+ */
+function createUnifiedDiff(expectedLines, actualLines) {
+  const n = expectedLines.length;
+  const m = actualLines.length;
+
+  if (n * m > OUTPUT_DIFF_MAX_CELLS) {
+    // Too big for a real diff - show everything as removed/added
+    return [
+      { type: '@', text: `@@ -1,${n} +1,${m} @@ (output too large for a line diff)` },
+      ...expectedLines.map(text => ({ type: '-', text })),
+      ...actualLines.map(text => ({ type: '+', text }))
+    ];
+  }
+
+  // lcs[i][j] = LCS length of expected[i..] and actual[j..], stored row-major
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = expectedLines[i] === actualLines[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  // Walk the table to get the full edit script
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && expectedLines[i] === actualLines[j]) {
+      ops.push({ type: ' ', text: expectedLines[i], oldLine: i, newLine: j });
+      i++; j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      ops.push({ type: '-', text: expectedLines[i], oldLine: i, newLine: j });
+      i++;
+    } else {
+      ops.push({ type: '+', text: actualLines[j], oldLine: i, newLine: j });
+      j++;
+    }
+  }
+
+  return groupDiffHunks(ops);
+}
+
+/**
+ * Collapses unchanged runs into hunks with a few lines of context.
+ */
+function groupDiffHunks(ops) {
+  const changed = ops.map((op, index) => op.type !== ' ' ? index : -1).filter(index => index !== -1);
+  if (changed.length === 0) return [];
+
+  const hunks = [];
+  let start = Math.max(0, changed[0] - OUTPUT_DIFF_CONTEXT);
+  let end = Math.min(ops.length - 1, changed[0] + OUTPUT_DIFF_CONTEXT);
+  for (let k = 1; k < changed.length; k++) {
+    if (changed[k] - OUTPUT_DIFF_CONTEXT <= end + 1) {
+      end = Math.min(ops.length - 1, changed[k] + OUTPUT_DIFF_CONTEXT);
+    } else {
+      hunks.push([start, end]);
+      start = changed[k] - OUTPUT_DIFF_CONTEXT;
+      end = Math.min(ops.length - 1, changed[k] + OUTPUT_DIFF_CONTEXT);
+    }
+  }
+  hunks.push([start, end]);
+
+  const diff = [];
+  hunks.forEach(([from, to]) => {
+    const slice = ops.slice(from, to + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    diff.push({
+      type: '@',
+      text: `@@ -${slice[0].oldLine + 1},${oldCount} +${slice[0].newLine + 1},${newCount} @@`
+    });
+    slice.forEach(op => diff.push({ type: op.type, text: op.text }));
+  });
+  return diff;
+}
+
+/**
+ * Plain-text unified diff, used in the stored log.
+ */
+function formatDiffAsText(diff) {
+  if (!diff || diff.length === 0) return '';
+  const header = diff[0].type === '@' ? '--- expected\n+++ actual\n' : '';
+  return header + diff.map(entry => entry.type === '@' ? entry.text : entry.type + entry.text).join('\n');
+}
+
+/**
+ * Colored diff for the run modal.
+ */
+function renderDiffHtml(diff) {
+  const styles = {
+    '+': 'background: #E6FFEC; color: #116329;',
+    '-': 'background: #FFEBE9; color: #82071E;',
+    '@': 'background: #DDF4FF; color: #0550AE;',
+    ' ': ''
+  };
+  return diff.map(entry => {
+    const prefix = entry.type === '@' ? '' : entry.type;
+    return `<div style="${styles[entry.type]}">${escapeHtml(prefix + entry.text) || '&nbsp;'}</div>`;
+  }).join('');
+}
@@ -0,0 +1,484 @@
+// ============================================
+// PIPELINES
+// Multi-stage pipeline definitions that chain
+// test suites and run them as a unit.
+// ============================================
+
+// Pipeline Object Structure
+/*
+{
+  id: "storage-generated-id",
+  name: "Nightly",
+  description: "What this pipeline does",
+  matrix: "ENV=[staging,prod]",                 // optional, see matrix-runs.js
+  stages: [
+    {
+      name: "Build checks",
+      suite_ids: ["suite-id-1", "suite-id-2"],  // Run sequentially, in order
+      on_failure: "stop|continue"
+    }
+  ],
+  last_run_status: "SUCCESS|FAILURE|RUNNING|NEVER_RUN",
+  last_run_time: "ISO timestamp",
+  last_stage_results: [
+    {
+      name: "Build checks",
+      status: "PENDING|RUNNING|SUCCESS|FAILURE|SKIPPED",
+      suites: [{ suite_id, name, status, duration, matrix }]  // matrix: grid of matrix runs, if any
+    }
+  ]
+}
+*/
+
+let pipelines = [];
+let editingPipelineId = null;
+
+// Stage results of pipelines that are currently running, keyed by pipeline ID.
+// Shown instead of the stored results until the run has finished.
+const activePipelineRuns = {};
+
+/**
+ * Storage subscription callback - keeps the local pipeline list in sync.
+ * @param {Array} list - All pipelines from the current storage backend
+ */
+function renderPipelines(list) {
+  pipelines = list || [];
+  window.pipelines = pipelines;
+
+  const modal = document.getElementById('pipelines-modal');
+  if (modal && !modal.classList.contains('hidden')) {
+    renderPipelinesList();
+  }
+}
+
+// ============================================
+// PIPELINES MODAL
+// ============================================
+
+function openPipelinesModal() {
+  if (!currentStorage) {
+    showMessage("Please configure storage first", 'error');
+    return;
+  }
+  renderPipelinesList();
+  document.getElementById('pipelines-modal').classList.remove('hidden');
+  document.body.classList.add('modal-open');
+}
+
+function closePipelinesModal() {
+  document.getElementById('pipelines-modal').classList.add('hidden');
+  document.body.classList.remove('modal-open');
+}
+
+function renderPipelinesList() {
+  const container = document.getElementById('pipelines-list');
+  if (!container) return;
+
+  if (pipelines.length === 0) {
+    container.innerHTML = `
+      <div class="text-center py-12 aero-text-muted">
+        <p class="text-lg mb-2">No pipelines yet</p>
+        <p class="text-sm">Create a pipeline to chain test suites into stages.</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = pipelines.map(createPipelineCard).join('');
+}
+
+/**
+ * Builds the card for one pipeline, with one status column per stage.
+ * @param {Object} pipeline
+ * @returns {string} HTML
+ */
+function createPipelineCard(pipeline) {
+  const isRunning = !!activePipelineRuns[pipeline.id];
+  const stageResults = activePipelineRuns[pipeline.id] || pipeline.last_stage_results || [];
+  const status = isRunning ? 'RUNNING' : (pipeline.last_run_status || 'NEVER_RUN');
+  const lastRunTime = pipeline.last_run_time
+    ? new Date(pipeline.last_run_time).toLocaleString()
+    : 'Never run';
+
+  const stagesHtml = (pipeline.stages || []).map((stage, index) => {
+    const result = stageResults[index] || {};
+    const stageStatus = result.status || 'PENDING';
+    const suiteRows = (stage.suite_ids || []).map((suiteId, suiteIndex) => {
+      const suiteResult = (result.suites && result.suites[suiteIndex]) || {};
+      const suite = testSuites.find(s => s.id === suiteId);
+      const suiteName = suite ? suite.name : (suiteResult.name || 'Missing suite');
+      const suiteStatus = suiteResult.status || 'PENDING';
+      const duration = suiteResult.duration ? ` (${suiteResult.duration}s)` : '';
+      return `
+        <button onclick="showPipelineSuiteLog('${suiteId}')"
+          class="w-full text-left text-xs p-2 rounded aero-glass-panel hover:shadow transition duration-200"
+          title="Show last log">
+          ${getPipelineStatusIcon(suiteStatus)} ${escapeHtml(suiteName)}${duration}
+        </button>
+        ${suiteResult.matrix ? `<div class="pl-2 overflow-x-auto">${renderMatrixGrid(suiteId, suiteResult.matrix, true)}</div>` : ''}
+      `;
+    }).join('');
+
+    return `
+      <div class="flex-1 min-w-[180px] p-3 rounded-lg aero-card">
+        <div class="flex justify-between items-center mb-2">
+          <span class="font-semibold text-sm aero-text-primary">${index + 1}. ${escapeHtml(stage.name || 'Stage ' + (index + 1))}</span>
+          ${getPipelineStatusBadge(stageStatus)}
+        </div>
+        <div class="text-xs aero-text-muted mb-2">On failure: ${stage.on_failure === 'continue' ? 'continue' : 'stop'}</div>
+        <div class="space-y-1">${suiteRows}</div>
+      </div>
+    `;
+  }).join('<div class="self-center aero-text-muted">→</div>');
+
+  return `
+    <div class="aero-card p-4 rounded-lg">
+      <div class="flex justify-between items-start mb-3">
+        <div class="flex-1">
+          <h4 class="font-semibold text-lg aero-text-primary mb-1">${escapeHtml(pipeline.name)}</h4>
+          <p class="text-sm aero-text-muted mb-2">${escapeHtml(pipeline.description || 'No description')}</p>
+          <div class="flex flex-wrap gap-2 items-center">
+            ${getPipelineStatusBadge(status)}
+            <span class="text-xs aero-text-muted">Last run: ${lastRunTime}</span>
+          </div>
+        </div>
+        <div class="flex gap-2 ml-4">
+          <button onclick="runPipeline('${pipeline.id}')" ${isRunning ? 'disabled' : ''}
+            class="aero-button-success py-1 px-3 rounded transition duration-200"
+            title="Run Pipeline">
+            ${isRunning ? '<div class="spinner"></div>' : '▶ Run'}
+          </button>
+          <button onclick="downloadPipelineJUnit('${pipeline.id}')" ${isRunning || !pipeline.last_stage_results ? 'disabled' : ''}
+            class="aero-button-gray py-1 px-3 rounded transition duration-200"
+            title="Download the last run as JUnit XML">
+            JUnit
+          </button>
+          <button onclick="openPipelineEditor('${pipeline.id}')" ${isRunning ? 'disabled' : ''}
+            class="aero-button-primary py-1 px-3 rounded transition duration-200"
+            title="Edit Pipeline">
+            ✎ Edit
+          </button>
+          <button onclick="confirmDeletePipeline('${pipeline.id}')" ${isRunning ? 'disabled' : ''}
+            class="aero-button-danger py-1 px-3 rounded transition duration-200"
+            title="Delete Pipeline">
+            ✕
+          </button>
+        </div>
+      </div>
+      <div class="flex gap-2 overflow-x-auto">${stagesHtml}</div>
+    </div>
+  `;
+}
+
+function getPipelineStatusBadge(status) {
+  const badges = {
+    'SUCCESS': '<span class="aero-badge-success text-xs">✓ SUCCESS</span>',
+    'FAILURE': '<span class="aero-badge-error text-xs">✗ FAILURE</span>',
+    'RUNNING': '<span class="aero-badge-info text-xs">● RUNNING</span>',
+    'SKIPPED': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #E0E0E0 0%, #BDBDBD 100%); color: #424242;">⊘ SKIPPED</span>',
+    'PENDING': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #E0E0E0 0%, #BDBDBD 100%); color: #424242;">● PENDING</span>',
+    'NEVER_RUN': '<span class="px-2 py-1 rounded text-xs" style="background: linear-gradient(180deg, #E0E0E0 0%, #BDBDBD 100%); color: #424242;">● NOT RUN</span>'
+  };
+  return badges[status] || badges['PENDING'];
+}
+
+function getPipelineStatusIcon(status) {
+  const icons = {
+    'SUCCESS': '<span class="text-green-600">✓</span>',
+    'FAILURE': '<span class="text-red-600">✗</span>',
+    'RUNNING': '<span class="text-blue-600">●</span>',
+    'SKIPPED': '<span class="text-gray-500">⊘</span>'
+  };
+  return icons[status] || '<span class="text-gray-400">○</span>';
+}
+
+/**
+ * Opens the last stored log of a suite on top of the pipeline view.
+ */
+function showPipelineSuiteLog(suiteId) {
+  const suite = testSuites.find(s => s.id === suiteId);
+  if (!suite) {
+    showMessage('Suite not found - it may have been deleted', 'error');
+    return;
+  }
+  if (!suite.last_run_log) {
+    showMessage(`"${suite.name}" has no stored log yet`, 'info');
+    return;
+  }
+  showRunLogInModal(suite, suite.last_run_log, suite.last_run_status);
+}
+
+/**
+ * Downloads the pipeline's last run as a JUnit XML report.
+ */
+function downloadPipelineJUnit(pipelineId) {
+  const pipeline = pipelines.find(p => p.id === pipelineId);
+  if (!pipeline || !pipeline.last_stage_results) {
+    showMessage('This pipeline has not been run yet', 'info');
+    return;
+  }
+  downloadJUnitXml(getPipelineJUnitReport(pipeline), `${pipeline.name}_junit.xml`);
+}
+
+// ============================================
+// PIPELINE EDITOR
+// ============================================
+
+function openPipelineEditor(pipelineId = null) {
+  editingPipelineId = pipelineId;
+  const pipeline = pipelineId ? pipelines.find(p => p.id === pipelineId) : null;
+
+  document.getElementById('pipeline-editor-title').textContent = pipeline ? 'Edit Pipeline' : 'Create Pipeline';
+  document.getElementById('pipeline-name').value = pipeline ? pipeline.name : '';
+  document.getElementById('pipeline-description').value = pipeline ? (pipeline.description || '') : '';
+  document.getElementById('pipeline-matrix').value = pipeline ? (pipeline.matrix || '') : '';
+
+  document.getElementById('pipeline-stages-container').innerHTML = '';
+  const stages = pipeline && pipeline.stages.length > 0 ? pipeline.stages : [{ name: 'Stage 1', suite_ids: [], on_failure: 'stop' }];
+  stages.forEach(stage => addPipelineStage(stage));
+
+  document.getElementById('pipeline-editor-modal').classList.remove('hidden');
+}
+
+function closePipelineEditor() {
+  document.getElementById('pipeline-editor-modal').classList.add('hidden');
+  editingPipelineId = null;
+}
+
+/**
+ * Appends a stage row to the editor form.
+ * @param {Object} [stage] - Existing stage to prefill
+ */
+function addPipelineStage(stage = null) {
+  const container = document.getElementById('pipeline-stages-container');
+  const stageNumber = container.children.length + 1;
+  const selectedIds = stage ? (stage.suite_ids || []) : [];
+
+  const row = document.createElement('div');
+  row.className = 'pipeline-stage-row aero-glass-panel p-3 rounded-lg';
+
+  const suiteOptions = testSuites.length === 0
+    ? '<p class="text-xs aero-text-muted">No test suites available</p>'
+    : testSuites.map(suite => `
+      <label class="flex items-center gap-2 text-sm aero-text-secondary">
+        <input type="checkbox" class="pipeline-stage-suite" value="${suite.id}" ${selectedIds.includes(suite.id) ? 'checked' : ''}>
+        ${escapeHtml(suite.name)} <span class="text-xs aero-text-muted">(${escapeHtml(suite.language)})</span>
+      </label>
+    `).join('');
+
+  row.innerHTML = `
+    <div class="flex gap-2 mb-2">
+      <input type="text" class="pipeline-stage-name flex-1 aero-input p-2 rounded text-sm" placeholder="Stage name">
+      <select class="pipeline-stage-on-failure aero-input p-2 rounded text-sm" title="What happens when a suite in this stage fails">
+        <option value="stop">Stop on failure</option>
+        <option value="continue">Continue on failure</option>
+      </select>
+      <button type="button" onclick="removePipelineStage(this)" class="aero-button-danger px-3 rounded text-sm" title="Remove stage">✕</button>
+    </div>
+    <div class="max-h-40 overflow-y-auto space-y-1 pl-1">${suiteOptions}</div>
+  `;
+  row.querySelector('.pipeline-stage-name').value = stage ? (stage.name || '') : `Stage ${stageNumber}`;
+  row.querySelector('.pipeline-stage-on-failure').value = stage && stage.on_failure === 'continue' ? 'continue' : 'stop';
+
+  container.appendChild(row);
+}
+
+function removePipelineStage(button) {
+  button.closest('.pipeline-stage-row').remove();
+}
+
+function getPipelineStagesFromForm() {
+  const rows = document.querySelectorAll('#pipeline-stages-container .pipeline-stage-row');
+  return Array.from(rows).map((row, index) => ({
+    name: row.querySelector('.pipeline-stage-name').value.trim() || `Stage ${index + 1}`,
+    on_failure: row.querySelector('.pipeline-stage-on-failure').value,
+    suite_ids: Array.from(row.querySelectorAll('.pipeline-stage-suite:checked')).map(cb => cb.value)
+  }));
+}
+
+async function savePipelineFromForm(event) {
+  event.preventDefault();
+
+  if (!currentStorage) {
+    showMessage("Please configure storage first", 'error');
+    return;
+  }
+
+  const name = document.getElementById('pipeline-name').value.trim();
+  const stages = getPipelineStagesFromForm();
+
+  if (!name) {
+    showMessage('Pipeline name is required', 'error');
+    return;
+  }
+  if (stages.length === 0) {
+    showMessage('A pipeline needs at least one stage', 'error');
+    return;
+  }
+  const emptyStage = stages.find(stage => stage.suite_ids.length === 0);
+  if (emptyStage) {
+    showMessage(`Stage "${emptyStage.name}" has no test suites`, 'error');
+    return;
+  }
+  const matrix = document.getElementById('pipeline-matrix').value.trim();
+  const matrixError = parseMatrixDefinition(matrix).error;
+  if (matrixError) {
+    showMessage(matrixError, 'error');
+    return;
+  }
+
+  const pipeline = {
+    name,
+    description: document.getElementById('pipeline-description').value.trim(),
+    matrix,
+    stages
+  };
+
+  try {
+    if (editingPipelineId) {
+      // Stage layout may have changed, so old results no longer line up
+      pipeline.last_stage_results = null;
+      await currentStorage.updatePipeline(editingPipelineId, pipeline);
+      showMessage('Pipeline updated', 'success');
+    } else {
+      await currentStorage.savePipeline(pipeline);
+      showMessage('Pipeline created', 'success');
+    }
+    closePipelineEditor();
+  } catch (error) {
+    console.error("Save pipeline error:", error);
+    showMessage("Failed to save pipeline: " + error.message, 'error');
+  }
+}
+
+async function confirmDeletePipeline(pipelineId) {
+  const pipeline = pipelines.find(p => p.id === pipelineId);
+  if (!pipeline) return;
+  if (!confirm(`Delete pipeline "${pipeline.name}"? The test suites themselves are kept.`)) return;
+
+  try {
+    await currentStorage.deletePipeline(pipelineId);
+    showMessage('Pipeline deleted', 'success');
+  } catch (error) {
+    console.error("Delete pipeline error:", error);
+    showMessage("Failed to delete pipeline: " + error.message, 'error');
+  }
+}
+
+// ============================================
+// PIPELINE EXECUTION
+// ============================================
+
+/**
+ * Runs all stages of a pipeline in order. Suites within a stage run one
+ * after another. When a stage fails and its on_failure is "stop", the
+ * remaining stages are marked SKIPPED. Suites with a matrix (their own or
+ * the pipeline's) run all combinations and fail if any combination fails.
+ * @param {string} pipelineId
+ * @returns {Promise<string|undefined>} Final pipeline status
+ */
+async function runPipeline(pipelineId) {
+  const pipeline = pipelines.find(p => p.id === pipelineId);
+  if (!pipeline) {
+    showMessage('Pipeline not found', 'error');
+    return;
+  }
+  if (activePipelineRuns[pipelineId]) {
+    showMessage(`Pipeline "${pipeline.name}" is already running`, 'info');
+    return;
+  }
+
+  const stageResults = pipeline.stages.map(stage => ({
+    name: stage.name,
+    status: 'PENDING',
+    suites: stage.suite_ids.map(suiteId => {
+      const suite = testSuites.find(s => s.id === suiteId);
+      return { suite_id: suiteId, name: suite ? suite.name : 'Missing suite', status: 'PENDING', duration: 0 };
+    })
+  }));
+  activePipelineRuns[pipelineId] = stageResults;
+  renderPipelinesList();
+  showMessage(`Running pipeline "${pipeline.name}"...`, 'info');
+
+  let pipelineFailed = false;
+  let stopped = false;
+  const pipelineAxes = parseMatrixDefinition(pipeline.matrix).axes;
+
+  for (let i = 0; i < pipeline.stages.length; i++) {
+    const stage = pipeline.stages[i];
+    const stageResult = stageResults[i];
+
+    if (stopped) {
+      stageResult.status = 'SKIPPED';
+      stageResult.suites.forEach(s => s.status = 'SKIPPED');
+      continue;
+    }
+
+    stageResult.status = 'RUNNING';
+    let stageFailed = false;
+
+    for (const suiteResult of stageResult.suites) {
+      suiteResult.status = 'RUNNING';
+      renderPipelinesList();
+
+      const suite = testSuites.find(s => s.id === suiteResult.suite_id);
+      const axes = suite ? combineMatrixAxes(parseMatrixDefinition(suite.matrix).axes, pipelineAxes) : [];
+
+      let result;
+      try {
+        if (axes.length > 0) {
+          const started = Date.now();
+          const matrix = await runMatrixCombinations(suiteResult.suite_id, axes, {
+            source: 'pipeline',
+            onChange: (current) => {
+              suiteResult.matrix = current;
+              renderPipelinesList();
+            }
+          });
+          suiteResult.matrix = matrix;
+          result = { status: matrix.status, duration: parseFloat(((Date.now() - started) / 1000).toFixed(2)) };
+        } else {
+          const job = executionQueue.enqueue(suiteResult.suite_id, { source: 'pipeline' });
+          result = job ? await job.promise : null;
+        }
+      } catch (error) {
+        console.error(`Pipeline suite ${suiteResult.suite_id} crashed:`, error);
+      }
+
+      // No result when the suite no longer exists or the job was cancelled
+      suiteResult.status = result && result.status === 'SUCCESS' ? 'SUCCESS' : 'FAILURE';
+      suiteResult.duration = result ? result.duration : 0;
+      if (suiteResult.status === 'FAILURE') stageFailed = true;
+    }
+
+    stageResult.status = stageFailed ? 'FAILURE' : 'SUCCESS';
+    if (stageFailed) {
+      pipelineFailed = true;
+      if (stage.on_failure !== 'continue') stopped = true;
+    }
+    renderPipelinesList();
+  }
+
+  const finalStatus = pipelineFailed ? 'FAILURE' : 'SUCCESS';
+  delete activePipelineRuns[pipelineId];
+
+  try {
+    await currentStorage.updatePipeline(pipelineId, {
+      last_run_status: finalStatus,
+      last_run_time: new Date().toISOString(),
+      last_stage_results: stageResults
+    });
+  } catch (error) {
+    console.error("Pipeline update error:", error);
+    showMessage("Failed to store pipeline result: " + error.message, 'error');
+  }
+
+  // Keep the view current even if the backend does not push changes
+  pipeline.last_run_status = finalStatus;
+  pipeline.last_run_time = new Date().toISOString();
+  pipeline.last_stage_results = stageResults;
+  renderPipelinesList();
+
+  showMessage(`Pipeline "${pipeline.name}" finished: ${finalStatus}`, finalStatus === 'SUCCESS' ? 'success' : 'error');
+  return finalStatus;
+}
@@ -0,0 +1,297 @@
+// ============================================
+// PYODIDE WORKER
+// Sandboxed Python runtime for suites, unit tests
+// and Robot Framework. Runs off the main thread,
+// gives every run a fresh namespace and its own
+// FS directory, and streams stdout/stderr back.
+// ============================================
+
+/* Messages
+   in:  { id, type: 'run', mode: 'script|unit|robot', code,
+          inputFiles: [{path, bytes}], parameters: {KEY: value},
+          requirements: "requirements.txt content",
+          variables: {name: value} }                 (extra globals, script mode only)
+        { id, type: 'cancel' }                       (drops a run that has not started yet)
+   out: { id, type: 'output', stream: 'stdout|stderr|event', text }   (one per line, while running)
+        "event" lines come from the Robot listener.
+        { id, type: 'result', result: {success, output, error, stderr, exitCode, value, packages, junitReports} }
+        junitReports: [{path, text}] - JUnit XML files the run wrote (e.g. pytest --junitxml)
+        artifacts: [{name, content}] - output.xml, log.html and report.html of a robot run
+                   (output.xml is parsed on the page, see robot-results.js)
+*/
+
+// The page passes the configured Pyodide location (see offline-assets.js)
+const PYODIDE_BASE_URL = new URL(self.location.href).searchParams.get('pyodide') ||
+  'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/';
+
+importScripts(`${PYODIDE_BASE_URL}pyodide.js`);
+importScripts('input-files.js');
+importScripts('python-packages.js');
+
+const RUNS_BASE_DIR = '/tmp/lvx_runs';
+const ROBOT_ARTIFACT_FILES = ['output.xml', 'log.html', 'report.html'];
+
+let pyodideReady = null;
+let currentRunId = null;
+let robotFrameworkReady = null;
+
+// Runs share one interpreter, so they must not interleave at await points
+let runChain = Promise.resolve();
+const cancelledRunIds = new Set();
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'cancel') {
+    cancelledRunIds.add(message.id);
+    return;
+  }
+  if (message.type !== 'run') return;
+
+  runChain = runChain.then(async () => {
+    // The page already settled cancelled runs, they get no result
+    if (cancelledRunIds.delete(message.id)) return;
+    let result;
+    try {
+      result = await executeRun(message);
+    } catch (error) {
+      result = { success: false, output: '', error: `Python worker error: ${error.message}`, stderr: error.message };
+    }
+    self.postMessage({ id: message.id, type: 'result', result });
+  }).catch(error => {
+    // A failed run must not hold up the runs queued behind it
+    console.error('Python worker run failed:', error);
+  });
+};
+
+// Called from the Robot listener below (imported in Python via "from js import ...")
+self.lvxRobotEvent = (text) => {
+  self.postMessage({ id: currentRunId, type: 'output', stream: 'event', text });
+};
+
+const ROBOT_LISTENER_SOURCE = `
+from js import lvxRobotEvent
+
+class LvxStreamListener:
+    ROBOT_LISTENER_API_VERSION = 2
+
+    def start_suite(self, name, attrs):
+        lvxRobotEvent(f"START SUITE {name}")
+
+    def end_suite(self, name, attrs):
+        lvxRobotEvent(f"END SUITE {name} {attrs['status']}")
+
+    def start_test(self, name, attrs):
+        lvxRobotEvent(f"START TEST {name}")
+
+    def end_test(self, name, attrs):
+        message = f" - {attrs['message']}" if attrs['message'] else ''
+        lvxRobotEvent(f"END TEST {name} {attrs['status']}{message}")
+
+    def start_keyword(self, name, attrs):
+        lvxRobotEvent(f"  KEYWORD {attrs['kwname']}    {'    '.join(attrs['args'])}".rstrip())
+
+    def end_keyword(self, name, attrs):
+        if attrs['status'] == 'FAIL':
+            lvxRobotEvent(f"  KEYWORD {attrs['kwname']} FAIL")
+`;
+
+// Finds JUnit/xUnit XML files the run wrote into its directory
+const JUNIT_REPORT_SCAN_SOURCE = `
+import os
+junit_reports = []
+for root, dirs, files in os.walk(run_dir):
+    for name in files:
+        path = os.path.join(root, name)
+        relative = os.path.relpath(path, run_dir)
+        if not name.lower().endswith('.xml') or relative in input_paths or os.path.getsize(path) > 5_000_000:
+            continue
+        with open(path, encoding='utf-8', errors='replace') as f:
+            text = f.read()
+        if '<testsuite' in text or '<assembly' in text:
+            junit_reports.append([relative, text])
+junit_reports
+`;
+
+function getPyodide() {
+  if (!pyodideReady) {
+    pyodideReady = loadPyodide({ indexURL: PYODIDE_BASE_URL });
+  }
+  return pyodideReady;
+}
+
+function installRobotFramework(pyodide) {
+  if (!robotFrameworkReady) {
+    // Goes through the offline wheel cache like suite requirements
+    robotFrameworkReady = installPythonRequirements(pyodide, 'robotframework');
+    // Allow a retry after a failed install (e.g. offline)
+    robotFrameworkReady.catch(() => { robotFrameworkReady = null; });
+  }
+  return robotFrameworkReady;
+}
+
+/**
+ * Runs one script, unit test or robot suite in its own directory and namespace.
+ */
+async function executeRun({ id, mode = 'script', code, inputFiles = [], parameters = {}, requirements = '', variables = {} }) {
+  currentRunId = id;
+  let pyodide;
+  try {
+    pyodide = await getPyodide();
+  } catch (error) {
+    return { success: false, output: '', error: `Failed to load Pyodide: ${error.message}` };
+  }
+
+  const combined = [];
+  const stderrLines = [];
+  pyodide.setStdout({
+    batched: (text) => {
+      combined.push(text);
+      self.postMessage({ id, type: 'output', stream: 'stdout', text });
+    }
+  });
+  pyodide.setStderr({
+    batched: (text) => {
+      combined.push(text);
+      stderrLines.push(text);
+      self.postMessage({ id, type: 'output', stream: 'stderr', text });
+    }
+  });
+
+  const runDir = `${RUNS_BASE_DIR}/${id}`;
+  const sandbox = pyodide.globals.get('dict')();
+  const namespace = pyodide.globals.get('dict')();
+  namespace.set('__name__', '__main__');
+
+  let entered = false;
+  let packages = [];
+  try {
+    if (mode === 'robot') {
+      await installRobotFramework(pyodide);
+    }
+    // Installed packages stay in site-packages for later runs
+    packages = await installPythonRequirements(pyodide, requirements,
+      text => self.postMessage({ id, type: 'output', stream: 'stderr', text }));
+
+    pyodide.FS.mkdirTree(runDir);
+    writeInputFilesToPyodide(pyodide, inputFiles, runDir);
+    // writeInputFilesToPyodide defines input_files() in the shared globals
+    namespace.set('input_files', pyodide.globals.get('input_files'));
+    Object.entries(variables || {}).forEach(([name, value]) => namespace.set(name, pyodide.toPy(value)));
+
+    sandbox.set('run_dir', runDir);
+    sandbox.set('params', pyodide.toPy(parameters));
+    pyodide.runPython(`
+import os, sys
+previous_cwd = os.getcwd()
+saved_env = {k: os.environ.get(k) for k in params}
+os.environ.update({k: str(v) for k, v in params.items()})
+os.chdir(run_dir)
+sys.path.insert(0, run_dir)
+`, { globals: sandbox });
+    entered = true;
+
+    if (mode === 'robot') {
+      pyodide.FS.writeFile(`${runDir}/test_suite.robot`, code);
+      pyodide.runPython(ROBOT_LISTENER_SOURCE, { globals: sandbox });
+      const exitCode = await pyodide.runPythonAsync(`
+from robot import run
+run('test_suite.robot', outputdir=run_dir, output='output.xml', log='log.html', report='report.html',
+    variable=[f"{k}:{v}" for k, v in params.items()], listener=LvxStreamListener())
+`, { globals: sandbox });
+      return {
+        success: exitCode === 0,
+        output: combined.join('\n'),
+        error: exitCode === 0 ? null : (stderrLines.join('\n') || null),
+        stderr: stderrLines.join('\n'),
+        exitCode,
+        packages,
+        artifacts: ROBOT_ARTIFACT_FILES
+          .map(name => ({ name, content: readRunFile(pyodide, `${runDir}/${name}`) }))
+          .filter(artifact => artifact.content !== null)
+      };
+    }
+
+    const value = await pyodide.runPythonAsync(code, { globals: namespace });
+    return {
+      success: true,
+      output: combined.join('\n'),
+      error: null,
+      stderr: stderrLines.join('\n'),
+      value: value === undefined || value === null ? null : String(value),
+      packages,
+      junitReports: collectJUnitReports(pyodide, sandbox, inputFiles)
+    };
+  } catch (error) {
+    // Show the traceback in the live output as well
+    self.postMessage({ id, type: 'output', stream: 'stderr', text: error.message });
+    return {
+      success: false,
+      output: combined.join('\n'),
+      error: error.message,
+      stderr: stderrLines.concat(error.message).join('\n'),
+      exitCode: mode === 'robot' ? -1 : undefined,
+      packages,
+      // pytest.main() inside sys.exit() still leaves its report behind
+      junitReports: entered ? collectJUnitReports(pyodide, sandbox, inputFiles) : []
+    };
+  } finally {
+    if (entered) leaveRunDirectory(pyodide, sandbox);
+    sandbox.destroy();
+    namespace.destroy();
+  }
+}
+
+/**
+ * Text of a file the run wrote, or null when it does not exist.
+ */
+function readRunFile(pyodide, path) {
+  try {
+    return pyodide.FS.readFile(path, { encoding: 'utf8' });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * JUnit reports in the run directory, without the suite's own input files.
+ * @returns {Array<{path: string, text: string}>}
+ */
+function collectJUnitReports(pyodide, sandbox, inputFiles) {
+  let reports = null;
+  try {
+    sandbox.set('input_paths', pyodide.toPy(inputFiles.map(file => file.path)));
+    reports = pyodide.runPython(JUNIT_REPORT_SCAN_SOURCE, { globals: sandbox });
+    return reports.toJs().map(([path, text]) => ({ path, text }));
+  } catch (error) {
+    console.warn('Failed to collect JUnit reports:', error);
+    return [];
+  } finally {
+    if (reports) reports.destroy();
+  }
+}
+
+/**
+ * Restores cwd, sys.path and os.environ, forgets modules imported from the
+ * run directory and deletes it, so nothing leaks into the next run.
+ */
+function leaveRunDirectory(pyodide, sandbox) {
+  try {
+    pyodide.runPython(`
+import os, sys, shutil
+os.chdir(previous_cwd)
+if run_dir in sys.path:
+    sys.path.remove(run_dir)
+for name, module in list(sys.modules.items()):
+    if (getattr(module, '__file__', None) or '').startswith(run_dir):
+        del sys.modules[name]
+for k, v in saved_env.items():
+    if v is None:
+        os.environ.pop(k, None)
+    else:
+        os.environ[k] = v
+shutil.rmtree(run_dir, ignore_errors=True)
+`, { globals: sandbox });
+  } catch (error) {
+    console.warn('Failed to clean up Python run:', error);
+  }
+}
@@ -0,0 +1,248 @@
+// ============================================
+// PYTHON PACKAGES
+// Per-suite requirements for Pyodide, installed
+// with micropip. Wheels are cached in IndexedDB
+// so suites keep working offline. Shared by the
+// page and pyodide-worker.js.
+// ============================================
+
+/* Resolution order for every requirement line:
+   1. A wheel in the offline cache (uploaded, or downloaded by an earlier run)
+   2. A pure-Python wheel from PyPI, which is added to the cache
+   3. micropip.install() - Pyodide's own packages (numpy, pandas, ...) and
+      anything else micropip can resolve
+   Offline, dependencies are not resolved: list every package the suite
+   needs (e.g. the output of "pip freeze").
+*/
+
+const PYTHON_PACKAGE_DB_NAME = 'LVX_Python_Packages';
+const PYTHON_PACKAGE_STORE = 'wheels';
+const PYTHON_WHEEL_DIR = '/tmp/lvx_wheels';
+const PYPI_JSON_URL = 'https://pypi.org/pypi';
+
+let pythonPackageDb = null;
+
+function normalizePythonPackageName(name) {
+  return String(name).toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Parses requirements.txt text. Options such as "-r" or "--index-url" are
+ * not supported and are returned in `ignored`.
+ * @returns {{requirements: Array<{line: string, name: string, version: string|null}>, ignored: string[]}}
+ */
+function parsePythonRequirements(text) {
+  const requirements = [];
+  const ignored = [];
+
+  String(text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+    if (line.startsWith('-')) {
+      ignored.push(line);
+      return;
+    }
+    const match = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*(?:==\s*([^\s;,]+))?/);
+    if (!match) {
+      ignored.push(line);
+      return;
+    }
+    requirements.push({ line, name: normalizePythonPackageName(match[1]), version: match[3] || null });
+  });
+
+  return { requirements, ignored };
+}
+
+/**
+ * Name and version from a wheel filename
+ * ({name}-{version}(-{build})?-{python}-{abi}-{platform}.whl).
+ */
+function parseWheelFilename(filename) {
+  const parts = String(filename).replace(/\.whl$/i, '').split('-');
+  if (parts.length < 5 || !/\.whl$/i.test(filename)) return null;
+  return { name: normalizePythonPackageName(parts[0]), version: parts[1] };
+}
+
+// ============================================
+// OFFLINE WHEEL CACHE (IndexedDB)
+// ============================================
+
+function openPythonPackageCache() {
+  if (!pythonPackageDb) {
+    pythonPackageDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PYTHON_PACKAGE_DB_NAME, 1);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(PYTHON_PACKAGE_STORE)) {
+          const store = db.createObjectStore(PYTHON_PACKAGE_STORE, { keyPath: 'filename' });
+          store.createIndex('name', 'name', { unique: false });
+        }
+      };
+    });
+    pythonPackageDb.catch(() => { pythonPackageDb = null; });
+  }
+  return pythonPackageDb;
+}
+
+async function pythonPackageRequest(mode, run) {
+  const db = await openPythonPackageCache();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PYTHON_PACKAGE_STORE], mode);
+    const request = run(transaction.objectStore(PYTHON_PACKAGE_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @returns {Promise<Array<{filename, name, version, size, source, addedAt, bytes}>>}
+ */
+function listCachedWheels() {
+  return pythonPackageRequest('readonly', store => store.getAll());
+}
+
+/**
+ * Newest cached wheel for a package, or the exact version when pinned.
+ */
+async function getCachedWheel(name, version = null) {
+  const wheels = await pythonPackageRequest('readonly', store => store.index('name').getAll(name));
+  const matching = wheels.filter(wheel => !version || wheel.version === version);
+  matching.sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+  return matching[0] || null;
+}
+
+/**
+ * Adds a wheel to the cache.
+ * @param {string} filename
+ * @param {Uint8Array} bytes
+ * @param {string} source - 'upload' or 'pypi'
+ */
+async function putCachedWheel(filename, bytes, source) {
+  const parsed = parseWheelFilename(filename);
+  if (!parsed) throw new Error(`Not a wheel file: ${filename}`);
+  const record = {
+    filename,
+    name: parsed.name,
+    version: parsed.version,
+    size: bytes.length,
+    source,
+    addedAt: new Date().toISOString(),
+    bytes
+  };
+  await pythonPackageRequest('readwrite', store => store.put(record));
+  return record;
+}
+
+function deleteCachedWheel(filename) {
+  return pythonPackageRequest('readwrite', store => store.delete(filename));
+}
+
+/**
+ * Downloads a pure-Python wheel from PyPI.
+ * @returns {Promise<{filename: string, bytes: Uint8Array}|null>} null when PyPI has no pure-Python wheel
+ */
+async function fetchPurePythonWheel(name, version = null) {
+  const response = await fetch(`${PYPI_JSON_URL}/${encodeURIComponent(name)}${version ? `/${encodeURIComponent(version)}` : ''}/json`);
+  if (!response.ok) return null;
+
+  const info = await response.json();
+  const wheel = (info.urls || []).find(file =>
+    file.packagetype === 'bdist_wheel' && /-(py3|py2\.py3)-none-any\.whl$/.test(file.filename));
+  if (!wheel) return null;
+
+  const download = await fetch(wheel.url);
+  if (!download.ok) throw new Error(`Download of ${wheel.filename} failed (HTTP ${download.status})`);
+  return { filename: wheel.filename, bytes: new Uint8Array(await download.arrayBuffer()) };
+}
+
+// ============================================
+// INSTALLATION
+// ============================================
+
+/**
+ * Installs a suite's requirements into a Pyodide instance.
+ * @param {Object} pyodide
+ * @param {string} requirementsText - requirements.txt content
+ * @param {Function} [onLog] - Called with progress lines
+ * @returns {Promise<Array<{name: string, version: string, source: string}>>} Installed packages
+ * @throws {Error} When a requirement cannot be installed
+ */
+async function installPythonRequirements(pyodide, requirementsText, onLog = null) {
+  const { requirements, ignored } = parsePythonRequirements(requirementsText);
+  const log = (line) => { if (onLog) onLog(line); };
+  ignored.forEach(line => log(`Ignoring unsupported requirement line: ${line}`));
+  if (requirements.length === 0) return [];
+
+  await pyodide.loadPackage('micropip');
+  const micropip = pyodide.pyimport('micropip');
+  const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+  const installed = [];
+
+  try {
+    for (const requirement of requirements) {
+      let wheel = null;
+      let source = 'cache';
+      try {
+        wheel = await getCachedWheel(requirement.name, requirement.version);
+      } catch (error) {
+        log(`Wheel cache unavailable: ${error.message}`);
+      }
+
+      if (!wheel && online) {
+        try {
+          const downloaded = await fetchPurePythonWheel(requirement.name, requirement.version);
+          if (downloaded) {
+            wheel = await putCachedWheel(downloaded.filename, downloaded.bytes, 'pypi');
+            source = 'pypi';
+          }
+        } catch (error) {
+          // Fall back to micropip, which may still find it (e.g. a Pyodide package)
+          log(`Could not cache ${requirement.name}: ${error.message}`);
+        }
+      }
+
+      try {
+        if (wheel) {
+          pyodide.FS.mkdirTree(PYTHON_WHEEL_DIR);
+          const path = `${PYTHON_WHEEL_DIR}/${wheel.filename}`;
+          pyodide.FS.writeFile(path, new Uint8Array(wheel.bytes));
+          await micropip.install.callKwargs(`emfs:${path}`, { deps: online });
+        } else {
+          source = 'micropip';
+          await micropip.install(requirement.line);
+        }
+      } catch (error) {
+        throw new Error(`Could not install "${requirement.line}": ${error.message}`);
+      }
+      installed.push({ name: requirement.name, version: null, source });
+    }
+  } finally {
+    micropip.destroy();
+  }
+
+  const versions = pyodide.runPython(`
+from importlib.metadata import version, PackageNotFoundError
+def __lvx_version(name):
+    try:
+        return version(name)
+    except PackageNotFoundError:
+        return 'unknown'
+__lvx_version
+`);
+  installed.forEach(pkg => { pkg.version = versions(pkg.name); });
+  versions.destroy();
+  return installed;
+}
+
+/**
+ * Run log section listing installed packages.
+ */
+function formatInstalledPackages(packages) {
+  let text = `[REQUIREMENTS]\n`;
+  packages.forEach(pkg => {
+    text += ` ${pkg.name}==${pkg.version} (${pkg.source})\n`;
+  });
+  return text;
+}
@@ -0,0 +1,188 @@
+// ============================================
+// PYTHON RUNTIME
+// Main-thread side of pyodide-worker.js. Used by
+// Python suites, Python unit tests and Robot
+// Framework in browser mode.
+// ============================================
+
+let pythonWorker = null;
+const pythonWorkerRequests = new Map();
+let pythonWorkerRequestId = 0;
+
+// BrowserLibrary drives the page DOM, which a worker cannot reach
+const ROBOT_DOM_KEYWORDS = [
+  'BrowserLibrary', 'Click Element', 'Input Text', 'Element Should Be Visible', 'Element Should Contain',
+  'Get Text', 'Get Value', 'Page Should Contain', 'Element Should Exist', 'Wait For Element',
+  'Select From List', 'Check Checkbox', 'Uncheck Checkbox', 'Get Element Count', 'Execute JavaScript'
+];
+
+/**
+ * Workers cannot be started from pages opened via file://, so callers fall
+ * back to the main-thread Pyodide there.
+ */
+function isPythonWorkerAvailable() {
+  return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+}
+
+/**
+ * Whether a robot suite uses BrowserLibrary keywords and therefore has to
+ * run on the main thread.
+ */
+function robotCodeNeedsDom(code) {
+  const text = (code || '').toLowerCase();
+  return ROBOT_DOM_KEYWORDS.some(keyword => text.includes(keyword.toLowerCase()));
+}
+
+function getPythonWorker() {
+  if (pythonWorker) return pythonWorker;
+
+  pythonWorker = new Worker(`pyodide-worker.js?pyodide=${encodeURIComponent(getAssetUrl('pyodide'))}`);
+  pythonWorker.onmessage = (event) => {
+    const message = event.data;
+    const request = pythonWorkerRequests.get(message.id);
+    if (!request) return;
+
+    if (message.type === 'output') {
+      if (request.onOutput) request.onOutput(message.stream, message.text);
+    } else if (message.type === 'result') {
+      pythonWorkerRequests.delete(message.id);
+      // DOMParser only exists on the page, so the worker sends the raw reports
+      const result = message.result;
+      const warn = request.onOutput ? (line) => request.onOutput('stderr', line) : null;
+      result.tests = parseJUnitReports(result.junitReports, warn);
+      result.artifacts = normalizeRunArtifacts(result.artifacts, warn);
+      attachRobotResults(result, getRunArtifactText(result.artifacts, 'output.xml'), warn);
+      delete result.junitReports;
+      request.resolve(result);
+    }
+  };
+  pythonWorker.onerror = (event) => {
+    console.error('Python worker error:', event.message);
+    resetPythonWorker(new Error(`Python worker failed: ${event.message || 'could not be started'}`));
+  };
+  return pythonWorker;
+}
+
+function resetPythonWorker(error) {
+  if (pythonWorker) pythonWorker.terminate();
+  pythonWorker = null;
+  pythonWorkerRequests.forEach(request => request.reject(error));
+  pythonWorkerRequests.clear();
+}
+
+/**
+ * Stops the run in progress by terminating the worker and hands the runs
+ * still waiting behind it to a new one.
+ */
+function restartPythonWorker() {
+  if (pythonWorker) pythonWorker.terminate();
+  pythonWorker = null;
+  pythonWorkerRequests.forEach((request, id) => {
+    getPythonWorker().postMessage({ id, type: 'run', ...request.message });
+  });
+}
+
+/**
+ * Runs Python code in the worker sandbox.
+ * @param {Object} options
+ * @param {string} [options.mode='script'] - 'script', 'unit' or 'robot'
+ * @param {string} options.code - Python source, or the .robot file for mode 'robot'
+ * @param {Array} [options.inputFiles] - Result of prepareInputFiles()
+ * @param {Object} [options.parameters] - Environment parameters (os.environ / robot variables)
+ * @param {string} [options.requirements] - requirements.txt content, installed before the run
+ * @param {Object} [options.variables] - Python globals for the run (data-driven row fields)
+ * @param {Function} [options.onOutput] - Called with (stream, line) while the code runs
+ * @param {AbortSignal} [options.signal] - Stops this run when aborted, other runs continue
+ * @returns {Promise<{success: boolean, output: string, error: string|null, stderr: string, exitCode?: number, value?: string, packages: Array, tests: Array|null}>}
+ *   tests: per-test results of JUnit reports the code wrote (see junit.js)
+ *   robotTree: suite/test/keyword tree of a robot run (see robot-results.js)
+ *   artifacts: output.xml, log.html and report.html of a robot run (see run-artifacts.js)
+ */
+function runPythonInWorker({ mode = 'script', code, inputFiles = [], parameters = {}, requirements = '', variables = {}, onOutput = null, signal = null }) {
+  if (signal && signal.aborted) return Promise.reject(getAbortError(signal));
+
+  return new Promise((resolve, reject) => {
+    const id = ++pythonWorkerRequestId;
+    const message = { mode, code, inputFiles, parameters, requirements, variables };
+    pythonWorkerRequests.set(id, { resolve, reject, onOutput, message });
+    getPythonWorker().postMessage({ id, type: 'run', ...message });
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const request = pythonWorkerRequests.get(id);
+        if (!request) return;
+        // The worker runs requests in order, so the oldest pending one is the running one
+        const running = pythonWorkerRequests.keys().next().value === id;
+        pythonWorkerRequests.delete(id);
+        request.reject(getAbortError(signal));
+        if (running) {
+          // Terminating is the only way to stop running Python code
+          restartPythonWorker();
+        } else {
+          pythonWorker.postMessage({ id, type: 'cancel' });
+        }
+      }, { once: true });
+    }
+  });
+}
+
+// ============================================
+// OFFLINE WHEEL CACHE (execution settings)
+// ============================================
+
+async function renderPythonWheelCache() {
+  const list = document.getElementById('python-wheel-cache-list');
+  if (!list) return;
+
+  let wheels = [];
+  try {
+    wheels = await listCachedWheels();
+  } catch (error) {
+    list.innerHTML = `<p class="text-xs text-red-600">Wheel cache unavailable: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  if (wheels.length === 0) {
+    list.innerHTML = '<p class="text-xs aero-text-muted">No cached wheels yet. They are added when a suite installs a pure-Python package, or upload them here.</p>';
+    return;
+  }
+
+  wheels.sort((a, b) => a.name.localeCompare(b.name) || b.addedAt.localeCompare(a.addedAt));
+  list.innerHTML = wheels.map(wheel => `
+    <div class="flex items-center justify-between text-xs py-1 border-b aero-divider">
+      <span class="font-mono">${escapeHtml(wheel.name)}==${escapeHtml(wheel.version)}</span>
+      <span class="aero-text-muted">${formatFileSize(wheel.size)} · ${wheel.source === 'upload' ? 'uploaded' : 'PyPI'}</span>
+      <button type="button" onclick="removeCachedPythonWheel('${escapeHtml(wheel.filename)}')" class="text-red-600 hover:underline">Remove</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Adds uploaded .whl files to the cache.
+ * @param {FileList} files
+ */
+async function uploadPythonWheels(files) {
+  let added = 0;
+  for (const file of Array.from(files || [])) {
+    try {
+      await putCachedWheel(file.name, new Uint8Array(await file.arrayBuffer()), 'upload');
+      added++;
+    } catch (error) {
+      showMessage(`${file.name}: ${error.message}`, 'error');
+    }
+  }
+  if (added > 0) showMessage(`Added ${added} wheel${added === 1 ? '' : 's'} to the offline cache`, 'success');
+
+  const input = document.getElementById('python-wheel-upload');
+  if (input) input.value = '';
+  renderPythonWheelCache();
+}
+
+async function removeCachedPythonWheel(filename) {
+  try {
+    await deleteCachedWheel(filename);
+    renderPythonWheelCache();
+  } catch (error) {
+    showMessage(`Failed to remove ${filename}: ${error.message}`, 'error');
+  }
+}
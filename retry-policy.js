@@ -0,0 +1,161 @@
+// ============================================
+// RETRY POLICY & FLAKINESS
+// Per-suite automatic retries for runTestSuite()
+// and the VWT live runner, and a flakiness score
+// computed from the run history.
+// ============================================
+
+// Suite retry_policy Structure
+/*
+{
+  max_attempts: 3,                  // 1 = no retries
+  delay_seconds: 5,                 // wait between attempts
+  retry_on: "ConnectionError\n/element .* not found/i"
+                                    // one pattern per line (see compileRulePattern);
+                                    // empty = retry on every failure. Timeouts abort
+                                    // the whole run and are not retried.
+}
+*/
+
+// Number of recent runs the flakiness score looks at
+const FLAKINESS_WINDOW = 20;
+
+/**
+ * The suite's retry policy with defaults filled in. Suites without one get
+ * a single attempt.
+ * @param {Object} suite
+ * @returns {{max_attempts: number, delay_seconds: number, retry_on: string[]}}
+ */
+function getSuiteRetryPolicy(suite) {
+  const policy = (suite && suite.retry_policy) || {};
+  return {
+    max_attempts: Math.min(10, Math.max(1, parseInt(policy.max_attempts, 10) || 1)),
+    delay_seconds: Math.max(0, Number(policy.delay_seconds) || 0),
+    retry_on: String(policy.retry_on || '').split('\n').map(line => line.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Decides whether a finished attempt is tried again. Passed and aborted
+ * attempts never are.
+ * @param {Object} policy - Result of getSuiteRetryPolicy()
+ * @param {number} attempt - 1-based number of the attempt that just ended
+ * @param {{status: string, output: string}} outcome - Output is the error text for failures
+ * @returns {{retry: boolean, reason: string}}
+ */
+function getRetryDecision(policy, attempt, { status, output }) {
+  if (status === 'SUCCESS' || status === RUN_STATUS_ABORTED) return { retry: false, reason: '' };
+  if (attempt >= policy.max_attempts) {
+    return { retry: false, reason: policy.max_attempts > 1 ? `giving up after ${attempt} attempts` : '' };
+  }
+  if (policy.retry_on.length === 0) return { retry: true, reason: 'failed' };
+
+  const lines = String(output || '').split('\n');
+  const invalid = [];
+  for (const pattern of policy.retry_on) {
+    const compiled = compileRulePattern(pattern);
+    if (compiled.error) {
+      invalid.push(`${pattern} ${compiled.error}`);
+      continue;
+    }
+    if (lines.some(line => compiled.regex.test(line))) {
+      return { retry: true, reason: `matched ${compiled.regex}` };
+    }
+  }
+  const skipped = invalid.length > 0 ? ` (skipped ${invalid.join('; ')})` : '';
+  return { retry: false, reason: `error matches no retry pattern${skipped} - not retrying` };
+}
+
+function formatRetryPolicyLog(policy) {
+  const delay = policy.delay_seconds > 0 ? `, ${policy.delay_seconds}s apart` : '';
+  const patterns = policy.retry_on.length > 0 ? `, only on: ${policy.retry_on.join(' | ')}` : '';
+  return `[RETRY] Up to ${policy.max_attempts} attempts${delay}${patterns}\n`;
+}
+
+// ============================================
+// FLAKINESS
+// ============================================
+
+/**
+ * Scores how often a suite flips between passing and failing.
+ * A run that only passed after retries counts as a flip of its own.
+ * Aborted runs are ignored.
+ * @param {Array<{status: string, attempts?: number}>} runs - Newest first
+ * @returns {{score: number, flips: number, runs: number}|null} Null with fewer than 3 runs
+ */
+function computeFlakiness(runs) {
+  const considered = runs
+    .filter(run => run.status === 'SUCCESS' || run.status === 'FAILURE')
+    .slice(0, FLAKINESS_WINDOW);
+  if (considered.length < 3) return null;
+
+  let flips = 0;
+  considered.forEach((run, index) => {
+    if (index > 0 && run.status !== considered[index - 1].status) flips++;
+    if (run.status === 'SUCCESS' && run.attempts > 1) flips++;
+  });
+
+  return {
+    score: Math.min(1, flips / (considered.length - 1)),
+    flips,
+    runs: considered.length
+  };
+}
+
+/**
+ * Flakiness including a run that is not in the history yet.
+ * @returns {Promise<Object|null>} Value for suite.flakiness
+ */
+async function computeSuiteFlakiness(suiteId, latestRun) {
+  if (!window.runHistory) return null;
+  try {
+    const previous = await window.runHistory.getRunsForSuite(suiteId);
+    return computeFlakiness([latestRun, ...previous]);
+  } catch (error) {
+    console.warn('Failed to compute flakiness:', error);
+    return null;
+  }
+}
+
+/**
+ * Badge for the suite card, empty for stable suites.
+ */
+function renderFlakinessBadge(flakiness) {
+  if (!flakiness || flakiness.flips === 0) return '';
+  const percent = Math.round(flakiness.score * 100);
+  const badgeClass = flakiness.score >= 0.3 ? 'aero-badge-error' : 'aero-badge-warning';
+  return `<span class="${badgeClass}" title="${flakiness.flips} pass/fail flip(s) in the last ${flakiness.runs} runs">Flaky ${percent}%</span>`;
+}
+
+// ============================================
+// SUITE EDITOR
+// ============================================
+
+function loadRetryPolicyIntoForm(retryPolicy) {
+  const policy = retryPolicy || {};
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  setValue('retry_max_attempts', policy.max_attempts > 1 ? policy.max_attempts : '');
+  setValue('retry_delay_seconds', policy.delay_seconds || '');
+  setValue('retry_on', policy.retry_on || '');
+}
+
+/**
+ * @returns {Object|null} The retry_policy to store on the suite
+ */
+function getRetryPolicyFromForm() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value : '';
+  };
+  const maxAttempts = parseInt(value('retry_max_attempts'), 10) || 1;
+  if (maxAttempts <= 1) return null;
+
+  return {
+    max_attempts: Math.min(10, maxAttempts),
+    delay_seconds: Math.max(0, parseFloat(value('retry_delay_seconds')) || 0),
+    retry_on: value('retry_on').trim()
+  };
+}
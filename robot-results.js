@@ -0,0 +1,294 @@
+// ============================================
+// ROBOT FRAMEWORK RESULTS
+// Reads Robot's output.xml into a tree of
+// suites → tests → keywords and renders it in
+// the run modal with expand/collapse.
+// ============================================
+
+// Result Tree Structure (result.robotTree, run history "robotTree")
+/*
+{
+  type: "suite",                  // suite | test | keyword | setup | teardown | for | iteration |
+                                  // if | branch | try | while | group | return | break | continue | var
+  name: "Login Tests",
+  status: "PASS|FAIL|SKIP|NOT RUN",
+  message: "failure message",
+  elapsed: 1.25,                  // seconds
+  messages: [{ level: "INFO", text: "..." }],   // keywords only, capped
+  children: [ ...nodes ]
+}
+*/
+
+// Keeps run records small: log messages per keyword and their length
+const ROBOT_TREE_MAX_MESSAGES = 20;
+const ROBOT_TREE_MAX_MESSAGE_LENGTH = 500;
+
+// output.xml element → node type. <var> is skipped on purpose: inside FOR
+// iterations it holds loop values, not a step.
+const ROBOT_NODE_TYPES = {
+  suite: 'suite',
+  test: 'test',
+  kw: 'keyword',
+  setup: 'setup',
+  teardown: 'teardown',
+  for: 'for',
+  iter: 'iteration',
+  if: 'if',
+  branch: 'branch',
+  try: 'try',
+  while: 'while',
+  group: 'group',
+  return: 'return',
+  break: 'break',
+  continue: 'continue',
+  variable: 'var',
+  error: 'error'
+};
+
+function getRobotChildElements(element, tagName) {
+  return Array.from(element.children).filter(child => child.tagName === tagName);
+}
+
+/**
+ * Seconds a node took. Robot 7 writes start/elapsed, older versions
+ * starttime/endtime as "20240131 12:00:00.123".
+ */
+function getRobotElapsedSeconds(statusElement) {
+  if (!statusElement) return 0;
+  const elapsed = statusElement.getAttribute('elapsed');
+  if (elapsed !== null) return parseFloat(elapsed) || 0;
+
+  const parse = (value) => {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)$/);
+    return match ? new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}`).getTime() : NaN;
+  };
+  const duration = (parse(statusElement.getAttribute('endtime')) - parse(statusElement.getAttribute('starttime'))) / 1000;
+  return Number.isFinite(duration) && duration >= 0 ? duration : 0;
+}
+
+function getRobotNodeName(element, type) {
+  const text = (tagName) => getRobotChildElements(element, tagName).map(child => child.textContent);
+
+  if (type === 'keyword' || type === 'setup' || type === 'teardown') {
+    const owner = element.getAttribute('owner') || element.getAttribute('library');
+    const name = element.getAttribute('name') || '';
+    const args = text('arg');
+    return [owner ? `${owner}.${name}` : name, ...args].join('    ');
+  }
+  if (type === 'for') {
+    return ['FOR', ...text('var'), element.getAttribute('flavor') || 'IN', ...text('value')].join('    ');
+  }
+  if (type === 'iteration') {
+    return getRobotChildElements(element, 'var')
+      .map(child => `${child.getAttribute('name') || ''} = ${child.textContent}`).join('    ');
+  }
+  if (type === 'branch') {
+    return [element.getAttribute('type') || 'IF', element.getAttribute('condition') || '', ...text('pattern')]
+      .filter(Boolean).join('    ');
+  }
+  if (type === 'while') return ['WHILE', element.getAttribute('condition') || ''].join('    ').trim();
+  if (type === 'var') return [element.getAttribute('name') || '', ...text('var')].join('    ');
+  if (type === 'return') return ['RETURN', ...text('value')].join('    ');
+  return element.getAttribute('name') || type.toUpperCase();
+}
+
+function parseRobotNode(element, type) {
+  const statusElements = getRobotChildElements(element, 'status');
+  const status = statusElements[statusElements.length - 1] || null;
+
+  const children = [];
+  Array.from(element.children).forEach(child => {
+    let childType = ROBOT_NODE_TYPES[child.tagName];
+    if (!childType || (type !== 'suite' && child.tagName === 'suite')) return;
+    // Robot before 7 marks setups and teardowns with <kw type="...">
+    const keywordType = (child.getAttribute('type') || '').toLowerCase();
+    if (childType === 'keyword' && (keywordType === 'setup' || keywordType === 'teardown')) childType = keywordType;
+    children.push(parseRobotNode(child, childType));
+  });
+
+  const node = {
+    type,
+    name: getRobotNodeName(element, type),
+    status: status ? status.getAttribute('status') || 'NOT RUN' : 'NOT RUN',
+    message: status ? status.textContent.trim() : '',
+    elapsed: getRobotElapsedSeconds(status),
+    children
+  };
+
+  const messages = getRobotChildElements(element, 'msg');
+  if (messages.length > 0) {
+    node.messages = messages.slice(0, ROBOT_TREE_MAX_MESSAGES).map(message => ({
+      level: message.getAttribute('level') || 'INFO',
+      text: message.textContent.length > ROBOT_TREE_MAX_MESSAGE_LENGTH
+        ? `${message.textContent.slice(0, ROBOT_TREE_MAX_MESSAGE_LENGTH)}...`
+        : message.textContent
+    }));
+    if (messages.length > ROBOT_TREE_MAX_MESSAGES) {
+      node.messages.push({ level: 'INFO', text: `(${messages.length - ROBOT_TREE_MAX_MESSAGES} more messages)` });
+    }
+  }
+  // Failing keywords keep their reason in a FAIL message, not in <status>
+  if (!node.message && node.status === 'FAIL' && node.messages) {
+    const failure = node.messages.filter(message => message.level === 'FAIL').pop();
+    if (failure) node.message = failure.text;
+  }
+  return node;
+}
+
+/**
+ * Parses output.xml.
+ * @param {string} text
+ * @returns {Object|null} Root suite node (see structure above), null without a suite
+ * @throws {Error} When the text is not XML
+ */
+function parseRobotOutputXml(text) {
+  const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+  const parseError = doc.getElementsByTagName('parsererror')[0];
+  if (parseError) throw new Error(`Invalid output.xml: ${firstLine(parseError.textContent)}`);
+
+  const root = doc.documentElement;
+  const suite = root && root.tagName === 'robot' ? getRobotChildElements(root, 'suite')[0] : null;
+  return suite ? parseRobotNode(suite, 'suite') : null;
+}
+
+/**
+ * The test cases of a tree as per-test results (see junit.js).
+ */
+function getRobotTreeTests(tree) {
+  const tests = [];
+  const visit = (node, path) => {
+    if (node.type === 'test') {
+      tests.push({
+        suite: path.join('.'),
+        classname: path.join('.'),
+        name: node.name,
+        time: node.elapsed,
+        status: node.status === 'PASS' ? 'SUCCESS' : node.status === 'FAIL' ? 'FAILURE' : 'SKIPPED',
+        message: node.message
+      });
+    } else if (node.type === 'suite') {
+      node.children.forEach(child => visit(child, [...path, node.name]));
+    }
+  };
+  if (tree) visit(tree, []);
+  return tests;
+}
+
+/**
+ * Adds robotTree and per-test results to an executor result.
+ * @param {Object} result - Executor result, changed in place
+ * @param {string} outputXml - Content of output.xml
+ * @param {Function} [log] - Called with a warning line when output.xml cannot be read
+ * @returns {Object} The result
+ */
+function attachRobotResults(result, outputXml, log = null) {
+  if (!outputXml) return result;
+  try {
+    const tree = parseRobotOutputXml(outputXml);
+    if (tree) {
+      result.robotTree = tree;
+      if (!result.tests) result.tests = getRobotTreeTests(tree);
+    }
+  } catch (error) {
+    const line = `[WARN] Could not read Robot output.xml: ${error.message}`;
+    if (log) log(line);
+    else console.warn(line);
+  }
+  return result;
+}
+
+/**
+ * Copy of a tree with mask() applied to names and messages, which contain
+ * keyword arguments and logged values.
+ * @param {Object} node
+ * @param {Function} mask - e.g. maskSecretValues() for the suite's parameters
+ * @returns {Object}
+ */
+function maskRobotTree(node, mask) {
+  const masked = {
+    ...node,
+    name: mask(node.name),
+    message: mask(node.message || ''),
+    children: node.children.map(child => maskRobotTree(child, mask))
+  };
+  if (node.messages) masked.messages = node.messages.map(message => ({ ...message, text: mask(message.text) }));
+  return masked;
+}
+
+// ============================================
+// RUN MODAL
+// ============================================
+
+function getRobotStatusClass(status) {
+  if (status === 'PASS') return 'text-green-600';
+  if (status === 'FAIL') return 'text-red-600';
+  return 'text-gray-500';
+}
+
+function renderRobotTreeNode(node) {
+  const hasDetails = node.children.length > 0 || (node.messages && node.messages.length > 0) ||
+    (node.message && node.type !== 'suite');
+  const label = node.type === 'keyword' ? '' : `<span class="aero-text-muted uppercase mr-1">${escapeHtml(node.type)}</span>`;
+  const summary = `
+    <span class="${getRobotStatusClass(node.status)} font-semibold mr-1">${escapeHtml(node.status)}</span>
+    ${label}<span class="font-mono">${escapeHtml(node.name)}</span>
+    <span class="aero-text-muted ml-1">${node.elapsed.toFixed(3)}s</span>`;
+
+  if (!hasDetails) return `<div class="pl-4 py-0.5">${summary}</div>`;
+
+  const messages = (node.messages || []).map(message => `
+    <div class="pl-4 font-mono whitespace-pre-wrap ${message.level === 'FAIL' || message.level === 'ERROR' ? 'text-red-600' : message.level === 'WARN' ? 'text-yellow-600' : 'aero-text-secondary'}">${escapeHtml(message.level)}  ${escapeHtml(message.text)}</div>`).join('');
+  const failure = node.message && node.type !== 'keyword'
+    ? `<div class="pl-4 whitespace-pre-wrap ${node.status === 'FAIL' ? 'text-red-600' : 'aero-text-secondary'}">${escapeHtml(node.message)}</div>`
+    : '';
+  // Suites and everything that did not pass start expanded
+  const open = node.type === 'suite' || node.status === 'FAIL';
+
+  return `
+    <details class="pl-2" ${open ? 'open' : ''}>
+      <summary class="cursor-pointer py-0.5">${summary}</summary>
+      ${failure}${messages}
+      ${node.children.map(renderRobotTreeNode).join('')}
+    </details>`;
+}
+
+/**
+ * Shows the tree in the run modal in place of the flat log, or restores the
+ * flat log when there is no tree.
+ * @param {Object|null} tree
+ */
+function renderRobotResultPanel(tree) {
+  const panel = document.getElementById('run-robot-panel');
+  if (!panel) return;
+  const content = document.getElementById('run-modal-content');
+  document.getElementById('run-robot-tree').classList.remove('hidden');
+
+  if (!tree) {
+    panel.classList.add('hidden');
+    document.getElementById('run-robot-tree').innerHTML = '';
+    content.classList.remove('hidden');
+    return;
+  }
+
+  const tests = getRobotTreeTests(tree);
+  const passed = tests.filter(test => test.status === 'SUCCESS').length;
+  document.getElementById('run-robot-summary').textContent = `${passed}/${tests.length} tests passed`;
+  document.getElementById('run-robot-tree').innerHTML = renderRobotTreeNode(tree);
+  document.getElementById('run-robot-log-toggle').textContent = 'Show log';
+  panel.classList.remove('hidden');
+  content.classList.add('hidden');
+}
+
+function toggleRobotResultLog() {
+  const content = document.getElementById('run-modal-content');
+  const showLog = content.classList.contains('hidden');
+  content.classList.toggle('hidden', !showLog);
+  document.getElementById('run-robot-tree').classList.toggle('hidden', showLog);
+  document.getElementById('run-robot-log-toggle').textContent = showLog ? 'Show tree' : 'Show log';
+}
+
+function setRobotTreeExpanded(expanded) {
+  document.querySelectorAll('#run-robot-tree details').forEach(details => {
+    details.open = expanded;
+  });
+}
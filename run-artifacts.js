@@ -0,0 +1,269 @@
+// ============================================
+// RUN ARTIFACTS
+// Files a run produces besides its log, e.g.
+// Robot Framework's log.html, report.html and
+// output.xml. Stored with the run history in
+// IndexedDB and opened from the run modal.
+// ============================================
+
+// Artifact Structure (result.artifacts)
+/*
+{
+  name: "log.html",
+  type: "text/html",
+  content: "...",            // text, or base64 when encoding is "base64"
+  encoding: "base64"         // optional, for binary files (screenshots)
+}
+
+Backend/API responses may return artifacts as
+  artifacts: [{ name, content, type?, encoding? }]
+and/or the Robot files as log_html, report_html and output_xml.
+
+Run records only keep the list ({name, type, size}); the content lives in
+the run history's "artifacts" store and is loaded when opened.
+*/
+
+// Larger artifacts are dropped instead of filling up IndexedDB
+const RUN_ARTIFACT_MAX_BYTES = 10 * 1024 * 1024;
+
+const RUN_ARTIFACT_TYPES = {
+  html: 'text/html',
+  xml: 'application/xml',
+  json: 'application/json',
+  txt: 'text/plain',
+  log: 'text/plain',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  svg: 'image/svg+xml'
+};
+
+function getRunArtifactType(name) {
+  const extension = String(name).split('.').pop().toLowerCase();
+  return RUN_ARTIFACT_TYPES[extension] || 'application/octet-stream';
+}
+
+function getRunArtifactSize(artifact) {
+  const content = artifact.content || '';
+  // Base64 needs 4 characters per 3 bytes, text is counted as UTF-16 code units
+  return artifact.encoding === 'base64' ? Math.floor(content.length * 3 / 4) : content.length;
+}
+
+/**
+ * Checks and completes artifacts: names without directories, a MIME type
+ * and the size limit.
+ * @param {Array<Object>} artifacts
+ * @param {Function} [log] - Called with a line for every dropped artifact
+ * @returns {Array<Object>|null} Null when nothing is left
+ */
+function normalizeRunArtifacts(artifacts, log = null) {
+  const normalized = [];
+  (artifacts || []).forEach(artifact => {
+    if (!artifact || !artifact.name || typeof artifact.content !== 'string') return;
+    const name = String(artifact.name).split(/[\\/]/).pop();
+    const entry = {
+      name,
+      type: artifact.type || getRunArtifactType(name),
+      content: artifact.content
+    };
+    if (artifact.encoding === 'base64') entry.encoding = 'base64';
+
+    if (getRunArtifactSize(entry) > RUN_ARTIFACT_MAX_BYTES) {
+      const line = `[WARN] Artifact ${name} is larger than ${formatFileSize(RUN_ARTIFACT_MAX_BYTES)} and was not kept`;
+      if (log) log(line);
+      else console.warn(line);
+      return;
+    }
+    // Later files with the same name replace earlier ones
+    const existing = normalized.findIndex(other => other.name === name);
+    if (existing >= 0) normalized[existing] = entry;
+    else normalized.push(entry);
+  });
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Artifacts of a Robot backend/API response.
+ * @returns {Array<Object>|null}
+ */
+function getExecutionArtifacts(response) {
+  if (!response) return null;
+  const artifacts = Array.isArray(response.artifacts) ? [...response.artifacts] : [];
+  [['log_html', 'log.html'], ['report_html', 'report.html'], ['output_xml', 'output.xml']].forEach(([field, name]) => {
+    if (typeof response[field] === 'string' && response[field]) artifacts.push({ name, content: response[field] });
+  });
+  return normalizeRunArtifacts(artifacts);
+}
+
+// Robot stores parts of the run data in these compressed, so secret values
+// in them cannot be masked
+const UNMASKABLE_RUN_ARTIFACTS = ['log.html', 'report.html'];
+
+/**
+ * Masks secret parameter values in text artifacts before they are stored or
+ * shown. When the suite has secret parameters, artifacts that cannot be
+ * masked are not kept.
+ * @param {Array<Object>|null} artifacts
+ * @param {Array<Object>} parameters - The suite's parameters
+ * @param {Function} [log] - Called with a line for every artifact left out
+ * @returns {Array<Object>|null}
+ */
+function maskRunArtifacts(artifacts, parameters, log = null) {
+  if (!artifacts || !(parameters || []).some(param => param.secret && param.value)) return artifacts;
+
+  const kept = [];
+  artifacts.forEach(artifact => {
+    if (UNMASKABLE_RUN_ARTIFACTS.includes(artifact.name)) {
+      if (log) log(`[ARTIFACTS] ${artifact.name} was not kept because the suite has secret parameters`);
+      return;
+    }
+    kept.push(artifact.encoding === 'base64'
+      ? artifact
+      : { ...artifact, content: maskSecretValuesInXml(artifact.content, parameters) });
+  });
+  return kept.length > 0 ? kept : null;
+}
+
+function getRunArtifactText(artifacts, name) {
+  const artifact = (artifacts || []).find(entry => entry.name === name);
+  return artifact && artifact.encoding !== 'base64' ? artifact.content : null;
+}
+
+/**
+ * Log section listing the artifacts of a run.
+ */
+function formatRunArtifactsLog(artifacts) {
+  return `[ARTIFACTS] ${artifacts.map(artifact => `${artifact.name} (${formatFileSize(getRunArtifactSize(artifact))})`).join(', ')}\n`;
+}
+
+/**
+ * The artifact list stored on a run record.
+ */
+function getRunArtifactSummaries(artifacts) {
+  return (artifacts || []).map(artifact => ({
+    name: artifact.name,
+    type: artifact.type,
+    size: getRunArtifactSize(artifact)
+  }));
+}
+
+function getRunArtifactBlob(artifact) {
+  if (artifact.encoding === 'base64') {
+    const binary = atob(artifact.content);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: artifact.type });
+  }
+  return new Blob([artifact.content], { type: artifact.type });
+}
+
+// ============================================
+// RUN MODAL
+// ============================================
+
+/**
+ * Lists the artifacts of the run shown in the run modal.
+ * @param {Array<Object>|null} artifacts - currentLogData.run.artifacts: full artifacts or stored summaries
+ */
+function renderRunArtifacts(artifacts) {
+  const panel = document.getElementById('run-artifacts-panel');
+  if (!panel) return;
+  if (!artifacts || artifacts.length === 0) {
+    panel.classList.add('hidden');
+    document.getElementById('run-artifacts-list').innerHTML = '';
+    return;
+  }
+
+  document.getElementById('run-artifacts-list').innerHTML = artifacts.map((artifact, index) => {
+    const size = artifact.size !== undefined ? artifact.size : getRunArtifactSize(artifact);
+    return `
+      <div class="flex items-center justify-between text-xs py-1 border-b aero-divider">
+        <span class="font-mono">${escapeHtml(artifact.name)} <span class="aero-text-muted">${formatFileSize(size)}</span></span>
+        <span class="flex gap-2">
+          <button onclick="openRunArtifact(${index})" class="aero-button-info py-1 px-2 rounded">Open</button>
+          <button onclick="downloadRunArtifact(${index})" class="aero-button-gray py-1 px-2 rounded">Download</button>
+        </span>
+      </div>`;
+  }).join('');
+  panel.classList.remove('hidden');
+}
+
+/**
+ * An artifact of the run in the run modal, loaded from the run history when
+ * only its summary is in memory.
+ * @param {number} index - Position in currentLogData.run.artifacts
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentRunArtifact(index) {
+  const run = currentLogData && currentLogData.run;
+  const artifact = run && run.artifacts ? run.artifacts[index] : null;
+  if (!artifact) return null;
+  if (typeof artifact.content === 'string') return artifact;
+  if (!run.runId || !window.runHistory) return null;
+  return window.runHistory.getArtifact(run.runId, artifact.name);
+}
+
+/**
+ * Opens an artifact in a new tab. HTML runs in a sandboxed frame without
+ * access to the app's origin (storage, IndexedDB, cookies).
+ */
+async function openRunArtifact(index) {
+  // Opened before the await, popup blockers only allow it during the click
+  const tab = window.open('', '_blank');
+  if (!tab) {
+    showMessage('The browser blocked the new tab - allow popups or use Download', 'error');
+    return;
+  }
+
+  let artifact = null;
+  try {
+    artifact = await getCurrentRunArtifact(index);
+  } catch (error) {
+    console.error('Failed to load artifact:', error);
+  }
+  if (!artifact) {
+    tab.close();
+    showMessage('This artifact is not stored in this browser', 'error');
+    return;
+  }
+
+  const doc = tab.document;
+  doc.title = artifact.name;
+  doc.body.style.margin = '0';
+  if (artifact.type === 'text/html') {
+    const frame = doc.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts allow-popups');
+    frame.style.cssText = 'border: none; width: 100vw; height: 100vh; display: block;';
+    frame.srcdoc = artifact.content;
+    doc.body.appendChild(frame);
+  } else if (artifact.type.startsWith('image/')) {
+    const image = doc.createElement('img');
+    image.src = URL.createObjectURL(getRunArtifactBlob(artifact));
+    doc.body.appendChild(image);
+  } else {
+    const pre = doc.createElement('pre');
+    pre.style.cssText = 'white-space: pre-wrap; padding: 1rem; margin: 0;';
+    pre.textContent = artifact.encoding === 'base64' ? '(binary file - use Download)' : artifact.content;
+    doc.body.appendChild(pre);
+  }
+}
+
+async function downloadRunArtifact(index) {
+  let artifact = null;
+  try {
+    artifact = await getCurrentRunArtifact(index);
+  } catch (error) {
+    console.error('Failed to load artifact:', error);
+  }
+  if (!artifact) {
+    showMessage('This artifact is not stored in this browser', 'error');
+    return;
+  }
+
+  const url = URL.createObjectURL(getRunArtifactBlob(artifact));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = artifact.name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,141 @@
+// ============================================
+// RUN CONTROL
+// Timeouts and cancellation for suite runs.
+// A run that is cancelled or times out ends
+// with the ABORTED status.
+// ============================================
+
+const RUN_STATUS_ABORTED = 'ABORTED';
+
+// Run currently shown in the run modal (target of its Cancel button)
+let currentModalRunControl = null;
+
+/**
+ * Effective timeout for a suite: its own timeout_seconds, otherwise the
+ * global default from the execution settings. 0 means no timeout.
+ * @param {Object} suite
+ * @returns {number} Seconds
+ */
+function getRunTimeoutSeconds(suite) {
+  const suiteTimeout = parseInt(suite.timeout_seconds, 10);
+  if (suiteTimeout > 0) return suiteTimeout;
+
+  const defaultTimeout = parseInt(executionConfig && executionConfig.defaultTimeoutSeconds, 10);
+  return defaultTimeout > 0 ? defaultTimeout : 0;
+}
+
+/**
+ * Creates the cancellation handle for one run.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutSeconds=0] - Abort automatically after this long
+ * @param {AbortSignal} [options.parentSignal] - Abort when this signal aborts (e.g. the queue's)
+ * @returns {{signal: AbortSignal, reason: string|null, abort: Function, dispose: Function}}
+ */
+function createRunControl({ timeoutSeconds = 0, parentSignal = null } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const runControl = {
+    signal: controller.signal,
+    reason: null,
+    abort(reason = 'Cancelled by user') {
+      if (controller.signal.aborted) return;
+      runControl.reason = reason;
+      controller.abort(createAbortError(reason));
+    },
+    dispose() {
+      clearTimeout(timer);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  };
+
+  const onParentAbort = () => {
+    const reason = parentSignal.reason;
+    runControl.abort(reason instanceof Error ? reason.message : 'Cancelled');
+  };
+
+  if (timeoutSeconds > 0) {
+    timer = setTimeout(() => runControl.abort(`Timed out after ${timeoutSeconds}s`), timeoutSeconds * 1000);
+  }
+  if (parentSignal) {
+    if (parentSignal.aborted) onParentAbort();
+    else parentSignal.addEventListener('abort', onParentAbort);
+  }
+
+  return runControl;
+}
+
+function createAbortError(message) {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Settles with the promise, or rejects with an AbortError as soon as the
+ * signal aborts. The underlying work is abandoned, not stopped - executors
+ * that can really stop (workers, fetch) take the signal themselves.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise}
+ */
+function raceWithAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(getAbortError(signal));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(getAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
+/**
+ * Resolves after ms, or rejects with the abort error when the signal fires.
+ */
+function waitUnlessAborted(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(getAbortError(signal));
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(getAbortError(signal));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function throwIfRunAborted(signal) {
+  if (signal && signal.aborted) throw getAbortError(signal);
+}
+
+function getAbortError(signal) {
+  return isAbortError(signal.reason) ? signal.reason : createAbortError('Cancelled');
+}
+
+// ============================================
+// RUN MODAL CANCEL BUTTON
+// ============================================
+
+function setModalRunControl(runControl) {
+  currentModalRunControl = runControl;
+  const button = document.getElementById('cancel-run-btn');
+  if (button) button.classList.toggle('hidden', !runControl);
+}
+
+function cancelCurrentModalRun() {
+  if (currentModalRunControl) currentModalRunControl.abort('Cancelled by user');
+}
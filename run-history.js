@@ -0,0 +1,555 @@
+// ============================================
+// RUN HISTORY
+// ============================================
+// Keeps every run of every suite in IndexedDB, instead of only the
+// last_run_* fields on the suite document.
+
+// Run Record Structure
+/*
+{
+  runId: "run-timestamp-random",
+  suiteId: "suite-id",       // Unit test ID for unit test runs
+  kind: "suite|unit-test",
+  buildNumber: 42,           // Per suite / unit test, increasing
+  suiteName: "Name at the time of the run",
+  language: "python",
+  timestamp: "ISO timestamp",
+  status: "SUCCESS|FAILURE",
+  duration: 1.23,            // seconds
+  mode: "real|simulated",
+  parameters: [{ key, value, secret }],  // secret values are masked
+  artifacts: [{ name, type, size }],     // content in the "artifacts" store (see run-artifacts.js)
+  log: "full run log"
+}
+*/
+
+class IndexedDBRunHistoryStorage {
+  constructor() {
+    this.dbName = 'LVX_Machina_RunHistory';
+    this.dbVersion = 3;
+    this.storeName = 'runs';
+    this.artifactStoreName = 'artifacts';
+    this.db = null;
+  }
+
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onerror = () => {
+        console.error('IndexedDB error:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        console.log('✅ IndexedDB initialized for run history');
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        let objectStore;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          objectStore = db.createObjectStore(this.storeName, { keyPath: 'runId' });
+          objectStore.createIndex('suiteId', 'suiteId', { unique: false });
+          objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+          console.log('📦 Created IndexedDB object store for run history');
+        } else {
+          objectStore = event.target.transaction.objectStore(this.storeName);
+        }
+
+        // Added in version 2 for build-number permalinks
+        if (!objectStore.indexNames.contains('suiteBuild')) {
+          objectStore.createIndex('suiteBuild', ['suiteId', 'buildNumber'], { unique: false });
+        }
+
+        // Added in version 3: artifact contents, kept apart so listing runs stays cheap
+        if (!db.objectStoreNames.contains(this.artifactStoreName)) {
+          const artifactStore = db.createObjectStore(this.artifactStoreName, { keyPath: 'id' });
+          artifactStore.createIndex('runId', 'runId', { unique: false });
+        }
+      };
+    });
+  }
+
+  async saveRun(run) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.put(run);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveArtifacts(runId, artifacts) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.artifactStoreName], 'readwrite');
+      const store = transaction.objectStore(this.artifactStoreName);
+      artifacts.forEach(artifact => store.put({ ...artifact, id: `${runId}/${artifact.name}`, runId }));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async getArtifact(runId, name) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.artifactStoreName], 'readonly');
+      const store = transaction.objectStore(this.artifactStoreName);
+      const request = store.get(`${runId}/${name}`);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRun(runId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get(runId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRunByBuild(suiteId, buildNumber) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const index = transaction.objectStore(this.storeName).index('suiteBuild');
+      const request = index.get([suiteId, buildNumber]);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getRunsForSuite(suiteId) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const index = transaction.objectStore(this.storeName).index('suiteId');
+      const request = index.getAll(suiteId);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteRuns(runIds) {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        reject(new Error('IndexedDB not initialized'));
+        return;
+      }
+
+      const transaction = this.db.transaction([this.storeName, this.artifactStoreName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const artifactStore = transaction.objectStore(this.artifactStoreName);
+      const artifactIndex = artifactStore.index('runId');
+      runIds.forEach(runId => {
+        store.delete(runId);
+        artifactIndex.openKeyCursor(IDBKeyRange.only(runId)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          artifactStore.delete(cursor.primaryKey);
+          cursor.continue();
+        };
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+// ============================================
+// RUN HISTORY MANAGER
+// ============================================
+
+class RunHistory {
+  constructor() {
+    this.CONFIG_KEY = 'run_history_config';
+    this.BUILD_COUNTERS_KEY = 'build_counters';
+    this.storage = new IndexedDBRunHistoryStorage();
+    this.initialized = false;
+  }
+
+  async initialize() {
+    try {
+      await this.storage.initialize();
+      this.initialized = true;
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize run history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retention limits. A limit of 0 means "keep everything".
+   * @returns {{maxRunsPerSuite: number, maxAgeDays: number}}
+   */
+  getRetentionConfig() {
+    const defaults = { maxRunsPerSuite: 100, maxAgeDays: 90 };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(this.CONFIG_KEY) || '{}') };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveRetentionConfig(config) {
+    localStorage.setItem(this.CONFIG_KEY, JSON.stringify(config));
+  }
+
+  /**
+   * Reserves the next build number for a suite or unit test. Synchronous, so
+   * runs started back to back never share a number.
+   * @param {string} ownerId - Suite or unit test ID
+   * @param {number} [seed] - Highest number known elsewhere (e.g. suite.last_build_number)
+   * @returns {number}
+   */
+  nextBuildNumber(ownerId, seed = 0) {
+    let counters;
+    try {
+      counters = JSON.parse(localStorage.getItem(this.BUILD_COUNTERS_KEY) || '{}');
+    } catch (error) {
+      counters = {};
+    }
+    const next = Math.max(counters[ownerId] || 0, seed || 0) + 1;
+    counters[ownerId] = next;
+    localStorage.setItem(this.BUILD_COUNTERS_KEY, JSON.stringify(counters));
+    return next;
+  }
+
+  /**
+   * Stores a finished run and applies the retention limits for its suite.
+   * @returns {Promise<Object|null>} The stored record
+   */
+  async recordRun(suite, { status, log, duration, mode, buildNumber = null, kind = 'suite', attempts = 1, matrix = null, rows = null, tests = null, robotTree = null, artifacts = null }) {
+    if (!this.initialized) return null;
+
+    const run = {
+      runId: this._generateId(),
+      suiteId: suite.id,
+      kind,
+      buildNumber,
+      suiteName: suite.name,
+      language: suite.language,
+      timestamp: new Date().toISOString(),
+      status,
+      duration,
+      mode,
+      attempts,
+      matrix,
+      rows,            // data-driven sub-results: [{index, label, status, error, duration}]
+      tests,           // per-test results from JUnit reports (see junit.js)
+      robotTree,       // Robot Framework suite/test/keyword tree (see robot-results.js)
+      artifacts: artifacts ? getRunArtifactSummaries(artifacts) : null,
+      parameters: (suite.parameters || []).map(p => ({
+        key: p.key,
+        value: p.secret ? '********' : p.value,
+        secret: !!p.secret
+      })),
+      log
+    };
+
+    try {
+      await this.storage.saveRun(run);
+      if (artifacts) await this.storage.saveArtifacts(run.runId, artifacts);
+      await this.applyRetention(suite.id);
+      return run;
+    } catch (error) {
+      console.error('Failed to record run:', error);
+      return null;
+    }
+  }
+
+  /**
+   * All runs of a suite, newest first.
+   */
+  async getRunsForSuite(suiteId) {
+    if (!this.initialized) return [];
+    const runs = await this.storage.getRunsForSuite(suiteId);
+    return runs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async getRun(runId) {
+    if (!this.initialized) return null;
+    return this.storage.getRun(runId);
+  }
+
+  /**
+   * Content of a stored artifact.
+   * @returns {Promise<Object|null>} See run-artifacts.js
+   */
+  async getArtifact(runId, name) {
+    if (!this.initialized) return null;
+    return this.storage.getArtifact(runId, name);
+  }
+
+  async getRunByBuild(suiteId, buildNumber) {
+    if (!this.initialized) return null;
+    return this.storage.getRunByBuild(suiteId, buildNumber);
+  }
+
+  async deleteRunsForSuite(suiteId) {
+    if (!this.initialized) return;
+    const runs = await this.storage.getRunsForSuite(suiteId);
+    await this.storage.deleteRuns(runs.map(r => r.runId));
+  }
+
+  async applyRetention(suiteId) {
+    const { maxRunsPerSuite, maxAgeDays } = this.getRetentionConfig();
+    const runs = await this.getRunsForSuite(suiteId);
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const expired = runs.filter((run, index) =>
+      (maxRunsPerSuite > 0 && index >= maxRunsPerSuite) ||
+      (cutoff !== null && new Date(run.timestamp).getTime() < cutoff)
+    );
+    if (expired.length > 0) {
+      await this.storage.deleteRuns(expired.map(r => r.runId));
+    }
+  }
+
+  _generateId() {
+    return 'run-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+// ============================================
+// RUN HISTORY PANEL
+// ============================================
+
+let runHistorySuiteId = null;
+let runHistoryRuns = [];
+const selectedRunIds = [];
+
+async function openRunHistory(event, suiteId) {
+  if (event) event.stopPropagation();
+  const suite = testSuites.find(s => s.id === suiteId);
+  if (!suite) return;
+
+  runHistorySuiteId = suiteId;
+  selectedRunIds.length = 0;
+  document.getElementById('run-history-suite-name').textContent = suite.name;
+
+  const config = window.runHistory.getRetentionConfig();
+  document.getElementById('run-history-max-runs').value = config.maxRunsPerSuite;
+  document.getElementById('run-history-max-age').value = config.maxAgeDays;
+
+  document.getElementById('run-history-modal').classList.remove('hidden');
+  await refreshRunHistoryList();
+}
+
+function closeRunHistory() {
+  document.getElementById('run-history-modal').classList.add('hidden');
+  runHistorySuiteId = null;
+}
+
+async function refreshRunHistoryList() {
+  const container = document.getElementById('run-history-list');
+  container.innerHTML = '<p class="text-sm aero-text-muted">Loading...</p>';
+
+  try {
+    runHistoryRuns = await window.runHistory.getRunsForSuite(runHistorySuiteId);
+  } catch (error) {
+    console.error('Failed to load run history:', error);
+    container.innerHTML = '<p class="text-sm text-red-600">Failed to load run history</p>';
+    return;
+  }
+
+  if (runHistoryRuns.length === 0) {
+    container.innerHTML = '<p class="text-sm aero-text-muted">No runs recorded yet.</p>';
+    updateRunCompareButton();
+    return;
+  }
+
+  container.innerHTML = runHistoryRuns.map(run => `
+    <div class="aero-card p-3 rounded-lg flex items-center gap-3">
+      <input type="checkbox" ${selectedRunIds.includes(run.runId) ? 'checked' : ''}
+        onchange="toggleRunSelection('${run.runId}')" title="Select for comparison">
+      <button onclick="showHistoricRun('${run.runId}')" class="flex-1 text-left">
+        <div class="flex justify-between items-center">
+          <span class="font-semibold text-sm aero-text-primary">${run.buildNumber ? `#${run.buildNumber} · ` : ''}${new Date(run.timestamp).toLocaleString()}</span>
+          <span class="${run.status === 'SUCCESS' ? 'aero-badge-success' : 'aero-badge-error'} text-xs">${escapeHtml(run.status)}</span>
+        </div>
+        <div class="text-xs aero-text-muted">${run.duration}s · ${escapeHtml(run.mode || 'real')}${run.attempts > 1 ? ` · ${run.attempts} attempts` : ''}${run.matrix ? ` · ${escapeHtml(formatMatrixCombination(run.matrix))}` : ''}${run.rows ? ` · ${run.rows.filter(row => row.status === 'SUCCESS').length}/${run.rows.length} rows passed` : ''}${run.tests ? ` · ${run.tests.filter(test => test.status === 'SUCCESS').length}/${run.tests.length} tests passed` : ''}${run.parameters && run.parameters.length > 0 ? ` · ${run.parameters.length} parameter(s)` : ''}</div>
+      </button>
+    </div>
+  `).join('');
+  updateRunCompareButton();
+}
+
+function showHistoricRun(runId) {
+  const run = runHistoryRuns.find(r => r.runId === runId);
+  if (!run) return;
+  const suite = testSuites.find(s => s.id === run.suiteId) || { id: run.suiteId, name: run.suiteName };
+  showRunLogInModal(suite, run.log, run.status, run.buildNumber, run.kind || 'suite', run);
+}
+
+function toggleRunSelection(runId) {
+  const index = selectedRunIds.indexOf(runId);
+  if (index !== -1) {
+    selectedRunIds.splice(index, 1);
+  } else {
+    selectedRunIds.push(runId);
+    // Only two runs can be compared - drop the oldest selection
+    if (selectedRunIds.length > 2) selectedRunIds.shift();
+  }
+  refreshRunHistoryList();
+}
+
+function updateRunCompareButton() {
+  document.getElementById('run-compare-btn').disabled = selectedRunIds.length !== 2;
+}
+
+/**
+ * Shows a diff of the two selected runs' logs (older → newer).
+ */
+function compareSelectedRuns() {
+  if (selectedRunIds.length !== 2) return;
+  const runs = selectedRunIds
+    .map(id => runHistoryRuns.find(r => r.runId === id))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (runs.length !== 2) return;
+
+  const [older, newer] = runs;
+  const diff = createUnifiedDiff(older.log.split('\n'), newer.log.split('\n'));
+
+  document.getElementById('run-compare-summary').innerHTML = `
+    <div class="grid grid-cols-2 gap-3 text-sm mb-3">
+      <div class="aero-glass-panel p-2 rounded"><strong>Older${older.buildNumber ? ` #${older.buildNumber}` : ''}:</strong> ${new Date(older.timestamp).toLocaleString()}<br>
+        ${escapeHtml(older.status)} · ${older.duration}s</div>
+      <div class="aero-glass-panel p-2 rounded"><strong>Newer${newer.buildNumber ? ` #${newer.buildNumber}` : ''}:</strong> ${new Date(newer.timestamp).toLocaleString()}<br>
+        ${escapeHtml(newer.status)} · ${newer.duration}s</div>
+    </div>
+  `;
+  document.getElementById('run-compare-diff').innerHTML = diff.length > 0
+    ? renderDiffHtml(diff)
+    : '<div class="aero-text-muted">The logs are identical.</div>';
+  document.getElementById('run-compare-panel').classList.remove('hidden');
+}
+
+function closeRunComparison() {
+  document.getElementById('run-compare-panel').classList.add('hidden');
+}
+
+async function saveRunHistoryRetention() {
+  const maxRunsPerSuite = Math.max(0, parseInt(document.getElementById('run-history-max-runs').value, 10) || 0);
+  const maxAgeDays = Math.max(0, parseInt(document.getElementById('run-history-max-age').value, 10) || 0);
+  window.runHistory.saveRetentionConfig({ maxRunsPerSuite, maxAgeDays });
+
+  if (runHistorySuiteId) {
+    await window.runHistory.applyRetention(runHistorySuiteId);
+    await refreshRunHistoryList();
+  }
+  showMessage('Retention settings saved', 'success');
+}
+
+// ============================================
+// PERMALINKS
+// ============================================
+// #/suite/<id>/run/<n> and #/unit-test/<id>/run/<n> open a stored run.
+
+function getRunPermalink(kind, ownerId, buildNumber) {
+  const base = window.location.href.split('#')[0];
+  return `${base}#/${kind}/${encodeURIComponent(ownerId)}/run/${buildNumber}`;
+}
+
+async function openRunFromHash() {
+  const match = window.location.hash.match(/^#\/(suite|unit-test)\/([^/]+)\/run\/(\d+)$/);
+  if (!match) return;
+
+  const kind = match[1];
+  const ownerId = decodeURIComponent(match[2]);
+  const buildNumber = parseInt(match[3], 10);
+
+  // Suites arrive asynchronously from the storage backend
+  for (let i = 0; i < 20 && kind === 'suite' && !testSuites.some(s => s.id === ownerId); i++) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  const owner = kind === 'suite'
+    ? testSuites.find(s => s.id === ownerId)
+    : (typeof getUnitTest === 'function' ? getUnitTest(ownerId) : null);
+  if (!owner) {
+    showMessage(`Linked ${kind === 'suite' ? 'suite' : 'unit test'} was not found`, 'error');
+    return;
+  }
+
+  let run = null;
+  try {
+    run = await window.runHistory.getRunByBuild(ownerId, buildNumber);
+  } catch (error) {
+    console.error('Failed to look up run:', error);
+  }
+
+  if (run) {
+    showRunLogInModal(owner, run.log, run.status, buildNumber, kind, run);
+    return;
+  }
+
+  // Run history is per browser - the suite document still carries the latest run
+  if (owner.last_build_number === buildNumber) {
+    const log = kind === 'suite' ? owner.last_run_log : owner.last_run_output;
+    const status = kind === 'suite' ? owner.last_run_status : (owner.status === 'PASS' ? 'SUCCESS' : 'FAILURE');
+    showRunLogInModal(owner, log, status, buildNumber, kind);
+    return;
+  }
+
+  showMessage(`Run #${buildNumber} of "${owner.name}" is not stored in this browser`, 'error');
+}
+
+function copyCurrentRunPermalink() {
+  if (!currentLogData || !currentLogData.permalink) return;
+  navigator.clipboard.writeText(currentLogData.permalink)
+    .then(() => showMessage('Link copied to clipboard', 'success'))
+    .catch(() => prompt('Copy this link:', currentLogData.permalink));
+}
+
+window.addEventListener('hashchange', openRunFromHash);
+
+// Initialize on page load
+(async function() {
+  window.runHistory = new RunHistory();
+  await window.runHistory.initialize();
+  openRunFromHash();
+})();
@@ -0,0 +1,159 @@
+// ============================================
+// RUNNER PROTOCOL
+// Client for external HTTP runners that execute
+// Java and C# locally (see runner/local-runner.js
+// for the reference implementation).
+// ============================================
+
+/* Protocol (all bodies JSON, CORS enabled on the runner for the app's origin only)
+
+   Every /runs request carries the runner's shared token:
+          X-LVX-Runner-Token: {token}             (401 without it)
+
+   GET    {runner}/health
+          -> { name, version, languages: ["java", "csharp"] }
+
+   POST   {runner}/runs
+          { language: "java|csharp", code, stdin, parameters: {KEY: value},
+            files: [{ path, encoding: "utf-8|base64", content, sha256 }],
+            timeout_seconds }
+          -> 201 { id, stream: true|false }
+          Files are written below the working directory, parameters become
+          environment variables. timeout_seconds is the suite's timeout, 0
+          for none; without it the runner applies its own default.
+
+   GET    {runner}/runs/{id}?after={seq}          (polling)
+          -> { status: "running|finished",
+               events: [{ seq, stream: "stdout|stderr", text }],   // seq > after
+               result: { success, exitCode, output, stderr, error } }  // once finished
+
+   GET    {runner}/runs/{id}/stream               (only when submit said stream: true)
+          -> application/x-ndjson or text/event-stream, same format as the
+             Robot backend (output lines, then one result)
+
+   DELETE {runner}/runs/{id}
+          -> 204, kills the process
+*/
+
+const LOCAL_RUNNER_DEFAULT_URL = 'http://127.0.0.1:7070';
+const LOCAL_RUNNER_POLL_INTERVAL_MS = 500;
+
+function getLocalRunnerUrl() {
+  return ((executionConfig && executionConfig.localRunnerUrl) || LOCAL_RUNNER_DEFAULT_URL).replace(/\/+$/, '');
+}
+
+function getLocalRunnerHeaders(headers = {}) {
+  return { ...headers, 'X-LVX-Runner-Token': (executionConfig && executionConfig.localRunnerToken) || '' };
+}
+
+/**
+ * Runs code on the configured local runner.
+ * @param {string} language - 'java' or 'csharp'
+ * @param {string} code
+ * @param {Array} inputFiles - Result of prepareInputFiles()
+ * @param {Object} parameters - Environment parameters
+ * @param {AbortSignal} [signal] - Cancels the run on the runner as well
+ * @param {Function} [onOutput] - Called with (stream, line) while the code runs
+ * @param {number} [timeoutSeconds=0] - Suite timeout (getRunTimeoutSeconds), 0 for none
+ * @returns {Promise<{success: boolean, output: string, error: string|null, stderr: string, exitCode: number}>}
+ */
+async function executeViaLocalRunner(language, code, inputFiles, parameters = {}, signal = null, onOutput = null, timeoutSeconds = 0) {
+  const baseUrl = getLocalRunnerUrl();
+  let runId = null;
+
+  const cancelOnRunner = () => {
+    if (runId) fetch(`${baseUrl}/runs/${encodeURIComponent(runId)}`, { method: 'DELETE', headers: getLocalRunnerHeaders() }).catch(() => {});
+  };
+  if (signal) signal.addEventListener('abort', cancelOnRunner, { once: true });
+
+  try {
+    const submitResponse = await fetch(`${baseUrl}/runs`, {
+      method: 'POST',
+      headers: getLocalRunnerHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        language,
+        code,
+        stdin: getTextInputFileContents(inputFiles).join('\n'),
+        parameters,
+        files: serializeInputFilesForRequest(inputFiles),
+        timeout_seconds: timeoutSeconds > 0 ? timeoutSeconds : 0
+      }),
+      signal
+    });
+    if (!submitResponse.ok) {
+      throw new Error(`Runner rejected the run (HTTP ${submitResponse.status}): ${await submitResponse.text()}`);
+    }
+
+    const submitted = await submitResponse.json();
+    runId = submitted.id;
+
+    const result = submitted.stream
+      ? await readExecutionResponse(
+          await fetch(`${baseUrl}/runs/${encodeURIComponent(runId)}/stream`, {
+            headers: getLocalRunnerHeaders({ 'Accept': EXECUTION_STREAM_ACCEPT }),
+            signal
+          }),
+          onOutput)
+      : await pollLocalRunner(baseUrl, runId, signal, onOutput);
+
+    return {
+      success: !!result.success,
+      output: result.output || '',
+      error: result.error || (result.success ? null : `Exit code: ${result.exitCode}`),
+      stderr: result.stderr || '',
+      exitCode: typeof result.exitCode === 'number' ? result.exitCode : (result.success ? 0 : -1)
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return {
+      success: false,
+      output: '',
+      error: `Local runner at ${baseUrl} failed: ${error.message}`,
+      exitCode: -1
+    };
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancelOnRunner);
+  }
+}
+
+async function pollLocalRunner(baseUrl, runId, signal, onOutput) {
+  let after = 0;
+  while (true) {
+    const response = await fetch(`${baseUrl}/runs/${encodeURIComponent(runId)}?after=${after}`, {
+      headers: getLocalRunnerHeaders(),
+      signal
+    });
+    if (!response.ok) throw new Error(`Polling failed (HTTP ${response.status})`);
+
+    const state = await response.json();
+    (state.events || []).forEach(event => {
+      after = Math.max(after, event.seq);
+      if (onOutput) onOutput(event.stream || 'stdout', event.text);
+    });
+
+    if (state.status === 'finished') return state.result || { success: false, error: 'Runner returned no result' };
+    await new Promise(resolve => setTimeout(resolve, LOCAL_RUNNER_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * "Test Connection" button in the execution settings.
+ */
+async function testLocalRunnerConnection() {
+  const input = document.getElementById('local-runner-url');
+  const status = document.getElementById('local-runner-status');
+  const baseUrl = (input.value || LOCAL_RUNNER_DEFAULT_URL).replace(/\/+$/, '');
+
+  status.textContent = 'Checking...';
+  status.className = 'text-xs aero-text-muted';
+  try {
+    const response = await fetch(`${baseUrl}/health`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const health = await response.json();
+    status.textContent = `Connected to ${health.name || 'runner'} ${health.version || ''} - languages: ${(health.languages || []).join(', ') || 'none'}`;
+    status.className = 'text-xs aero-text-success';
+  } catch (error) {
+    status.textContent = `Not reachable: ${error.message}`;
+    status.className = 'text-xs text-red-600';
+  }
+}
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+// ============================================
+// LOCAL RUNNER (reference implementation)
+// Runs Java and C# suites with the locally
+// installed javac/java and dotnet, speaking the
+// protocol described in runner-protocol.js.
+//
+//   node runner/local-runner.js --origin http://localhost:8000 [--port 7070] [--token SECRET]
+//
+// The runner executes whatever code it receives, so it only listens on
+// 127.0.0.1, only answers the app's origin (--origin, "null" for pages
+// opened from file://) and requires the token on every /runs request.
+// Without --token a random one is generated and printed at startup; enter
+// it in the execution settings next to the runner URL.
+//
+// Environment:
+//   LVX_RUNNER_PORT        Port (default 7070)
+//   LVX_RUNNER_ORIGIN      Origin of the app, same as --origin
+//   LVX_RUNNER_TOKEN       Shared token, same as --token
+//   LVX_RUNNER_TIMEOUT     Run timeout in seconds for requests without
+//                          timeout_seconds (default 120)
+//   LVX_DOTNET_FRAMEWORK   Target framework for C# (default net8.0)
+//   JAVA_HOME              Used to locate javac/java when set
+// No dependencies beyond Node.js 16+.
+// ============================================
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const VERSION = '1.0.0';
+const PORT = parseInt(getArgument('--port') || process.env.LVX_RUNNER_PORT || '7070', 10);
+const DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.LVX_RUNNER_TIMEOUT || '120', 10);
+const DOTNET_FRAMEWORK = process.env.LVX_DOTNET_FRAMEWORK || 'net8.0';
+const HOST = '127.0.0.1';
+const ALLOWED_ORIGIN = (getArgument('--origin') || process.env.LVX_RUNNER_ORIGIN || '').replace(/\/+$/, '');
+const TOKEN = getArgument('--token') || process.env.LVX_RUNNER_TOKEN || crypto.randomBytes(24).toString('hex');
+const TOKEN_HEADER = 'x-lvx-runner-token';
+// Finished runs are kept this long so the page can fetch the result
+const RUN_RETENTION_MS = 10 * 60 * 1000;
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const runs = new Map();
+
+function getArgument(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+function javaTool(name) {
+  return process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, 'bin', name) : name;
+}
+
+// ============================================
+// RUN EXECUTION
+// ============================================
+
+/**
+ * Commands that build and run the code in workDir. Output of build steps is
+ * only reported when the build fails, so it does not reach output matching.
+ * @returns {Array<{command: string, args: string[], build?: boolean, stdin?: boolean}>}
+ */
+function prepareLanguage(language, code, workDir) {
+  if (language === 'java') {
+    const match = code.match(/public\s+(?:final\s+)?class\s+(\w+)/);
+    const className = match ? match[1] : 'Main';
+    fs.writeFileSync(path.join(workDir, `${className}.java`), code);
+    return [
+      { command: javaTool('javac'), args: ['-encoding', 'UTF-8', `${className}.java`], build: true },
+      { command: javaTool('java'), args: ['-cp', '.', className], stdin: true }
+    ];
+  }
+
+  if (language === 'csharp') {
+    fs.writeFileSync(path.join(workDir, 'Program.cs'), code);
+    fs.writeFileSync(path.join(workDir, 'LvxSuite.csproj'), `<Project Sdk="Microsoft.NET.Sdk">
+  <PropertyGroup>
+    <OutputType>Exe</OutputType>
+    <TargetFramework>${DOTNET_FRAMEWORK}</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>disable</Nullable>
+    <EnableDefaultCompileItems>false</EnableDefaultCompileItems>
+  </PropertyGroup>
+  <ItemGroup>
+    <Compile Include="Program.cs" />
+  </ItemGroup>
+</Project>
+`);
+    return [
+      { command: 'dotnet', args: ['build', '--nologo', '-v', 'q', '-o', 'bin'], build: true },
+      { command: 'dotnet', args: [path.join('bin', 'LvxSuite.dll')], stdin: true }
+    ];
+  }
+
+  throw new Error(`Unsupported language: ${language}`);
+}
+
+function writeInputFiles(files, workDir) {
+  (files || []).forEach(file => {
+    const target = path.resolve(workDir, file.path);
+    if (!target.startsWith(workDir + path.sep)) {
+      throw new Error(`Input file path "${file.path}" leaves the working directory`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, Buffer.from(file.content || '', file.encoding === 'base64' ? 'base64' : 'utf8'));
+  });
+}
+
+function createRun(request) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lvx-run-'));
+  const run = {
+    id,
+    workDir,
+    status: 'running',
+    events: [],
+    seq: 0,
+    output: [],
+    stderr: [],
+    result: null,
+    process: null,
+    cancelled: false,
+    listeners: new Set()
+  };
+  runs.set(id, run);
+
+  execute(run, request).catch(error => {
+    finish(run, { success: false, exitCode: -1, error: error.message });
+  });
+  return run;
+}
+
+async function execute(run, request) {
+  writeInputFiles(request.files, run.workDir);
+  const steps = prepareLanguage(request.language, request.code || '', run.workDir);
+  // 0 means the suite has no timeout, the app still cancels the run via DELETE
+  const timeoutSeconds = Number.isFinite(request.timeout_seconds) && request.timeout_seconds >= 0
+    ? request.timeout_seconds
+    : DEFAULT_TIMEOUT_SECONDS;
+  const env = { ...process.env, DOTNET_NOLOGO: '1', DOTNET_CLI_TELEMETRY_OPTOUT: '1' };
+  Object.entries(request.parameters || {}).forEach(([key, value]) => { env[key] = String(value); });
+
+  for (const step of steps) {
+    const exitCode = await runProcess(run, step, env, step.stdin ? request.stdin || '' : '', timeoutSeconds);
+    if (run.cancelled) {
+      return finish(run, { success: false, exitCode: -1, error: 'Run cancelled' });
+    }
+    if (exitCode !== 0) {
+      return finish(run, {
+        success: false,
+        exitCode,
+        error: step.build ? `Compilation failed (exit code ${exitCode})` : `Exit code: ${exitCode}`
+      });
+    }
+  }
+  finish(run, { success: true, exitCode: 0, error: null });
+}
+
+function runProcess(run, step, env, stdin, timeoutSeconds) {
+  return new Promise(resolve => {
+    let child;
+    try {
+      child = spawn(step.command, step.args, { cwd: run.workDir, env });
+    } catch (error) {
+      addEvent(run, 'stderr', `Failed to start ${step.command}: ${error.message}`);
+      resolve(-1);
+      return;
+    }
+    run.process = child;
+
+    const buildLines = [];
+    const report = step.build
+      ? (stream, line) => buildLines.push(line)
+      : (stream, line) => addEvent(run, stream, line);
+
+    const timer = timeoutSeconds > 0 ? setTimeout(() => {
+      addEvent(run, 'stderr', `Timed out after ${timeoutSeconds}s`);
+      child.kill('SIGKILL');
+    }, timeoutSeconds * 1000) : null;
+
+    pipeLines(child.stdout, line => report('stdout', line));
+    pipeLines(child.stderr, line => report('stderr', line));
+
+    child.on('error', error => {
+      addEvent(run, 'stderr', `Failed to start ${step.command}: ${error.message}`);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      run.process = null;
+      if (code !== 0) buildLines.filter(line => line.trim()).forEach(line => addEvent(run, 'stderr', line));
+      resolve(typeof code === 'number' ? code : -1);
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+  });
+}
+
+function pipeLines(stream, onLine) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+  stream.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  });
+  stream.on('end', () => {
+    if (buffer) onLine(buffer);
+  });
+}
+
+function addEvent(run, stream, text) {
+  const event = { seq: ++run.seq, stream, text };
+  run.events.push(event);
+  run.output.push(text);
+  if (stream === 'stderr') run.stderr.push(text);
+  run.listeners.forEach(listener => listener(event));
+}
+
+function finish(run, { success, exitCode, error }) {
+  if (run.result) return;
+  run.status = 'finished';
+  run.result = {
+    success,
+    exitCode,
+    output: run.output.join('\n'),
+    stderr: run.stderr.join('\n'),
+    error
+  };
+  run.listeners.forEach(listener => listener(null));
+
+  setTimeout(() => {
+    runs.delete(run.id);
+    fs.rm(run.workDir, { recursive: true, force: true }, () => {});
+  }, RUN_RETENTION_MS).unref();
+}
+
+function cancelRun(run) {
+  run.cancelled = true;
+  if (run.process) run.process.kill('SIGKILL');
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function hasValidToken(req) {
+  const given = Buffer.from(String(req.headers[TOKEN_HEADER] || ''));
+  const expected = Buffer.from(TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function streamRun(res, run) {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+  const write = (event) => {
+    if (event) {
+      res.write(JSON.stringify({ type: 'output', stream: event.stream, text: event.text }) + '\n');
+    } else {
+      res.end(JSON.stringify({ type: 'result', ...run.result }) + '\n');
+      run.listeners.delete(write);
+    }
+  };
+
+  run.events.forEach(write);
+  if (run.result) {
+    write(null);
+  } else {
+    run.listeners.add(write);
+    res.on('close', () => run.listeners.delete(write));
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  // Browsers send Origin on cross-origin requests; other pages are turned
+  // away before anything runs, even for requests that skip the preflight
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin !== ALLOWED_ORIGIN) {
+    return sendJSON(res, 403, { error: `Origin ${origin} is not allowed` });
+  }
+  if (origin !== undefined) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, X-LVX-Runner-Token');
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return sendJSON(res, 200, { name: 'lvx-local-runner', version: VERSION, languages: ['java', 'csharp'] });
+    }
+
+    if (parts[0] === 'runs' && !hasValidToken(req)) {
+      return sendJSON(res, 401, { error: 'Missing or wrong X-LVX-Runner-Token header' });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/runs') {
+      const request = JSON.parse(await readBody(req));
+      if (!['java', 'csharp'].includes(request.language)) {
+        return sendJSON(res, 400, { error: `Unsupported language: ${request.language}` });
+      }
+      const run = createRun(request);
+      return sendJSON(res, 201, { id: run.id, stream: true });
+    }
+
+    if (parts[0] === 'runs' && parts[1]) {
+      const run = runs.get(parts[1]);
+      if (!run) return sendJSON(res, 404, { error: 'Unknown run' });
+
+      if (req.method === 'GET' && parts.length === 2) {
+        const after = parseInt(url.searchParams.get('after') || '0', 10);
+        return sendJSON(res, 200, {
+          status: run.status,
+          events: run.events.filter(event => event.seq > after),
+          result: run.result
+        });
+      }
+      if (req.method === 'GET' && parts[2] === 'stream') {
+        return streamRun(res, run);
+      }
+      if (req.method === 'DELETE' && parts.length === 2) {
+        cancelRun(run);
+        res.writeHead(204);
+        return res.end();
+      }
+    }
+
+    sendJSON(res, 404, { error: 'Not found' });
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+  }
+});
+
+if (!ALLOWED_ORIGIN) {
+  console.error('Set the origin the app is served from: --origin http://localhost:8000 (or "null" for file:// pages)');
+  process.exit(1);
+}
+
+server.listen(PORT, HOST, () => {
+  console.log(`LVX local runner ${VERSION} listening on http://${HOST}:${PORT}`);
+  console.log(`Accepting requests from ${ALLOWED_ORIGIN}`);
+  if (!getArgument('--token') && !process.env.LVX_RUNNER_TOKEN) console.log(`Token: ${TOKEN}`);
+});
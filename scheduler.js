@@ -0,0 +1,447 @@
+// ============================================
+// SCHEDULER
+// Cron-style unattended runs of suites, views
+// and bulk selections.
+// ============================================
+
+// Schedule Object Structure (stored in storage_config.schedules)
+/*
+{
+  id: "schedule-timestamp-random",
+  name: "Weekday mornings",
+  cron: "30 9 * * 1-5",            // minute hour day-of-month month day-of-week
+  target: { type: "suite|view|selection", id: "suite-or-view-id", suite_ids: [] },
+  enabled: true,
+  created: "ISO timestamp",
+  last_run_time: "ISO timestamp"    // Last time the schedule fired
+}
+*/
+
+const SCHEDULER_TICK_MS = 30000;
+const CRON_FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+let schedulerInterval = null;
+const runningScheduleIds = new Set();
+
+// ============================================
+// CRON PARSING
+// ============================================
+
+/**
+ * Parses a 5-field cron expression.
+ * Supports "*", lists ("1,15"), ranges ("1-5") and steps ("*\/15", "0-30/5").
+ * @param {string} expression
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, dayRestricted: boolean, weekdayRestricted: boolean}}
+ */
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${fields[0] === '' ? 0 : fields.length}`);
+  }
+
+  const sets = fields.map((field, index) => parseCronField(field, CRON_FIELD_RANGES[index]));
+
+  // 0 and 7 both mean Sunday
+  if (sets[4].has(7)) {
+    sets[4].delete(7);
+    sets[4].add(0);
+  }
+
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    days: sets[2],
+    months: sets[3],
+    weekdays: sets[4],
+    dayRestricted: fields[2] !== '*',
+    weekdayRestricted: fields[4] !== '*'
+  };
+}
+
+function parseCronField(field, range) {
+  const values = new Set();
+
+  field.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${range.name} field "${field}"`);
+    }
+
+    let start = range.min;
+    let end = range.max;
+    if (match[1] !== '*') {
+      const bounds = match[1].split('-').map(n => parseInt(n, 10));
+      start = bounds[0];
+      end = bounds.length > 1 ? bounds[1] : (match[2] ? range.max : bounds[0]);
+    }
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < range.min || end > range.max || start > end || step < 1) {
+      throw new Error(`Invalid ${range.name} field "${field}" (allowed ${range.min}-${range.max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function cronMatchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  // Classic cron: when both day fields are restricted, either may match
+  if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch;
+  if (cron.dayRestricted) return dayMatch;
+  if (cron.weekdayRestricted) return weekdayMatch;
+  return true;
+}
+
+/**
+ * Next time (local time, minute precision) strictly after `from` that the
+ * cron expression fires, or null if none within the next 5 years.
+ * @param {string} expression
+ * @param {Date} from
+ * @returns {Date|null}
+ */
+function getNextCronTime(expression, from) {
+  const cron = parseCronExpression(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronMatchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+// ============================================
+// SCHEDULE STORAGE
+// ============================================
+
+function getSchedules() {
+  return (storageConfig && storageConfig.schedules) || [];
+}
+
+function saveSchedules(schedules) {
+  if (!storageConfig) storageConfig = { type: 'localStorage' };
+  storageConfig.schedules = schedules;
+  localStorage.setItem('storage_config', JSON.stringify(storageConfig));
+  renderSchedulesList();
+  if (typeof renderTestSuites === 'function') renderTestSuites(testSuites);
+}
+
+/**
+ * Suite IDs a schedule currently resolves to.
+ */
+function resolveScheduleSuiteIds(schedule) {
+  const target = schedule.target || {};
+  if (target.type === 'suite') {
+    return testSuites.some(s => s.id === target.id) ? [target.id] : [];
+  }
+  if (target.type === 'view') {
+    return testSuites.filter(s => s.view_id === target.id).map(s => s.id);
+  }
+  if (target.type === 'selection') {
+    return (target.suite_ids || []).filter(id => testSuites.some(s => s.id === id));
+  }
+  return [];
+}
+
+function describeScheduleTarget(schedule) {
+  const target = schedule.target || {};
+  if (target.type === 'suite') {
+    const suite = testSuites.find(s => s.id === target.id);
+    return `Suite: ${suite ? suite.name : 'missing suite'}`;
+  }
+  if (target.type === 'view') {
+    const view = views.find(v => v.id === target.id);
+    return `View: ${view ? view.name : 'missing view'}`;
+  }
+  return `Selection: ${(target.suite_ids || []).length} suite(s)`;
+}
+
+/**
+ * Earliest upcoming scheduled run that includes the given suite.
+ * Used by renderTestSuites() for the "next run" line on suite cards.
+ * @param {Object} suite
+ * @returns {Date|null}
+ */
+function getNextScheduledRunForSuite(suite) {
+  let next = null;
+  getSchedules().forEach(schedule => {
+    if (!schedule.enabled) return;
+    const target = schedule.target || {};
+    const includes = (target.type === 'suite' && target.id === suite.id) ||
+      (target.type === 'view' && suite.view_id && target.id === suite.view_id) ||
+      (target.type === 'selection' && (target.suite_ids || []).includes(suite.id));
+    if (!includes) return;
+    try {
+      const candidate = getNextCronTime(schedule.cron, new Date());
+      if (candidate && (!next || candidate < next)) next = candidate;
+    } catch (error) {
+      // Invalid expressions are reported in the schedules modal
+    }
+  });
+  return next;
+}
+
+// ============================================
+// SCHEDULER LOOP
+// ============================================
+
+/**
+ * Starts the scheduler. The first check runs right away, which catches up
+ * on runs that were missed while the page was closed.
+ */
+function initializeScheduler() {
+  if (schedulerInterval) clearInterval(schedulerInterval);
+  schedulerInterval = setInterval(checkSchedules, SCHEDULER_TICK_MS);
+  checkSchedules();
+}
+
+function checkSchedules() {
+  // Wait until storage has delivered the suites, otherwise targets resolve to nothing
+  if (!currentStorage || testSuites.length === 0) return;
+  const now = new Date();
+
+  for (const schedule of getSchedules()) {
+    if (!schedule.enabled || runningScheduleIds.has(schedule.id)) continue;
+
+    let due;
+    try {
+      const since = new Date(schedule.last_run_time || schedule.created);
+      due = getNextCronTime(schedule.cron, since);
+    } catch (error) {
+      console.error(`Schedule "${schedule.name}" has an invalid cron expression:`, error);
+      continue;
+    }
+    if (!due || due > now) continue;
+
+    // Missed occurrences (page was closed) collapse into a single catch-up run.
+    // Not awaited, so a long run does not hold up the other due schedules.
+    const isCatchUp = getNextCronTime(schedule.cron, due) <= now;
+    runScheduledTarget(schedule, isCatchUp).catch(error => {
+      console.error(`Scheduled run "${schedule.name}" failed:`, error);
+    });
+  }
+}
+
+async function runScheduledTarget(schedule, isCatchUp = false) {
+  runningScheduleIds.add(schedule.id);
+
+  // Record the fire time first so a slow run is not triggered twice
+  const schedules = getSchedules().map(s =>
+    s.id === schedule.id ? { ...s, last_run_time: new Date().toISOString() } : s
+  );
+  saveSchedules(schedules);
+
+  const suiteIds = resolveScheduleSuiteIds(schedule);
+  showMessage(`Scheduled run "${schedule.name}"${isCatchUp ? ' (missed run catch-up)' : ''} started`, 'info');
+
+  let failures = 0;
+  try {
+    const jobs = suiteIds.map(suiteId => executionQueue.enqueue(suiteId, { source: 'schedule' }));
+    const results = await Promise.all(jobs.map(job => job ? job.promise : null));
+    failures = results.filter(result => !result || result.status !== 'SUCCESS').length;
+  } catch (error) {
+    console.error(`Scheduled run "${schedule.name}" failed:`, error);
+    failures++;
+  } finally {
+    runningScheduleIds.delete(schedule.id);
+  }
+
+  showMessage(
+    `Scheduled run "${schedule.name}" finished: ${suiteIds.length - failures}/${suiteIds.length} passed`,
+    failures === 0 ? 'success' : 'error'
+  );
+}
+
+// ============================================
+// SCHEDULES MODAL
+// ============================================
+
+function openSchedulesModal(presetTargetType = null) {
+  populateScheduleTargetOptions();
+  if (presetTargetType) {
+    document.getElementById('schedule-target-type').value = presetTargetType;
+    populateScheduleTargetOptions();
+  }
+  updateCronPreview();
+  renderSchedulesList();
+  document.getElementById('schedules-modal').classList.remove('hidden');
+}
+
+function closeSchedulesModal() {
+  document.getElementById('schedules-modal').classList.add('hidden');
+}
+
+function populateScheduleTargetOptions() {
+  const type = document.getElementById('schedule-target-type').value;
+  const select = document.getElementById('schedule-target-id');
+  const selectionInfo = document.getElementById('schedule-selection-info');
+
+  select.classList.toggle('hidden', type === 'selection');
+  selectionInfo.classList.toggle('hidden', type !== 'selection');
+
+  if (type === 'suite') {
+    select.innerHTML = testSuites.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+  } else if (type === 'view') {
+    select.innerHTML = views.map(v => `<option value="${v.id}">${escapeHtml(v.name)}</option>`).join('');
+  } else {
+    selectionInfo.textContent = selectedSuites.size > 0
+      ? `${selectedSuites.size} suite(s) currently selected in bulk mode`
+      : 'Select suites with "Bulk Select" first';
+  }
+}
+
+function updateCronPreview() {
+  const preview = document.getElementById('schedule-cron-preview');
+  const expression = document.getElementById('schedule-cron').value;
+  if (!expression.trim()) {
+    preview.textContent = 'Format: minute hour day-of-month month day-of-week';
+    return;
+  }
+  try {
+    const times = [];
+    let from = new Date();
+    for (let i = 0; i < 3; i++) {
+      const next = getNextCronTime(expression, from);
+      if (!next) break;
+      times.push(next.toLocaleString());
+      from = next;
+    }
+    preview.textContent = times.length > 0 ? `Next runs: ${times.join(' · ')}` : 'Never fires';
+  } catch (error) {
+    preview.textContent = `Invalid: ${error.message}`;
+  }
+}
+
+function addScheduleFromForm(event) {
+  event.preventDefault();
+
+  const name = document.getElementById('schedule-name').value.trim();
+  const cron = document.getElementById('schedule-cron').value.trim();
+  const type = document.getElementById('schedule-target-type').value;
+
+  try {
+    parseCronExpression(cron);
+  } catch (error) {
+    showMessage(error.message, 'error');
+    return;
+  }
+
+  const target = { type };
+  if (type === 'selection') {
+    if (selectedSuites.size === 0) {
+      showMessage('No suites selected', 'warning');
+      return;
+    }
+    target.suite_ids = Array.from(selectedSuites);
+  } else {
+    target.id = document.getElementById('schedule-target-id').value;
+    if (!target.id) {
+      showMessage(`Please choose a ${type}`, 'error');
+      return;
+    }
+  }
+
+  const schedule = {
+    id: `schedule-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name: name || cron,
+    cron,
+    target,
+    enabled: true,
+    created: new Date().toISOString(),
+    last_run_time: null
+  };
+
+  saveSchedules([...getSchedules(), schedule]);
+  document.getElementById('schedule-form').reset();
+  populateScheduleTargetOptions();
+  updateCronPreview();
+  showMessage('Schedule created', 'success');
+}
+
+function toggleScheduleEnabled(scheduleId) {
+  saveSchedules(getSchedules().map(s => {
+    if (s.id !== scheduleId) return s;
+    // Re-enabling should not trigger a catch-up for the disabled period
+    return { ...s, enabled: !s.enabled, last_run_time: s.enabled ? s.last_run_time : new Date().toISOString() };
+  }));
+}
+
+function deleteSchedule(scheduleId) {
+  if (!confirm('Delete this schedule?')) return;
+  saveSchedules(getSchedules().filter(s => s.id !== scheduleId));
+  showMessage('Schedule deleted', 'success');
+}
+
+function runScheduleNow(scheduleId) {
+  const schedule = getSchedules().find(s => s.id === scheduleId);
+  if (!schedule || runningScheduleIds.has(scheduleId)) return;
+  runScheduledTarget(schedule);
+}
+
+function renderSchedulesList() {
+  const container = document.getElementById('schedules-list');
+  if (!container) return;
+
+  const schedules = getSchedules();
+  if (schedules.length === 0) {
+    container.innerHTML = '<p class="text-sm aero-text-muted text-center py-4">No schedules yet.</p>';
+    return;
+  }
+
+  container.innerHTML = schedules.map(schedule => {
+    let nextRun;
+    try {
+      const next = schedule.enabled ? getNextCronTime(schedule.cron, new Date()) : null;
+      nextRun = schedule.enabled ? (next ? next.toLocaleString() : 'never') : 'disabled';
+    } catch (error) {
+      nextRun = `invalid (${error.message})`;
+    }
+    return `
+      <div class="aero-glass-panel p-3 rounded-lg flex justify-between items-center gap-3">
+        <div class="flex-1">
+          <div class="font-semibold aero-text-primary">${escapeHtml(schedule.name)} <code class="text-xs aero-text-muted">${escapeHtml(schedule.cron)}</code></div>
+          <div class="text-xs aero-text-muted">${escapeHtml(describeScheduleTarget(schedule))}</div>
+          <div class="text-xs aero-text-secondary">Next run: ${escapeHtml(nextRun)}${schedule.last_run_time ? ` · Last run: ${new Date(schedule.last_run_time).toLocaleString()}` : ''}</div>
+        </div>
+        <div class="flex gap-2">
+          <button onclick="runScheduleNow('${schedule.id}')" class="aero-button-success text-xs py-1 px-2 rounded">▶ Now</button>
+          <button onclick="toggleScheduleEnabled('${schedule.id}')" class="aero-button-gray text-xs py-1 px-2 rounded">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+          <button onclick="deleteSchedule('${schedule.id}')" class="aero-button-danger text-xs py-1 px-2 rounded">✕</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
@@ -43,8 +43,10 @@
  pyodideLoading = true;
  try {
  console.log("Loading Pyodide...");
+ const pyodideBaseUrl = getAssetUrl('pyodide');
+ await loadScriptOnce(`${pyodideBaseUrl}pyodide.js`);
  pyodideInstance = await loadPyodide({
- indexURL: "https://cdn.jsdelivr.net/pyodide/v0.24.1/full/"
+ indexURL: pyodideBaseUrl
  });
  console.log("Pyodide loaded successfully");
  pyodideLoading = false;
@@ -64,10 +66,8 @@
  
  showMessage('Installing Robot Framework... This may take 10-15 seconds', 'info');
  
- // Install Robot Framework via micropip
- await pyodide.loadPackage('micropip');
- const micropip = pyodide.pyimport('micropip');
- await micropip.install('robotframework');
+ // Install Robot Framework via micropip (uses the offline wheel cache when available)
+ await installPythonRequirements(pyodide, 'robotframework');
  
  // Create custom BrowserLibrary for DOM automation
  await pyodide.runPythonAsync(`
@@ -254,18 +254,50 @@ class BrowserLibrary:
  }
  }
 
- async function executePythonCode(code, inputFiles) {
+ async function executePythonCode(code, inputFiles = [], parameters = {}, signal = null, onOutput = null, requirements = '', variables = {}) {
+ if (!isPythonWorkerAvailable()) {
+ return executePythonCodeOnMainThread(code, inputFiles, parameters, requirements, variables, onOutput);
+ }
+ 
  try {
- const pyodide = await initializePyodide();
+ return await runPythonInWorker({ mode: 'script', code, inputFiles, parameters, requirements, variables, onOutput, signal });
+ } catch (error) {
+ if (isAbortError(error)) throw error;
+ return {
+ success: false,
+ output: '',
+ error: error.message
+ };
+ }
+ }
+ 
+ // Fallback for pages opened via file://, where workers are unavailable
+ async function executePythonCodeOnMainThread(code, inputFiles = [], parameters = {}, requirements = '', variables = {}, onOutput = null) {
+ let pyodide = null;
+ let cwd = null;
+ let packages = [];
+ const variableNames = Object.keys(variables);
+ try {
+ pyodide = await initializePyodide();
+ // Install messages go to the run log, like the worker's
+ packages = await installPythonRequirements(pyodide, requirements, line => {
+ if (onOutput) onOutput('stderr', line);
+ else console.warn(line);
+ });
+ 
+ // Expose environment parameters via os.environ (restored after the run)
+ pyodide.globals.set('__lvx_params', pyodide.toPy(parameters));
+ pyodide.runPython(`
+import os
+__lvx_saved_env = {k: os.environ.get(k) for k in __lvx_params}
+os.environ.update({k: str(v) for k, v in __lvx_params.items()})
+`);
  
  // Get Python's current working directory and write files there
- const cwd = pyodide.runPython('import os; os.getcwd()');
+ cwd = pyodide.runPython('import os; os.getcwd()');
  
- // Create a virtual filesystem with input files in the working directory
- for (const file of inputFiles) {
- const filePath = `${cwd}/${file.filename}`;
- pyodide.FS.writeFile(filePath, file.content);
- }
+ // Create a virtual filesystem with input files (and their subdirectories) in the working directory
+ writeInputFilesToPyodide(pyodide, inputFiles, cwd);
  
  // Capture stdout
  let output = '';
@@ -276,6 +308,9 @@ sys.stdout = StringIO()
 sys.stderr = StringIO()
 `);
  
+ // Data-driven row fields become globals for this run
+ variableNames.forEach(name => pyodide.globals.set(name, pyodide.toPy(variables[name])));
+ 
  // Run the code
  try {
  await pyodide.runPythonAsync(code);
@@ -290,38 +325,94 @@ stdout_value + stderr_value
  output = pyodide.runPython(`sys.stderr.getvalue()`) || execError.message;
  throw new Error(output);
  }
+ // Streamed install messages replace result.output in the log, so the output follows them
+ if (onOutput && output) onOutput('stdout', output);
  
  return {
  success: true,
  output: output,
- error: null
+ error: null,
+ stderr: pyodide.runPython('stderr_value'),
+ packages
  };
  
  } catch (error) {
  return {
  success: false,
  output: error.output || '',
- error: error.message
+ error: error.message,
+ packages
  };
+ } finally {
+ if (pyodide) restorePythonEnvironment(pyodide);
+ if (pyodide && cwd) removeInputFilesFromPyodide(pyodide, inputFiles, cwd);
+ if (pyodide) variableNames.forEach(name => pyodide.globals.delete(name));
+ }
+ }
+ 
+ function restorePythonEnvironment(pyodide) {
+ try {
+ pyodide.runPython(`
+import os
+for __k, __v in globals().get('__lvx_saved_env', {}).items():
+ if __v is None:
+  os.environ.pop(__k, None)
+ else:
+  os.environ[__k] = __v
+__lvx_saved_env = {}
+`);
+ } catch (error) {
+ console.warn("Failed to restore Python environment:", error);
  }
  }
 
- async function executeRobotFrameworkBrowser(code) {
+ async function executeRobotFrameworkBrowser(code, parameters = {}, inputFiles = [], signal = null, onOutput = null) {
+ if (!isPythonWorkerAvailable() || robotCodeNeedsDom(code)) {
+ return executeRobotFrameworkOnMainThread(code, parameters, inputFiles);
+ }
+ 
+ try {
+ return await runPythonInWorker({ mode: 'robot', code, inputFiles, parameters, onOutput, signal });
+ } catch (error) {
+ if (isAbortError(error)) throw error;
+ return {
+ success: false,
+ output: null,
+ error: error.message,
+ exitCode: -1
+ };
+ }
+ }
+ 
+ // BrowserLibrary keywords need the page DOM, so those suites run on the main thread
+ async function executeRobotFrameworkOnMainThread(code, parameters = {}, inputFiles = []) {
  if (!robotFrameworkInstalled) {
  await installRobotFramework();
  }
  
+ let pyodide = null;
+ let cwd = null;
  try {
- const pyodide = await initializePyodide();
+ pyodide = await initializePyodide();
+ 
+ // Parameters become ${KEY} variables via run(variable=[...])
+ pyodide.globals.set('__lvx_params', pyodide.toPy(parameters));
+ 
+ // Input files are written next to the robot file, so relative paths work
+ cwd = pyodide.runPython('import os; os.getcwd()');
+ writeInputFilesToPyodide(pyodide, inputFiles, cwd);
  
  // Create a temporary robot file in Pyodide's virtual filesystem
  const tempFileName = 'test_suite.robot';
  
  await pyodide.runPythonAsync(`
+import os
 import sys
 from io import StringIO
 from robot import run
 
+robot_artifacts = {}
+
 # Setup output capture
 sys.stdout = StringIO()
 sys.stderr = StringIO()
@@ -336,7 +427,8 @@ try:
  from robot.libraries import STDLIBS
  # Note: BrowserLibrary is already defined globally from installation
  
- result = run('${tempFileName}', outputdir='NONE', output='NONE', log='NONE', report='NONE')
+ robot_variables = [f"{k}:{v}" for k, v in __lvx_params.items()]
+ result = run('${tempFileName}', outputdir='.', output='output.xml', log='log.html', report='report.html', variable=robot_variables)
  output = sys.stdout.getvalue()
  error = sys.stderr.getvalue()
  success = (result == 0)
@@ -345,19 +437,30 @@ except Exception as e:
  error = str(e) + "\\n" + sys.stderr.getvalue()
  success = False
  result = -1
+
+# Keep the result files as artifacts, the shared working directory stays clean
+for name in ['output.xml', 'log.html', 'report.html']:
+ if os.path.exists(name):
+  with open(name, encoding='utf-8') as f:
+   robot_artifacts[name] = f.read()
+  os.remove(name)
  `);
  
  const success = await pyodide.runPythonAsync('success');
  const output = await pyodide.runPythonAsync('output');
  const error = await pyodide.runPythonAsync('error');
  const exitCode = await pyodide.runPythonAsync('result');
+ const artifactsProxy = pyodide.globals.get('robot_artifacts');
+ const artifacts = normalizeRunArtifacts(Array.from(artifactsProxy.toJs(), ([name, content]) => ({ name, content })));
+ artifactsProxy.destroy();
  
- return {
+ return attachRobotResults({
  success: success,
  output: output || '(Robot Framework execution completed)',
  error: error || null,
- exitCode: exitCode
- };
+ exitCode: exitCode,
+ artifacts
+ }, getRunArtifactText(artifacts, 'output.xml'));
  } catch (error) {
  return {
  success: false,
@@ -365,30 +468,45 @@ except Exception as e:
  error: error.message,
  exitCode: -1
  };
+ } finally {
+ if (pyodide && cwd) removeInputFilesFromPyodide(pyodide, inputFiles, cwd);
  }
  }
 
- async function executeRobotFrameworkBackend(code) {
+ async function executeRobotFrameworkBackend(code, parameters = {}, inputFiles = [], signal = null, onOutput = null) {
  const backendUrl = executionConfig.robotBackendUrl || 'http://localhost:5000';
  
  try {
  const response = await fetch(`${backendUrl}/execute`, {
  method: 'POST',
  headers: {
- 'Content-Type': 'application/json'
+ 'Content-Type': 'application/json',
+ 'Accept': EXECUTION_STREAM_ACCEPT
  },
- body: JSON.stringify({ code: code })
+ body: JSON.stringify({
+ code: code,
+ parameters: parameters,
+ input_files: serializeInputFilesForRequest(inputFiles)
+ }),
+ signal
  });
 
- const result = await response.json();
+ // Plain JSON, or streamed output followed by the result (SSE / NDJSON)
+ const result = await readExecutionResponse(response, onOutput);
  
- return {
+ // Robot's output.xml, log.html and report.html, if the endpoint returns them
+ const artifacts = getExecutionArtifacts(result);
+ return attachRobotResults({
  success: result.success || false,
  output: result.output || '',
  error: result.error || null,
- exitCode: result.exitCode || -1
- };
+ exitCode: typeof result.exitCode === 'number' ? result.exitCode : (result.success ? 0 : -1),
+ // Optional JUnit/xUnit report ("junit" or "xunit") with per-test results
+ tests: parseExecutionJUnit(result),
+ artifacts
+ }, getRunArtifactText(artifacts, 'output.xml'));
  } catch (error) {
+ if (isAbortError(error)) throw error;
  return {
  success: false,
  output: '',
@@ -398,7 +516,7 @@ except Exception as e:
  }
  }
 
- async function executeRobotFrameworkApi(code) {
+ async function executeRobotFrameworkApi(code, parameters = {}, inputFiles = [], signal = null, onOutput = null) {
  const apiUrl = executionConfig.robotApiUrl;
  
  if (!apiUrl) {
@@ -414,20 +532,33 @@ except Exception as e:
  const response = await fetch(apiUrl, {
  method: 'POST',
  headers: {
- 'Content-Type': 'application/json'
+ 'Content-Type': 'application/json',
+ 'Accept': EXECUTION_STREAM_ACCEPT
  },
- body: JSON.stringify({ code: code })
+ body: JSON.stringify({
+ code: code,
+ parameters: parameters,
+ input_files: serializeInputFilesForRequest(inputFiles)
+ }),
+ signal
  });
 
- const result = await response.json();
+ // Plain JSON, or streamed output followed by the result (SSE / NDJSON)
+ const result = await readExecutionResponse(response, onOutput);
  
- return {
+ // Robot's output.xml, log.html and report.html, if the endpoint returns them
+ const artifacts = getExecutionArtifacts(result);
+ return attachRobotResults({
  success: result.success || false,
  output: result.output || '',
  error: result.error || null,
- exitCode: result.exitCode || -1
- };
+ exitCode: typeof result.exitCode === 'number' ? result.exitCode : (result.success ? 0 : -1),
+ // Optional JUnit/xUnit report ("junit" or "xunit") with per-test results
+ tests: parseExecutionJUnit(result),
+ artifacts
+ }, getRunArtifactText(artifacts, 'output.xml'));
  } catch (error) {
+ if (isAbortError(error)) throw error;
  return {
  success: false,
  output: '',
@@ -437,33 +568,46 @@ except Exception as e:
  }
  }
 
- async function executeJavaCode(code, inputFiles) {
+ async function executeJavaCode(code, inputFiles, parameters = {}, signal = null, onOutput = null, timeoutSeconds = 0) {
  if (!executionConfig.javaType || executionConfig.javaType === 'jdoodle') {
  if (!executionConfig.jdoodleClientId || !executionConfig.jdoodleClientSecret) {
  throw new Error("JDoodle API credentials not configured. Please go to Execution Settings.");
  }
  
- return await executeViaJDoodle('java', code, inputFiles);
+ return await executeViaJDoodle('java', applyParameterTemplate(code, parameters), inputFiles, signal);
  } else {
- throw new Error("Local Java execution requires a backend server. This feature is not yet implemented.");
+ return await executeViaLocalRunner('java', applyParameterTemplate(code, parameters), inputFiles, parameters, signal, onOutput, timeoutSeconds);
  }
  }
 
- async function executeCSharpCode(code, inputFiles) {
+ async function executeCSharpCode(code, inputFiles, parameters = {}, signal = null, onOutput = null, timeoutSeconds = 0) {
  if (!executionConfig.csharpType || executionConfig.csharpType === 'jdoodle') {
  if (!executionConfig.jdoodleClientId || !executionConfig.jdoodleClientSecret) {
  throw new Error("JDoodle API credentials not configured. Please go to Execution Settings.");
  }
  
- return await executeViaJDoodle('csharp', code, inputFiles);
+ return await executeViaJDoodle('csharp', applyParameterTemplate(code, parameters), inputFiles, signal);
  } else {
- throw new Error("Local C# execution requires a backend server. This feature is not yet implemented.");
+ return await executeViaLocalRunner('csharp', applyParameterTemplate(code, parameters), inputFiles, parameters, signal, onOutput, timeoutSeconds);
  }
  }
 
- async function executeViaJDoodle(language, code, inputFiles) {
- // Prepare stdin (concatenate all input files)
- const stdin = inputFiles.map(f => f.content).join('\n');
+ async function executeJavaScriptCode(language, code, inputFiles = [], parameters = {}, signal = null, onOutput = null) {
+ try {
+ return await runJavaScriptInSandbox({ language, code, inputFiles, parameters, onOutput, signal });
+ } catch (error) {
+ if (isAbortError(error)) throw error;
+ return {
+ success: false,
+ output: '',
+ error: error.message
+ };
+ }
+ }
+
+ async function executeViaJDoodle(language, code, inputFiles, signal = null) {
+ // Prepare stdin (concatenate all text input files)
+ const stdin = getTextInputFileContents(inputFiles).join('\n');
  
  const payload = {
  clientId: executionConfig.jdoodleClientId,
@@ -480,7 +624,8 @@ except Exception as e:
  headers: {
  'Content-Type': 'application/json'
  },
- body: JSON.stringify(payload)
+ body: JSON.stringify(payload),
+ signal
  });
 
  const result = await response.json();
@@ -499,6 +644,7 @@ except Exception as e:
  error: result.statusCode && result.statusCode !== 200 ? `Exit code: ${result.statusCode}` : null
  };
  } catch (error) {
+ if (isAbortError(error)) throw error;
  return {
  success: false,
  output: '',
@@ -520,7 +666,9 @@ except Exception as e:
  jdoodleClientSecret: '',
  robotType: 'browser',
  robotBackendUrl: 'http://localhost:5000',
- robotApiUrl: ''
+ robotApiUrl: '',
+ localRunnerUrl: 'http://127.0.0.1:7070',
+ localRunnerToken: ''
  };
  }
  updateExecutionDisplay();
@@ -558,6 +706,20 @@ except Exception as e:
  const robotApiUrl = document.getElementById('robot-api-url');
  if (robotApiUrl) robotApiUrl.value = executionConfig.robotApiUrl || '';
  
+ const localRunnerUrl = document.getElementById('local-runner-url');
+ if (localRunnerUrl) localRunnerUrl.value = executionConfig.localRunnerUrl || LOCAL_RUNNER_DEFAULT_URL;
+ const localRunnerToken = document.getElementById('local-runner-token');
+ if (localRunnerToken) localRunnerToken.value = executionConfig.localRunnerToken || '';
+ const localRunnerStatus = document.getElementById('local-runner-status');
+ if (localRunnerStatus) localRunnerStatus.textContent = '';
+ 
+ const defaultTimeout = document.getElementById('default-timeout-seconds');
+ if (defaultTimeout) defaultTimeout.value = executionConfig.defaultTimeoutSeconds || '';
+ 
+ renderExecutorSettings();
+ renderPythonWheelCache();
+ loadAssetSettingsIntoForm();
+ 
  // Setup Robot Framework radio button handlers
  document.querySelectorAll('input[name="robot-execution-type"]').forEach(radio => {
  radio.addEventListener('change', function() {
@@ -636,11 +798,27 @@ except Exception as e:
  if (robotBackendUrl) executionConfig.robotBackendUrl = robotBackendUrl.value;
  if (robotApiUrl) executionConfig.robotApiUrl = robotApiUrl.value;
  
+ const localRunnerUrl = document.getElementById('local-runner-url');
+ if (localRunnerUrl) executionConfig.localRunnerUrl = localRunnerUrl.value.trim();
+ const localRunnerToken = document.getElementById('local-runner-token');
+ if (localRunnerToken) executionConfig.localRunnerToken = localRunnerToken.value.trim();
+ 
+ const defaultTimeout = document.getElementById('default-timeout-seconds');
+ if (defaultTimeout) executionConfig.defaultTimeoutSeconds = parseInt(defaultTimeout.value, 10) || 0;
+ 
+ saveExecutorSettingsFromForm();
+ const assetUrlsChanged = saveAssetSettingsFromForm();
+ 
  localStorage.setItem('execution_config', JSON.stringify(executionConfig));
  updateExecutionDisplay();
  closeExecutionSettingsModal();
+ if (assetUrlsChanged) {
+ postAssetUrlsToServiceWorker().catch(() => {});
+ showMessage("Execution settings saved. Reload the page to use the new asset URLs.", 'success');
+ } else {
  showMessage("Execution settings saved", 'success');
  }
+ }
 
  // ============================================
  // STORAGE ABSTRACTION LAYER
@@ -657,6 +835,11 @@ except Exception as e:
  async updateSuite(id, suite) { throw new Error("Not implemented"); }
  async deleteSuite(id) { throw new Error("Not implemented"); }
  async subscribeToChanges(callback) { /* Optional */ }
+ async getAllPipelines() { throw new Error("Not implemented"); }
+ async savePipeline(pipeline) { throw new Error("Not implemented"); }
+ async updatePipeline(id, pipeline) { throw new Error("Not implemented"); }
+ async deletePipeline(id) { throw new Error("Not implemented"); }
+ async subscribeToPipelineChanges(callback) { /* Optional */ }
  getStatusMessage() { return "Connected"; }
  }
 
@@ -668,7 +851,9 @@ except Exception as e:
  constructor() {
  super();
  this.STORAGE_KEY = 'pipeline_test_suites';
+ this.PIPELINES_KEY = 'pipeline_definitions';
  this.changeListeners = [];
+ this.pipelineListeners = [];
  }
 
  async initialize() {
@@ -749,6 +934,55 @@ except Exception as e:
  this.changeListeners.forEach(cb => cb(suites));
  }
 
+ async getAllPipelines() {
+ const data = localStorage.getItem(this.PIPELINES_KEY);
+ return data ? JSON.parse(data) : [];
+ }
+
+ async savePipeline(pipeline) {
+ const pipelines = await this.getAllPipelines();
+ pipeline.id = pipeline.id || this._generateId();
+ pipeline.stages = pipeline.stages || [];
+ pipeline.last_run_status = pipeline.last_run_status || 'NEVER_RUN';
+ pipeline.last_run_time = pipeline.last_run_time || null;
+ pipeline.dateCreated = pipeline.dateCreated || new Date().toISOString();
+ pipeline.dateModified = new Date().toISOString();
+ 
+ pipelines.push(pipeline);
+ localStorage.setItem(this.PIPELINES_KEY, JSON.stringify(pipelines));
+ this._notifyPipelineListeners();
+ return pipeline.id;
+ }
+
+ async updatePipeline(id, updates) {
+ const pipelines = await this.getAllPipelines();
+ const index = pipelines.findIndex(p => p.id === id);
+ if (index !== -1) {
+ updates.dateModified = new Date().toISOString();
+ pipelines[index] = { ...pipelines[index], ...updates };
+ localStorage.setItem(this.PIPELINES_KEY, JSON.stringify(pipelines));
+ this._notifyPipelineListeners();
+ }
+ }
+
+ async deletePipeline(id) {
+ const pipelines = await this.getAllPipelines();
+ const filtered = pipelines.filter(p => p.id !== id);
+ localStorage.setItem(this.PIPELINES_KEY, JSON.stringify(filtered));
+ this._notifyPipelineListeners();
+ }
+
+ async subscribeToPipelineChanges(callback) {
+ this.pipelineListeners.push(callback);
+ const pipelines = await this.getAllPipelines();
+ callback(pipelines);
+ }
+
+ _notifyPipelineListeners() {
+ const pipelines = JSON.parse(localStorage.getItem(this.PIPELINES_KEY) || '[]');
+ this.pipelineListeners.forEach(cb => cb(pipelines));
+ }
+
  _generateId() {
  return 'local_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
  }
@@ -771,6 +1005,7 @@ except Exception as e:
  this.auth = null;
  this.userId = null;
  this.unsubscribe = null;
+ this.pipelineUnsubscribe = null;
  }
 
  async initialize() {
@@ -857,6 +1092,49 @@ except Exception as e:
  });
  }
 
+ async getAllPipelines() {
+ return [];
+ }
+
+ async savePipeline(pipeline) {
+ const { collection, addDoc } = window.firebaseModules;
+ pipeline.userId = this.userId;
+ pipeline.stages = pipeline.stages || [];
+ pipeline.last_run_status = pipeline.last_run_status || 'NEVER_RUN';
+ pipeline.last_run_time = pipeline.last_run_time || null;
+ 
+ const docRef = await addDoc(collection(this.db, 'pipelines'), pipeline);
+ return docRef.id;
+ }
+
+ async updatePipeline(id, updates) {
+ const { doc, updateDoc } = window.firebaseModules;
+ const docRef = doc(this.db, 'pipelines', id);
+ await updateDoc(docRef, updates);
+ }
+
+ async deletePipeline(id) {
+ const { doc, deleteDoc } = window.firebaseModules;
+ const docRef = doc(this.db, 'pipelines', id);
+ await deleteDoc(docRef);
+ }
+
+ async subscribeToPipelineChanges(callback) {
+ const { collection, query, where, onSnapshot } = window.firebaseModules;
+ const q = query(
+ collection(this.db, 'pipelines'),
+ where('userId', '==', this.userId)
+ );
+ 
+ this.pipelineUnsubscribe = onSnapshot(q, (snapshot) => {
+ const pipelines = [];
+ snapshot.forEach((doc) => {
+ pipelines.push({ id: doc.id, ...doc.data() });
+ });
+ callback(pipelines);
+ });
+ }
+
  getStatusMessage() {
  return `Connected: Firebase (User: ${this.userId ? this.userId.substring(0, 8) + '...' : 'Unknown'})`;
  }
@@ -872,6 +1150,7 @@ except Exception as e:
  this.baseUrl = config.baseUrl;
  this.authHeader = config.authHeader;
  this.pollInterval = null;
+ this.pipelinePollInterval = null;
  }
 
  async initialize() {
@@ -930,6 +1209,47 @@ except Exception as e:
  this.pollInterval = setInterval(poll, 5000);
  }
 
+ async getAllPipelines() {
+ return await this._fetch('GET', '/pipelines');
+ }
+
+ async savePipeline(pipeline) {
+ pipeline.stages = pipeline.stages || [];
+ pipeline.last_run_status = pipeline.last_run_status || 'NEVER_RUN';
+ pipeline.last_run_time = pipeline.last_run_time || null;
+ 
+ const response = await this._fetch('POST', '/pipelines', pipeline);
+ return response.id;
+ }
+
+ async updatePipeline(id, updates) {
+ await this._fetch('PUT', `/pipelines/${id}`, updates);
+ }
+
+ async deletePipeline(id) {
+ await this._fetch('DELETE', `/pipelines/${id}`);
+ }
+
+ async subscribeToPipelineChanges(callback) {
+ const poll = async () => {
+ const pipelines = await this.getAllPipelines();
+ callback(pipelines);
+ };
+ 
+ try {
+ await poll();
+ } catch (error) {
+ // Older API servers have no pipeline endpoints - keep suites working
+ console.warn("Pipeline endpoints not available:", error);
+ callback([]);
+ return;
+ }
+ 
+ this.pipelinePollInterval = setInterval(() => {
+ poll().catch(error => console.error("Pipeline polling error:", error));
+ }, 5000);
+ }
+
  async _fetch(method, path, body = null) {
  const options = {
  method,
@@ -1013,6 +1333,9 @@ except Exception as e:
  document.getElementById('storage-info').textContent = "Connecting to storage...";
  await currentStorage.initialize();
  await currentStorage.subscribeToChanges(renderTestSuites);
+ if (typeof renderPipelines === 'function') {
+ await currentStorage.subscribeToPipelineChanges(renderPipelines);
+ }
     window.currentStorage = currentStorage;
  document.getElementById('storage-info').textContent = currentStorage.getStatusMessage();
  showMessage("Storage connected successfully", 'success');
@@ -1107,7 +1430,9 @@ except Exception as e:
  }
  
  const newConfig = {
- type: storageTypeRadio.value
+ type: storageTypeRadio.value,
+ // Schedules live with the storage config and must survive a backend switch
+ schedules: (storageConfig && storageConfig.schedules) || []
  };
  
  if (newConfig.type === 'firebase') {
@@ -1222,6 +1547,11 @@ except Exception as e:
  <span class="text-xs aero-badge-info ml-2">${suitesInView.length}</span>
  </div>
  <div class="flex gap-2 mt-2">
+ <button onclick="event.stopPropagation(); openViewHooksModal('${view.id}')"
+ class="aero-button-info text-xs py-1 px-2 rounded transition duration-200 flex-1"
+ title="Before/after hooks for the suites in this view">
+ Hooks${view.hooks ? ' ✓' : ''}
+ </button>
  <button onclick="event.stopPropagation(); duplicateView('${view.id}')"
  class="aero-button-purple text-xs py-1 px-2 rounded transition duration-200 flex-1"
  title="Duplicate View">
@@ -1353,6 +1683,7 @@ except Exception as e:
  suiteDataToCopy.last_run_status = 'NEVER_RUN';
  suiteDataToCopy.last_run_time = null;
  suiteDataToCopy.last_run_log = '';
+ suiteDataToCopy.last_build_number = 0;
  
  // Save the new suite using the storage backend
  await currentStorage.saveSuite(suiteDataToCopy);
@@ -1502,7 +1833,8 @@ except Exception as e:
  
  container.innerHTML = filteredSuites.map(suite => {
  const statusBadge = suite.last_run_status === 'SUCCESS' ? 'aero-badge-success' : 
- suite.last_run_status === 'FAILURE' ? 'aero-badge-error' : '';
+ suite.last_run_status === 'FAILURE' ? 'aero-badge-error' :
+ suite.last_run_status === RUN_STATUS_ABORTED ? 'aero-badge-info' : '';
  const isWebsite = suite.language === 'website';
  
  // Check if it's a Visual Web Test (website + upload)
@@ -1514,6 +1846,8 @@ except Exception as e:
  
  const cardBorderColor = isVisualWebTest ? 'border-purple-500' : 'border-blue-500';
  
+ const nextScheduledRun = typeof getNextScheduledRunForSuite === 'function' ? getNextScheduledRunForSuite(suite) : null;
+ 
  // Bulk mode checkbox
  const isSelected = selectedSuites.has(suite.id);
  const bulkCheckbox = bulkModeActive ? `
@@ -1568,12 +1902,18 @@ except Exception as e:
  ${suite.last_run_status}
  </span>
  ` : ''}
+ ${renderFlakinessBadge(suite.flakiness)}
  </div>
  </div>
  
  ${suite.last_run_time ? `
  <div class="text-xs aero-text-muted mb-3">
- Last run: ${new Date(suite.last_run_time).toLocaleString()}
+ Last run${suite.last_build_number ? ` <a href="#/suite/${encodeURIComponent(suite.id)}/run/${suite.last_build_number}" class="underline">#${suite.last_build_number}</a>` : ''}: ${new Date(suite.last_run_time).toLocaleString()}
+ </div>
+ ` : ''}
+ ${nextScheduledRun ? `
+ <div class="text-xs aero-text-secondary mb-3">
+ ⏰ Next scheduled run: ${nextScheduledRun.toLocaleString()}
  </div>
  ` : ''}
  
@@ -1583,14 +1923,26 @@ except Exception as e:
   title="View Version History">
   History
  </button>
+ <button onclick="openRunHistory(event, '${suite.id}')" 
+ class="aero-button-info text-sm font-semibold py-1 px-3 rounded transition"
+ title="View Run History">
+ Runs
+ </button>
  <button onclick="duplicateSuite('${suite.id}')" 
  class="aero-button-purple text-sm font-semibold py-1 px-3 rounded transition">
  Duplicate
  </button>
- <button onclick="runTestSuite('${suite.id}')" 
+ <button onclick="runSuiteManually('${suite.id}')" 
  class="aero-button-success text-sm font-semibold py-1 px-3 rounded transition">
  >>Run
  </button>
+ ${suite.matrix ? `
+ <button onclick="openMatrixModal('${suite.id}')" 
+ class="aero-button-info text-sm font-semibold py-1 px-3 rounded transition"
+ title="Run every parameter combination">
+ Matrix
+ </button>
+ ` : ''}
  <button onclick="editSuite('${suite.id}')" 
  class="aero-button-primary text-sm font-semibold py-1 px-3 rounded transition">
  Edit
@@ -1627,12 +1979,22 @@ except Exception as e:
  const filesContainer = document.getElementById('input-files-container');
  if (filesContainer) filesContainer.innerHTML = '';
  
+ // New suites start as Python
+ const requirementsConfig = document.getElementById('python-requirements-config');
+ if (requirementsConfig) requirementsConfig.classList.remove('hidden');
+ 
  const enableLogSaving = document.getElementById('enable_log_saving');
  if (enableLogSaving) enableLogSaving.checked = false;
  
  const logConfigOptions = document.getElementById('log-config-options');
  if (logConfigOptions) logConfigOptions.classList.add('hidden');
  
+ loadStatusRulesIntoForm(null);
+ loadMockResultIntoForm(null);
+ loadRetryPolicyIntoForm(null);
+ loadSuiteHooksIntoForm(null);
+ loadDataDrivenIntoForm(null);
+ 
  // Populate view options
  populateViewSelectOptions();
  
@@ -1748,6 +2110,15 @@ except Exception as e:
  setElementValue('suite_description', suite.description);
  setElementValue('suite_language', suite.language);
  setElementValue('expected_output', suite.expected_output);
+ setElementValue('output_match_mode', suite.output_match_mode || 'trimmed');
+ setElementValue('timeout_seconds', suite.timeout_seconds || '');
+ setElementValue('suite_requirements', suite.requirements || '');
+ setElementValue('suite_matrix', suite.matrix || '');
+ loadDataDrivenIntoForm(suite.data_driven);
+ loadMockResultIntoForm(suite.mock_result);
+ loadRetryPolicyIntoForm(suite.retry_policy);
+ loadSuiteHooksIntoForm(suite.hooks);
+ loadStatusRulesIntoForm(suite.status_rules);
  setElementValue('webhook_url', suite.webhook_url);
  setElementValue('integration_info', suite.integration_info);
  
@@ -1811,7 +2182,7 @@ except Exception as e:
  paramsContainer.innerHTML = '';
  if (suite.parameters && suite.parameters.length > 0) {
  suite.parameters.forEach(param => {
- addParameterInput(param.key, param.value);
+ addParameterInput(param.key, param.value, param.secret);
  });
  }
  }
@@ -1838,11 +2209,7 @@ except Exception as e:
  // Initialize Monaco Editor with existing code after modal is visible
  setTimeout(async () => {
  try {
- // Map language for Monaco
- let editorLanguage = suite.language || 'python';
- if (editorLanguage === 'website') {
- editorLanguage = 'robot'; // Website tests use Robot Framework
- }
+ const editorLanguage = getExecutorMonacoLanguage(suite.language || 'python');
  
  const suiteCode = suite.code || '';
  currentMonacoEditor = await initializeMonaco('monaco-editor-container', editorLanguage, suiteCode);
@@ -1880,6 +2247,15 @@ except Exception as e:
  language: getElementValue('suite_language', 'python'),
  code: currentMonacoEditor ? currentMonacoEditor.getValue() : '',
  expected_output: getElementValue('expected_output'),
+ output_match_mode: getElementValue('output_match_mode', 'trimmed'),
+ timeout_seconds: parseInt(getElementValue('timeout_seconds'), 10) || 0,
+ requirements: getElementValue('suite_requirements'),
+ matrix: getElementValue('suite_matrix').trim(),
+ data_driven: getDataDrivenFromForm(),
+ mock_result: getMockResultFromForm(),
+ retry_policy: getRetryPolicyFromForm(),
+ hooks: getSuiteHooksFromForm(),
+ status_rules: getStatusRulesFromForm(),
  webhook_url: getElementValue('webhook_url'),
  integration_info: getElementValue('integration_info'),
  view_id: getElementValue('suite_view') || null,
@@ -1916,6 +2292,12 @@ except Exception as e:
  }
  }
  
+ const validationError = validateSuiteForExecutor(suite) || parseMatrixDefinition(suite.matrix).error;
+ if (validationError) {
+ showMessage(validationError, 'error');
+ return;
+ }
+ 
  try {
  if (editingSuiteId) {
  // Save version before updating existing suite
@@ -1965,6 +2347,7 @@ except Exception as e:
  suiteDataToCopy.last_run_status = 'NEVER_RUN';
  suiteDataToCopy.last_run_time = null;
  suiteDataToCopy.last_run_log = '';
+ suiteDataToCopy.last_build_number = 0;
 
  try {
  // 5. Use the existing saveSuite function to create the new suite.
@@ -1994,6 +2377,9 @@ except Exception as e:
  if (!keepHistory && window.versionControl) {
  window.versionControl.deleteVersionHistory(suiteId);
  }
+ if (!keepHistory && window.runHistory) {
+ window.runHistory.deleteRunsForSuite(suiteId);
+ }
  
  showMessage("Test suite deleted", 'success');
  } catch (error) {
@@ -2006,18 +2392,23 @@ except Exception as e:
  // PARAMETERS & INPUT FILES
  // ============================================
  
- function addParameterInput(key = '', value = '') {
+ function addParameterInput(key = '', value = '', secret = false) {
  const container = document.getElementById('parameters-container');
  const id = 'param-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
  
  const div = document.createElement('div');
- div.className = 'flex space-x-2';
+ div.className = 'flex space-x-2 items-center';
  div.id = id;
  div.innerHTML = `
  <input type="text" placeholder="Key" value="${escapeHtml(key)}" 
- class="flex-1 bg-gray-700 border border-gray-600 text-white p-2 rounded text-sm">
- <input type="text" placeholder="Value" value="${escapeHtml(value)}" 
- class="flex-1 bg-gray-700 border border-gray-600 text-white p-2 rounded text-sm">
+ class="param-key flex-1 bg-gray-700 border border-gray-600 text-white p-2 rounded text-sm">
+ <input type="${secret ? 'password' : 'text'}" placeholder="Value" value="${escapeHtml(value)}" 
+ class="param-value flex-1 bg-gray-700 border border-gray-600 text-white p-2 rounded text-sm">
+ <label class="flex items-center gap-1 text-xs aero-text-secondary" title="Secret values are masked in logs">
+ <input type="checkbox" class="param-secret" ${secret ? 'checked' : ''}
+ onchange="this.closest('div').querySelector('.param-value').type = this.checked ? 'password' : 'text'">
+ Secret
+ </label>
  <button type="button" onclick="document.getElementById('${id}').remove()" 
  class="bg-red-600 hover:bg-red-500 text-white px-3 rounded text-sm">×</button>
  `;
@@ -2027,17 +2418,74 @@ except Exception as e:
  function getParametersFromForm() {
  const container = document.getElementById('parameters-container');
  const params = [];
- container.querySelectorAll('div').forEach(div => {
- const inputs = div.querySelectorAll('input[type="text"]');
- if (inputs.length === 2 && inputs[0].value && inputs[1].value) {
+ container.querySelectorAll(':scope > div').forEach(div => {
+ const keyInput = div.querySelector('.param-key');
+ const valueInput = div.querySelector('.param-value');
+ if (keyInput && valueInput && keyInput.value && valueInput.value) {
  params.push({
- key: inputs[0].value,
- value: inputs[1].value
+ key: keyInput.value,
+ value: valueInput.value,
+ secret: div.querySelector('.param-secret').checked
  });
  }
  });
  return params;
  }
+ 
+ /**
+ * Turns a suite's parameter list into a plain {KEY: value} object.
+ * @param {Array<{key: string, value: string}>} parameters
+ * @returns {Object}
+ */
+ function getParameterMap(parameters) {
+ const map = {};
+ (parameters || []).forEach(param => {
+ if (param.key) map[param.key] = param.value;
+ });
+ return map;
+ }
+ 
+ /**
+ * Replaces {{KEY}} placeholders in code with parameter values.
+ * Unknown placeholders are left untouched.
+ */
+ function applyParameterTemplate(code, parameters) {
+ return (code || '').replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*\}\}/g, (match, key) =>
+ Object.prototype.hasOwnProperty.call(parameters || {}, key) ? String(parameters[key]) : match
+ );
+ }
+ 
+ /**
+ * Log section listing the resolved parameters, with secrets masked.
+ */
+ function formatParametersPreview(parameters) {
+ let text = `[PARAMETERS]\n`;
+ parameters.forEach(param => {
+ text += ` ${param.key} = ${param.secret ? '********' : param.value}\n`;
+ });
+ return text + '\n';
+ }
+ 
+ function maskSecretValues(text, parameters) {
+ let masked = text;
+ (parameters || []).forEach(param => {
+ if (param.secret && param.value) {
+ masked = masked.split(param.value).join('********');
+ }
+ });
+ return masked;
+ }
+
+ /**
+ * maskSecretValues() for XML files such as Robot's output.xml, which hold
+ * the values XML-escaped.
+ */
+ function maskSecretValuesInXml(text, parameters) {
+ const escaped = (parameters || [])
+ .filter(param => param.secret && param.value)
+ .map(param => ({ ...param, value: escapeXml(param.value) }));
+ return maskSecretValues(maskSecretValues(text, parameters), escaped);
+ }
 
  function addInputFile(filename = '', content = '') {
  const container = document.getElementById('input-files-container');
@@ -2165,7 +2613,15 @@ except Exception as e:
  .replace('{status}', status.toLowerCase());
  }
  
- function formatLogContent(logText, format, suite, status) {
+ /**
+ * Renders a run log in the suite's log format.
+ * @param {string} logText
+ * @param {string} format - txt, json, html, xml (JUnit) or md
+ * @param {Object} suite
+ * @param {string} status
+ * @param {Object} [run] - {duration, timestamp, error, tests, rows}, used by the JUnit report
+ */
+ function formatLogContent(logText, format, suite, status, run = {}) {
  const now = new Date();
  
  switch(format) {
@@ -2212,17 +2668,7 @@ except Exception as e:
 </html>`;
  
  case 'xml':
- return `<?xml version="1.0" encoding="UTF-8"?>
-<test-execution>
- <suite name="${suite.name}" language="${suite.language}">
- <timestamp>${now.toISOString()}</timestamp>
- <status>${status}</status>
- <mode>${executionConfig.mode}</mode>
- <log><![CDATA[
-${logText}
- ]]></log>
- </suite>
-</test-execution>`;
+ return buildJUnitXml(getSuiteRunJUnitReport(suite, { ...run, status, log: logText }));
  
  case 'md':
  return `# Test Execution Log
@@ -2244,7 +2690,7 @@ ${logText}
  }
  }
  
- function autoSaveLogIfNeeded(suite, log, status) {
+ function autoSaveLogIfNeeded(suite, log, status, run = {}) {
  if (!suite.log_config || !suite.log_config.enabled) {
  return;
  }
@@ -2254,7 +2700,7 @@ ${logText}
  let shouldSave = false;
  if (trigger === 'always') {
  shouldSave = true;
- } else if (trigger === 'failure' && status === 'FAILURE') {
+ } else if (trigger === 'failure' && status !== 'SUCCESS') {
  shouldSave = true;
  } else if (trigger === 'success' && status === 'SUCCESS') {
  shouldSave = true;
@@ -2265,7 +2711,7 @@ ${logText}
  const format = suite.log_config.format || 'txt';
  const extension = format === 'txt' ? 'txt' : format;
  const filename = formatLogFilename(suite.log_config.filename || 'log_{suite_name}_{timestamp}', suite, status) + '.' + extension;
- const content = formatLogContent(log, format, suite, status);
+ const content = formatLogContent(log, format, suite, status, run);
  
  // Trigger download
  const blob = new Blob([content], { type: 'text/plain' });
@@ -2291,7 +2737,7 @@ ${logText}
  : `${suite.name.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.txt`;
  
  const content = (suite.log_config && suite.log_config.enabled) 
- ? formatLogContent(currentLogData.log, format, suite, currentLogData.status)
+ ? formatLogContent(currentLogData.log, format, suite, currentLogData.status, currentLogData.run)
  : currentLogData.log;
  
  const blob = new Blob([content], { type: 'text/plain' });
@@ -2304,13 +2750,73 @@ ${logText}
  
  showMessage('Log downloaded', 'success');
  }
+ 
+ /**
+ * Downloads the run shown in the run modal as a JUnit XML report.
+ */
+ function downloadCurrentLogJUnit() {
+ if (!currentLogData || !currentSuiteForLog) {
+ showMessage('No log data available', 'error');
+ return;
+ }
+ 
+ const suite = currentSuiteForLog;
+ const report = getSuiteRunJUnitReport(suite, { ...currentLogData.run, status: currentLogData.status, log: currentLogData.log });
+ downloadJUnitXml(report, `${suite.name}_junit.xml`);
+ showMessage('JUnit report downloaded', 'success');
+ }
 
 
  // ============================================
  // TEST EXECUTION
  // ============================================
  
- async function runTestSuite(suiteId) {
+ /**
+ * Judges an executor result by the suite's status rules and expected output.
+ * @param {Object} suite
+ * @param {Object} result - Executor result
+ * @returns {{status: string, evaluation: Object, outputMatch: Object|null, error: string|null}}
+ *   messages and diff have secret parameter values masked, error lists what
+ *   failed, for per-row results
+ */
+ function checkSuiteResult(suite, result) {
+ // Checked on the real output, but the messages and the diff quote it in the run modal and log
+ const mask = (text) => maskSecretValues(text, suite.parameters);
+ const rawEvaluation = evaluateStatusRules(suite.status_rules, result);
+ const evaluation = { ...rawEvaluation, checks: rawEvaluation.checks.map(check => ({ ...check, message: mask(check.message) })) };
+ let outputMatch = null;
+ // A run without output still has to match, otherwise it would pass unchecked
+ if (suite.expected_output && typeof matchOutput === 'function') {
+ outputMatch = matchOutput(suite.expected_output, result.output || '', suite.output_match_mode);
+ outputMatch = {
+ ...outputMatch,
+ message: mask(outputMatch.message),
+ diff: outputMatch.diff ? outputMatch.diff.map(entry => ({ ...entry, text: mask(entry.text) })) : null
+ };
+ }
+ 
+ const errors = evaluation.checks.filter(check => !check.passed).map(check => `rule ${check.rule} ${check.message}`);
+ if (outputMatch && !outputMatch.matched) errors.push(outputMatch.message);
+ return {
+ status: errors.length === 0 ? 'SUCCESS' : 'FAILURE',
+ evaluation,
+ outputMatch,
+ error: errors.length > 0 ? errors.join('; ') : null
+ };
+ }
+ 
+ /**
+ * Runs a single test suite and records the result on the suite.
+ * @param {string} suiteId - ID of the suite to run
+ * @param {Object} [options]
+ * @param {boolean} [options.showModal=true] - Render progress in the run modal
+ * @param {Function} [options.onLog] - Called with the full log text whenever it grows
+ * @param {AbortSignal} [options.signal] - Cancels the run (status ABORTED)
+ * @param {Object} [options.parameters] - Values that override the suite's parameters (matrix runs)
+ * @returns {Promise<{status: string, log: string, duration: number, buildNumber: number|null, attempts: number, rows: Array|null, tests: Array|null, robotTree: Object|null, artifacts: Array|null}|undefined>}
+ */
+ async function runTestSuite(suiteId, options = {}) {
+ const showModal = options.showModal !== false;
  const suite = testSuites.find(s => s.id === suiteId);
  if (!suite) {
  showMessage('Suite not found', 'error');
@@ -2319,10 +2825,15 @@ ${logText}
  
  // *** NEW LOGIC: Reroute Visual Web Tests to the Live Runner ***
  if (suite.language === 'website' && suite.website_method === 'upload') {
+ if (options.parameters) {
+ // Matrix combinations would all run with the same values
+ const message = getMatrixUnsupportedReason(suite);
+ return { status: 'FAILURE', log: `[MATRIX] ${message}\n`, duration: 0, buildNumber: null };
+ }
  if (typeof vwt_openLiveRunner === 'function') {
  // This function will handle opening the new modal and starting the live run
- vwt_openLiveRunner(suite); 
- return;
+ const vwtStatus = await vwt_openLiveRunner(suite, { signal: options.signal });
+ return { status: vwtStatus, log: '', duration: 0, buildNumber: null };
  } else {
  console.error("Visual Web Tester Live Runner function not found.");
  showMessage("Visual Runner not available. Running in standard modal as fallback.", 'warning');
@@ -2331,82 +2842,223 @@ ${logText}
  }
  // *** END NEW LOGIC ***
  
+ // Secret values never show up, not even in the live log before the run ends
+ const maskText = (text) => maskSecretValues(text, suite.parameters);
+ const liveLog = new LiveRunLog({
+ element: showModal ? document.getElementById('run-modal-content') : null,
+ onText: options.onLog || null,
+ mask: maskText
+ });
+ const renderLog = (text) => liveLog.setLog(text);
+ 
+ const buildNumber = window.runHistory ? window.runHistory.nextBuildNumber(suite.id, suite.last_build_number) : null;
+ const timeoutSeconds = getRunTimeoutSeconds(suite);
+ const runControl = createRunControl({ timeoutSeconds, parentSignal: options.signal });
+ 
+ if (showModal) {
  document.getElementById('run-modal').classList.remove('hidden');
- document.getElementById('run-modal-content').textContent = 'Initializing...';
+ document.getElementById('run-modal-title').textContent = buildNumber ? `${suite.name} #${buildNumber}` : 'Run Test Suite';
+ setRunPermalinkButton(null);
+ setModalRunControl(runControl);
  document.getElementById('run-status-indicator').innerHTML = '<span class="text-yellow-400"><div class="spinner"></div> Running...</span>';
+ }
+ renderLog('Initializing...');
  
  const startTime = new Date();
  let log = `=== PIPELINE EXECUTION LOG ===\n`;
  log += `Suite: ${suite.name}\n`;
+ if (buildNumber) log += `Build: #${buildNumber}\n`;
  log += `Language: ${suite.language}\n`;
  log += `Mode: ${executionConfig.mode}\n`;
+ if (timeoutSeconds > 0) log += `Timeout: ${timeoutSeconds}s\n`;
  log += `Started: ${formatTime(startTime)}\n`;
  log += `--- PIPELINE STARTED ---\n\n`;
  
  let status = 'SUCCESS';
  let executionOutput = '';
+ let outputMatch = null;
+ let attempts = 1;
+ let dataRows = null;
+ let testResults = null;
+ let robotTree = null;
+ let runArtifacts = null;
+ if (showModal) {
+ renderRunDiffPanel(null);
+ renderRobotResultPanel(null);
+ renderRunArtifacts(null);
+ }
+ 
+ const parameterMap = { ...getParameterMap(suite.parameters), ...(options.parameters || {}) };
+ if (suite.parameters && suite.parameters.length > 0) {
+ log += formatParametersPreview(suite.parameters);
+ }
+ if (options.parameters) {
+ log += `[MATRIX] ${formatMatrixCombination(options.parameters)}\n\n`;
+ }
+ 
+ // Simulation plays back the suite's scripted result when it has one
+ const mockResult = executionConfig.mode === 'real' ? null : getSuiteMockResult(suite);
+ 
+ if (executionConfig.mode === 'real' || mockResult) {
+ log += mockResult ?
+ `[SIMULATION] Playing back mock result (${mockResult.status}, ${mockResult.duration_seconds}s)...\n\n` :
+ `[EXECUTION] Running ${suite.language} code...\n\n`;
+ 
+ const retryPolicy = getSuiteRetryPolicy(suite);
+ if (retryPolicy.max_attempts > 1) log += formatRetryPolicyLog(retryPolicy);
+ renderLog(log);
+ 
+ // Hooks need the real runtime, so simulated runs skip them
+ const hooks = mockResult ? { before: [], after: [] } : getSuiteHooks(suite);
+ let setupFailed = false;
+ for (const hook of hooks.before) {
+ const hookRun = await runSuiteHook(hook, { suite, parameters: parameterMap, signal: runControl.signal });
+ log += hookRun.log;
+ renderLog(log);
+ if (hookRun.status !== 'SUCCESS') {
+ log += `[HOOK] Skipping the suite because a before hook did not pass\n`;
+ status = hookRun.status;
+ executionOutput = hookRun.error;
+ setupFailed = true;
+ break;
+ }
+ }
  
- if (executionConfig.mode === 'real') {
- log += `[EXECUTION] Running ${suite.language} code...\n\n`;
- document.getElementById('run-modal-content').textContent = log;
+ if (!setupFailed) for (attempts = 1; ; attempts++) {
+ if (attempts > 1) {
+ log += `\n[ATTEMPT ${attempts}/${retryPolicy.max_attempts}]\n`;
+ outputMatch = null;
+ testResults = null;
+ robotTree = null;
+ runArtifacts = null;
+ renderLog(log);
+ }
+ 
+ // Streaming runtimes (Pyodide worker, Robot listener, SSE/NDJSON backends)
+ // report output line by line while the code runs
+ const outputStream = new LogStream(startTime);
  
  try {
  let result;
+ // Also stops waiting for executors that cannot be interrupted themselves
+ const untilAborted = (promise) => raceWithAbort(promise, runControl.signal);
+ const signal = runControl.signal;
  
- if (suite.language === 'python') {
- log += `[INFO] Initializing Python (Pyodide)...\n`;
- document.getElementById('run-modal-content').textContent = log;
- result = await executePythonCode(suite.code, suite.inputFiles || []);
- 
- } else if (suite.language === 'robot') {
- log += `[INFO] Initializing Robot Framework...\n`;
- document.getElementById('run-modal-content').textContent = log;
+ const onOutput = (stream, line) => liveLog.appendOutput(outputStream.append(stream, line));
  
- if (executionConfig.robotType === 'browser') {
- result = await executeRobotFrameworkBrowser(suite.code);
- } else if (executionConfig.robotType === 'backend') {
- result = await executeRobotFrameworkBackend(suite.code);
- } else {
- result = await executeRobotFrameworkApi(suite.code);
+ const inputFiles = await prepareInputFiles(suite.input_files || []);
+ if (inputFiles.length > 0) {
+ log += formatInputFilesLog(inputFiles);
+ renderLog(log);
  }
  
- } else if (suite.language === 'java') {
- log += `[INFO] Executing Java code...\n`;
- document.getElementById('run-modal-content').textContent = log;
- result = await executeJavaCode(suite.code, suite.inputFiles || []);
- 
- } else if (suite.language === 'csharp') {
- log += `[INFO] Executing C# code...\n`;
- document.getElementById('run-modal-content').textContent = log;
- result = await executeCSharpCode(suite.code, suite.inputFiles || []);
- 
- } else if (suite.language === 'website') {
- log += `[INFO] Starting Website Integration Test...\n`;
- document.getElementById('run-modal-content').textContent = log;
- result = await executeWebsiteIntegration(suite);
- 
+ if (mockResult) {
+ result = await runMockResult(mockResult, { parameters: parameterMap, signal, onOutput });
+ if (result.flaked) log += `[SIMULATION] Flaky failure triggered\n`;
+ } else {
+ const executor = getExecutor(suite.language);
+ const validationError = validateSuiteForExecutor(suite);
+ if (validationError) throw new Error(validationError);
+ 
+ // Data-driven rows repeat the executor's [INFO] lines, log each once
+ const loggedLines = new Set();
+ const execute = (parameters, variables, onExecutorOutput) => untilAborted(executor.execute({
+ suite,
+ code: suite.code,
+ inputFiles,
+ parameters,
+ variables,
+ settings: getExecutorSettings(executor.id),
+ signal,
+ onOutput: onExecutorOutput,
+ log: (line) => {
+ if (loggedLines.has(line)) return;
+ loggedLines.add(line);
+ log += `${line}\n`;
+ renderLog(log);
+ }
+ }));
+ 
+ const dataSource = getSuiteDataSource(suite);
+ if (dataSource) {
+ // Data-driven: one execution per row, each judged by the status rules
+ // and the expected output on its own
+ const data = loadDataRows(dataSource, inputFiles);
+ log += `[DATA-DRIVEN] ${data.file}: ${data.rows.length} row(s)\n`;
+ renderLog(log);
+ result = await runDataDrivenRows(data, {
+ execute: (row, onRowOutput) => execute({ ...parameterMap, ...getDataRowParameters(row) }, row, onRowOutput),
+ evaluate: (rowResult) => {
+ const check = checkSuiteResult(suite, rowResult);
+ // The diff panel shows the first row whose output did not match
+ if (!outputMatch && check.outputMatch && !check.outputMatch.matched) outputMatch = check.outputMatch;
+ return { status: check.status, error: check.error };
+ },
+ onOutput
+ });
  } else {
- throw new Error(`Unsupported language: ${suite.language}`);
+ result = await execute(parameterMap, null, onOutput);
+ }
  }
+ throwIfRunAborted(signal);
+ liveLog.endOutput();
  
- if (result.success) {
+ if (typeof result.success === 'boolean') {
+ if (outputStream.length > 0) {
+ // Streamed lines carry elapsed-time stamps
+ log += `[OUTPUT]\n${outputStream.toText()}\n`;
+ } else if (result.output) {
  log += `[OUTPUT]\n${result.output}\n`;
+ }
+ if (result.success) {
  if (result.error) {
  log += `[STDERR]\n${result.error}\n`;
  }
  executionOutput = result.output;
+ } else {
+ log += `\n--- EXECUTION ERROR ---\n`;
+ log += result.error || 'Unknown error';
+ log += `\n--- END ERROR ---\n\n`;
+ executionOutput = result.error;
+ }
  
- // Check for error indicators in output
- const errorIndicators = ['error', 'exception', 'failed', 'failure'];
- const hasErrorInOutput = errorIndicators.some(indicator => 
- (result.output || '').toLowerCase().includes(indicator) || 
- (result.error || '').toLowerCase().includes(indicator) ||
- (result.output || '').includes(indicator)
- );
+ if (result.rows) {
+ log += '\n' + formatDataRowsLog(result.rows);
+ dataRows = result.rows;
+ }
  
- if (hasErrorInOutput) {
- status = 'FAILURE';
- log += `[WARNING] Error indicators detected in output despite successful execution.\n`;
+ // Per-test results from a JUnit/xUnit report of the runtime. They, the
+ // Robot tree and the artifacts are stored with the run, so they are masked too.
+ testResults = result.tests && result.tests.length > 0
+ ? result.tests.map(test => ({ ...test, name: maskText(test.name), message: maskText(test.message || '') }))
+ : null;
+ if (testResults) {
+ log += '\n' + formatJUnitTestsLog(testResults);
+ }
+ robotTree = result.robotTree ? maskRobotTree(result.robotTree, maskText) : null;
+ runArtifacts = maskRunArtifacts(result.artifacts || null, suite.parameters, (line) => { log += `\n${line}\n`; });
+ if (runArtifacts) {
+ log += '\n' + formatRunArtifactsLog(runArtifacts);
+ }
+ 
+ if (result.rows) {
+ // The joined output of all rows (with ROW headers) is not judged again
+ log += `\n[RULES] Status rules and expected output were checked per row\n`;
+ status = result.success ? 'SUCCESS' : 'FAILURE';
+ } else {
+ // Pass/fail is decided by the suite's status rules and expected output, not by the executor alone
+ const check = checkSuiteResult(suite, result);
+ log += '\n' + formatStatusRulesLog(check.evaluation);
+ status = check.status;
+ 
+ outputMatch = check.outputMatch;
+ if (outputMatch) {
+ log += `\n[OUTPUT MATCH] Mode: ${OUTPUT_MATCH_MODES[outputMatch.mode]} - ${outputMatch.matched ? 'PASSED' : 'FAILED'}\n`;
+ log += `${outputMatch.message}\n`;
+ if (outputMatch.diff) {
+ log += formatDiffAsText(outputMatch.diff) + '\n';
+ }
+ }
  }
  } else if (result.status) {
  // Handle website integration format
@@ -2422,11 +3074,56 @@ ${logText}
  }
  
  } catch (error) {
+ // Keep what was streamed before the run failed or was aborted
+ if (liveLog.endOutput()) log += `[OUTPUT]\n${outputStream.toText()}\n`;
+ if (isAbortError(error)) {
+ log += `\n[ABORTED] ${runControl.reason || error.message}\n`;
+ status = RUN_STATUS_ABORTED;
+ } else {
  log += `\n[ERROR] Execution failed: ${error.message}\n`;
  status = 'FAILURE';
+ }
  executionOutput = error.message;
  }
  
+ const retry = getRetryDecision(retryPolicy, attempts, { status, output: executionOutput });
+ if (retry.reason) log += `\n[RETRY] Attempt ${attempts} failed: ${retry.reason}\n`;
+ if (!retry.retry) break;
+ if (retryPolicy.delay_seconds > 0) log += `[RETRY] Waiting ${retryPolicy.delay_seconds}s before the next attempt...\n`;
+ renderLog(log);
+ 
+ try {
+ await waitUnlessAborted(retryPolicy.delay_seconds * 1000, runControl.signal);
+ } catch (error) {
+ log += `\n[ABORTED] ${runControl.reason || error.message}\n`;
+ status = RUN_STATUS_ABORTED;
+ executionOutput = error.message;
+ break;
+ }
+ }
+ 
+ if (hooks.after.length > 0) {
+ // Teardown still runs after a cancel or timeout, under its own limit. Cancel
+ // and the queue can stop it as well, unless they already aborted the run.
+ const teardownControl = createRunControl({
+ timeoutSeconds: timeoutSeconds > 0 && !runControl.signal.aborted ? Math.min(timeoutSeconds, TEARDOWN_TIMEOUT_SECONDS) : TEARDOWN_TIMEOUT_SECONDS,
+ parentSignal: options.signal && !options.signal.aborted ? options.signal : null
+ });
+ if (showModal) setModalRunControl(teardownControl);
+ log += '\n';
+ for (const hook of hooks.after) {
+ const hookRun = await runSuiteHook(hook, { suite, parameters: parameterMap, signal: teardownControl.signal });
+ log += hookRun.log;
+ renderLog(log);
+ if (hookRun.status !== 'SUCCESS' && status === 'SUCCESS') {
+ status = 'FAILURE';
+ executionOutput = hookRun.error;
+ }
+ }
+ teardownControl.dispose();
+ if (showModal && currentModalRunControl === teardownControl) setModalRunControl(null);
+ }
+ 
  } else {
  // Simulated mode
  log += `[CODE] Displaying code (simulation mode)...\n\n`;
@@ -2438,40 +3135,155 @@ ${logText}
  log += `\n\n[RESULT] Simulated execution completed.\n`;
  }
  
+ runControl.dispose();
+ if (showModal && currentModalRunControl === runControl) setModalRunControl(null);
+ 
  const endTime = new Date();
  const duration = ((endTime - startTime) / 1000).toFixed(2);
  
- log += `\n[STATUS] ${status}: ${status === 'SUCCESS' ? 'All tests passed.' : 'Execution encountered errors.'}\n\n`;
+ const statusSummary = status === 'SUCCESS' ? 'All tests passed.' :
+ status === RUN_STATUS_ABORTED ? 'Run was aborted.' : 'Execution encountered errors.';
+ log += `\n[STATUS] ${status}: ${statusSummary}\n\n`;
  log += `--- PIPELINE ENDED ---\n`;
  log += `Duration: ${duration}s. Final Status: ${status}`;
  
- document.getElementById('run-modal-content').textContent = log;
+ // Never store or display secret parameter values, even if the code printed them
+ log = maskSecretValues(log, suite.parameters);
+ 
+ // What the JUnit report needs beyond the log
+ const runDetails = {
+ duration: parseFloat(duration),
+ timestamp: startTime.toISOString(),
+ error: status === 'SUCCESS' ? null : maskSecretValues(executionOutput || '', suite.parameters),
+ tests: testResults,
+ rows: dataRows,
+ robotTree,
+ artifacts: runArtifacts
+ };
+ 
+ renderLog(log);
+ if (showModal) {
+ renderRunDiffPanel(outputMatch);
+ renderRobotResultPanel(robotTree);
+ renderRunArtifacts(runArtifacts);
  document.getElementById('run-status-indicator').innerHTML = status === 'SUCCESS' ? 
  '<span class="text-green-400">Completed</span>' : 
+ status === RUN_STATUS_ABORTED ? '<span class="text-yellow-400">Aborted</span>' :
  '<span class="text-red-400">Failed</span>';
  
  // Store log data for download
- currentLogData = { log: log, status: status };
+ const permalink = buildNumber ? getRunPermalink('suite', suite.id, buildNumber) : null;
+ currentLogData = { log: log, status: status, permalink, run: runDetails };
  currentSuiteForLog = suite;
+ setRunPermalinkButton(permalink);
+ }
  
  // Auto-save log if configured
- autoSaveLogIfNeeded(suite, log, status);
+ autoSaveLogIfNeeded(suite, log, status, runDetails);
+ 
+ const flakiness = await computeSuiteFlakiness(suite.id, { status, attempts });
  
  try {
  await currentStorage.updateSuite(suiteId, {
  last_run_status: status,
  last_run_time: new Date().toISOString(),
- last_run_log: log
+ last_run_log: log,
+ last_build_number: buildNumber || suite.last_build_number || 0,
+ flakiness: flakiness || suite.flakiness || null
  });
  } catch (error) {
  console.error("Update error:", error);
  showMessage("Failed to update run status: " + error.message, 'error');
  }
+ 
+ if (window.runHistory) {
+ await window.runHistory.recordRun(suite, {
+ status,
+ log,
+ duration: parseFloat(duration),
+ mode: executionConfig.mode,
+ buildNumber,
+ attempts,
+ matrix: options.parameters || null,
+ rows: dataRows,
+ tests: testResults,
+ robotTree,
+ artifacts: runArtifacts
+ });
+ }
+ 
+ return { status, log, duration: parseFloat(duration), buildNumber, attempts, rows: dataRows, tests: testResults, robotTree, artifacts: runArtifacts };
  }
 
  function closeRunModal() {
  document.getElementById('run-modal').classList.add('hidden');
  }
+ 
+ /**
+ * Shows the expected-vs-actual diff below the run log, or hides the panel.
+ * @param {Object|null} outputMatch - Result of matchOutput()
+ */
+ function renderRunDiffPanel(outputMatch) {
+ const panel = document.getElementById('run-diff-panel');
+ if (!panel) return;
+ 
+ if (!outputMatch || outputMatch.matched || !outputMatch.diff || outputMatch.diff.length === 0) {
+ panel.classList.add('hidden');
+ document.getElementById('run-diff-content').innerHTML = '';
+ return;
+ }
+ 
+ document.getElementById('run-diff-title').textContent = `Expected vs Actual (${OUTPUT_MATCH_MODES[outputMatch.mode]})`;
+ document.getElementById('run-diff-content').innerHTML = renderDiffHtml(outputMatch.diff);
+ panel.classList.remove('hidden');
+ }
+ 
+ /**
+ * Shows an already finished run's log in the run modal.
+ * @param {Object} suite - Suite the log belongs to
+ * @param {string} log - Full log text
+ * @param {string} status - Final status of the run
+ * @param {number} [buildNumber] - Build number, enables the permalink
+ * @param {string} [kind='suite'] - 'suite' or 'unit-test'
+ * @param {Object} [run] - Run history record, adds timings and per-test results to the JUnit report
+ *   and the Robot result tree and artifacts
+ */
+ function showRunLogInModal(suite, log, status, buildNumber, kind = 'suite', run = null) {
+ const permalink = buildNumber ? getRunPermalink(kind, suite.id, buildNumber) : null;
+ document.getElementById('run-modal').classList.remove('hidden');
+ document.getElementById('run-modal-title').textContent = buildNumber ? `${suite.name} #${buildNumber}` : suite.name;
+ renderRunDiffPanel(null);
+ renderRobotResultPanel(run && run.robotTree ? run.robotTree : null);
+ document.getElementById('run-modal-content').textContent = log || '(no log stored for this run)';
+ document.getElementById('run-status-indicator').innerHTML = status === 'SUCCESS' ? 
+ '<span class="text-green-400">Completed</span>' : 
+ status === 'RUNNING' ? '<span class="text-yellow-400"><div class="spinner"></div> Running...</span>' :
+ status === RUN_STATUS_ABORTED ? '<span class="text-yellow-400">Aborted</span>' :
+ `<span class="text-red-400">${escapeHtml(status || 'Unknown')}</span>`;
+ 
+ followRunLog();
+ currentLogData = {
+ log: log || '',
+ status: status || 'UNKNOWN',
+ permalink,
+ run: run ? {
+ runId: run.runId || null,
+ duration: run.duration,
+ timestamp: run.timestamp,
+ tests: run.tests || null,
+ rows: run.rows || null,
+ artifacts: run.artifacts || null
+ } : {}
+ };
+ renderRunArtifacts(currentLogData.run.artifacts);
+ currentSuiteForLog = suite;
+ setRunPermalinkButton(permalink);
+ }
+ 
+ function setRunPermalinkButton(permalink) {
+ const button = document.getElementById('copy-run-link-btn');
+ if (button) button.classList.toggle('hidden', !permalink);
+ }
 
  function formatTime(date) {
  return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
@@ -2502,6 +3314,7 @@ ${logText}
      execution_mode: executionConfig.mode,
      views: views,
      test_suites: testSuites,
+     pipelines: window.pipelines || [],
      version_histories: versionHistories,
      export_version: '2.0'
    };
@@ -2598,6 +3411,30 @@ ${logText}
          }
        }
        
+       // Import pipelines, pointing their stages at the newly created suites
+       if (content.pipelines && Array.isArray(content.pipelines)) {
+         let pipelineCount = 0;
+         for (const pipeline of content.pipelines) {
+           try {
+             const { id, ...newPipeline } = pipeline;
+             newPipeline.stages = (newPipeline.stages || []).map(stage => ({
+               ...stage,
+               suite_ids: (stage.suite_ids || []).map(sid => idMapping[sid] || sid)
+             }));
+             newPipeline.last_run_status = 'NEVER_RUN';
+             newPipeline.last_run_time = null;
+             newPipeline.last_stage_results = null;
+             await currentStorage.savePipeline(newPipeline);
+             pipelineCount++;
+           } catch (error) {
+             console.error("Failed to import pipeline:", error);
+           }
+         }
+         if (pipelineCount > 0) {
+           showMessage('Imported ' + pipelineCount + ' pipeline(s)', 'info');
+         }
+       }
+       
        if (versionCount > 0) {
          showMessage(`Imported ${importCount} suite(s) and ${versionCount} version(s)`, 'success');
        } else {
@@ -2954,6 +3791,9 @@ Test Website Navigation
  if (websiteConfig) websiteConfig.classList.add('hidden');
  }
  
+ const requirementsConfig = document.getElementById('python-requirements-config');
+ if (requirementsConfig) requirementsConfig.classList.toggle('hidden', language !== 'python');
+ 
  // Reinitialize Monaco Editor with new language if it exists
  if (currentMonacoEditor) {
  // Get current code before disposing
@@ -2966,11 +3806,7 @@ Test Website Navigation
  // Reinitialize with new language
  setTimeout(async () => {
  try {
- // Map language for Monaco
- let editorLanguage = language;
- if (editorLanguage === 'website') {
- editorLanguage = 'robot'; // Website tests use Robot Framework
- }
+ const editorLanguage = getExecutorMonacoLanguage(language);
  
  currentMonacoEditor = await initializeMonaco('monaco-editor-container', editorLanguage, currentCode);
  console.log(`Monaco Editor reinitialized with language: ${editorLanguage}`);
@@ -3132,15 +3968,16 @@ Test Website Navigation
  return;
  }
  
- showMessage(`Running ${selectedSuites.size} test suite(s)...`, 'info');
+ const jobs = Array.from(selectedSuites)
+ .map(suiteId => executionQueue.enqueue(suiteId, { source: 'bulk' }))
+ .filter(Boolean);
+ showMessage(`Queued ${jobs.length} test suite(s)`, 'info');
+ openExecutionQueue();
  
- for (const suiteId of selectedSuites) {
- await runTestSuite(suiteId);
- // Small delay between runs
- await new Promise(resolve => setTimeout(resolve, 1000));
- }
- 
- showMessage('Bulk run completed', 'success');
+ const results = await Promise.all(jobs.map(job => job.promise));
+ const finished = results.filter(Boolean);
+ const passed = finished.filter(result => result.status === 'SUCCESS').length;
+ showMessage(`Bulk run completed: ${passed}/${finished.length} passed`, passed === finished.length ? 'success' : 'error');
  }
  
  async function bulkDelete() {
@@ -3232,4 +4069,7 @@ Test Website Navigation
  loadExecutionConfig();
  initializeViews(); // Initialize views system
  await initializeStorage();
+ if (typeof initializeScheduler === 'function') {
+ initializeScheduler();
+ }
  };
\ No newline at end of file
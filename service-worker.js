@@ -0,0 +1,150 @@
+// ============================================
+// SERVICE WORKER
+// Caches the app, Pyodide, Monaco and Python
+// wheels after first use so LVX-Machina keeps
+// working without a network.
+// ============================================
+
+/* Strategies
+   - App files (same origin):          network first, cache as fallback
+   - Asset bases (Pyodide, Monaco, TS,
+     self-hosted mirrors) and CDN hosts: cache first
+   - PyPI metadata (pypi.org):          network first, cache as fallback
+   - Everything else (Firestore, backends, runners) is not touched.
+*/
+
+const APP_CACHE = 'lvx-app-v1';
+const ASSET_CACHE = 'lvx-assets-v1';
+const ASSET_BASES_KEY = '/__lvx/asset-bases';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'offline-assets.js',
+  'monaco-config.js',
+  'run-control.js',
+  'log-stream.js',
+  'output-matcher.js',
+  'status-rules.js',
+  'mock-results.js',
+  'retry-policy.js',
+  'suite-hooks.js',
+  'data-driven.js',
+  'junit.js',
+  'robot-results.js',
+  'run-artifacts.js',
+  'input-files.js',
+  'python-packages.js',
+  'python-runtime.js',
+  'pyodide-worker.js',
+  'javascript-runtime.js',
+  'executor-registry.js',
+  'runner-protocol.js',
+  'script.js',
+  'version-control.js',
+  'indexeddb-version-storage.js',
+  'run-history.js',
+  'execution-queue.js',
+  'matrix-runs.js',
+  'nocode-builder.js',
+  'visual-web-tester.js',
+  'unit-testing.js',
+  'pipelines.js',
+  'scheduler.js'
+];
+
+// Fetched cache-first regardless of the configured asset URLs
+const CACHE_FIRST_HOSTS = [
+  'cdn.jsdelivr.net',
+  'cdn.tailwindcss.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+  'www.gstatic.com',
+  'files.pythonhosted.org'
+];
+
+const NETWORK_FIRST_HOSTS = ['pypi.org'];
+
+let assetBases = null;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    // One missing file must not prevent the install
+    await Promise.all(APP_SHELL.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('lvx-') && ![APP_CACHE, ASSET_CACHE].includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'LVX_ASSET_BASES') {
+    assetBases = event.data.bases || [];
+    // Kept in the cache so a restarted worker still knows them
+    event.waitUntil(caches.open(ASSET_CACHE).then(cache =>
+      cache.put(ASSET_BASES_KEY, new Response(JSON.stringify(assetBases)))));
+  }
+});
+
+async function getAssetBases() {
+  if (assetBases) return assetBases;
+  const cached = await caches.match(ASSET_BASES_KEY);
+  assetBases = cached ? await cached.json() : [];
+  return assetBases;
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (!/^https?:$/.test(url.protocol)) return;
+
+  event.respondWith((async () => {
+    const bases = await getAssetBases();
+    if (bases.some(base => request.url.startsWith(base)) || CACHE_FIRST_HOSTS.includes(url.hostname)) {
+      return cacheFirst(request);
+    }
+    if (url.origin === self.location.origin || NETWORK_FIRST_HOSTS.includes(url.hostname)) {
+      return networkFirst(request, url.origin === self.location.origin ? APP_CACHE : ASSET_CACHE);
+    }
+    return fetch(request);
+  })());
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses (no-cors <script>/<link> loads) are cached as well
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(ASSET_CACHE);
+    cache.put(request, response.clone()).catch(() => {});
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone()).catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -0,0 +1,249 @@
+// ============================================
+// STATUS RULES ENGINE
+// Decides whether a run passed or failed from
+// per-suite rules and explains the decision.
+// ============================================
+
+// Suite status_rules Structure
+/*
+{
+  exit_code: true,            // Fail on a failed execution / non-zero exit code
+  stderr_is_failure: false,   // Fail when anything was written to stderr
+  must_match: ["/^OK$/m"],    // Every pattern must match at least one line
+  must_not_match: ["Traceback"], // No pattern may match any line
+  pattern_counts: [{ pattern: "PASSED", min: 3, max: null }]
+}
+Patterns are regular expressions, either bare ("Traceback") or as
+"/pattern/flags" literals ("/error/i").
+*/
+
+const DEFAULT_STATUS_RULES = {
+  exit_code: true,
+  stderr_is_failure: false,
+  must_match: [],
+  must_not_match: [],
+  pattern_counts: []
+};
+
+/**
+ * Fills in missing fields so older suites get the default rules.
+ * @param {Object} [rules] - A suite's status_rules
+ * @returns {Object}
+ */
+function normalizeStatusRules(rules) {
+  return {
+    ...DEFAULT_STATUS_RULES,
+    ...(rules || {}),
+    must_match: (rules && rules.must_match) || [],
+    must_not_match: (rules && rules.must_not_match) || [],
+    pattern_counts: (rules && rules.pattern_counts) || []
+  };
+}
+
+/**
+ * Evaluates a suite's status rules against an execution result.
+ * @param {Object} rules - The suite's status_rules
+ * @param {Object} result - Executor result ({success, output, error, stderr, exitCode})
+ * @returns {{status: string, checks: Array<{rule: string, passed: boolean, message: string}>}}
+ */
+function evaluateStatusRules(rules, result) {
+  rules = normalizeStatusRules(rules);
+  const output = result.output || '';
+  const stderr = typeof result.stderr === 'string' ? result.stderr : (result.error || '');
+  const lines = output.replace(/\r\n?/g, '\n').split('\n');
+  const checks = [];
+
+  if (rules.exit_code) {
+    const hasExitCode = typeof result.exitCode === 'number';
+    if (!result.success) {
+      checks.push({
+        rule: 'exit_code',
+        passed: false,
+        message: hasExitCode
+          ? `execution failed with exit code ${result.exitCode}`
+          : `execution failed: ${firstLine(result.error) || 'unknown error'}`
+      });
+    } else if (hasExitCode && result.exitCode !== 0) {
+      checks.push({ rule: 'exit_code', passed: false, message: `process exited with code ${result.exitCode}` });
+    } else {
+      checks.push({ rule: 'exit_code', passed: true, message: 'execution completed successfully' });
+    }
+  } else if (!result.success && !output) {
+    // Nothing ran at all (e.g. backend unreachable) - there is nothing to judge
+    checks.push({
+      rule: 'execution',
+      passed: false,
+      message: `produced no output: ${firstLine(result.error) || 'unknown error'}`
+    });
+  }
+
+  if (rules.stderr_is_failure) {
+    const stderrLines = stderr.split(/\r?\n/).filter(line => line.trim() !== '');
+    checks.push(stderrLines.length > 0
+      ? { rule: 'stderr_is_failure', passed: false, message: `stderr is not empty (line 1: "${truncateRuleLine(stderrLines[0])}")` }
+      : { rule: 'stderr_is_failure', passed: true, message: 'stderr is empty' });
+  }
+
+  rules.must_match.forEach(patternText => {
+    const compiled = compileRulePattern(patternText);
+    if (compiled.error) {
+      checks.push({ rule: `must_match ${patternText}`, passed: false, message: compiled.error });
+      return;
+    }
+    const index = lines.findIndex(line => compiled.regex.test(line));
+    checks.push(index === -1
+      ? { rule: `must_match ${compiled.regex}`, passed: false, message: 'did not match any line' }
+      : { rule: `must_match ${compiled.regex}`, passed: true, message: `matched line ${index + 1}` });
+  });
+
+  rules.must_not_match.forEach(patternText => {
+    const compiled = compileRulePattern(patternText);
+    if (compiled.error) {
+      checks.push({ rule: `must_not_match ${patternText}`, passed: false, message: compiled.error });
+      return;
+    }
+    const index = lines.findIndex(line => compiled.regex.test(line));
+    checks.push(index === -1
+      ? { rule: `must_not_match ${compiled.regex}`, passed: true, message: 'no line matched' }
+      : { rule: `must_not_match ${compiled.regex}`, passed: false, message: `matched line ${index + 1}: "${truncateRuleLine(lines[index])}"` });
+  });
+
+  rules.pattern_counts.forEach(countRule => {
+    const compiled = compileRulePattern(countRule.pattern);
+    if (compiled.error) {
+      checks.push({ rule: `count ${countRule.pattern}`, passed: false, message: compiled.error });
+      return;
+    }
+    const matchingLines = [];
+    lines.forEach((line, i) => {
+      if (compiled.regex.test(line)) matchingLines.push(i + 1);
+    });
+    const count = matchingLines.length;
+    const hasMin = typeof countRule.min === 'number';
+    const hasMax = typeof countRule.max === 'number';
+    const bounds = [hasMin ? `>= ${countRule.min}` : '', hasMax ? `<= ${countRule.max}` : ''].filter(Boolean).join(' and ');
+    const passed = (!hasMin || count >= countRule.min) && (!hasMax || count <= countRule.max);
+    const where = count > 0 ? ` (lines ${matchingLines.slice(0, 10).join(', ')}${count > 10 ? ', ...' : ''})` : '';
+    checks.push({
+      rule: `count ${compiled.regex} ${bounds || '(no bounds)'}`,
+      passed,
+      message: `found ${count} matching line(s)${where}`
+    });
+  });
+
+  return {
+    status: checks.every(check => check.passed) ? 'SUCCESS' : 'FAILURE',
+    checks
+  };
+}
+
+/**
+ * Formats the rule evaluation for the run log.
+ */
+function formatStatusRulesLog(evaluation) {
+  if (evaluation.checks.length === 0) {
+    return '[RULES] No status rules configured - treating run as passed.\n';
+  }
+  let text = '[RULES]\n';
+  evaluation.checks.forEach(check => {
+    text += check.passed
+      ? `  PASSED rule ${check.rule}: ${check.message}\n`
+      : `  FAILED because rule ${check.rule} ${check.message}\n`;
+  });
+  return text;
+}
+
+function compileRulePattern(patternText) {
+  const text = String(patternText || '').trim();
+  const literal = text.match(/^\/([\s\S]*)\/([a-z]*)$/);
+  // g and y make test() stateful, so a rule would skip lines
+  const unsupported = literal ? [...new Set(literal[2].replace(/[imsu]/g, ''))] : [];
+  if (unsupported.length > 0) {
+    const flags = unsupported.length === 1 ? `flag ${unsupported[0]} is` : `flags ${unsupported.join(', ')} are`;
+    return { error: `has an invalid pattern: ${flags} not supported (use i, m, s or u)` };
+  }
+  try {
+    return { regex: literal ? new RegExp(literal[1], literal[2]) : new RegExp(text) };
+  } catch (error) {
+    return { error: `has an invalid pattern: ${error.message}` };
+  }
+}
+
+function firstLine(text) {
+  return (text || '').split('\n')[0];
+}
+
+function truncateRuleLine(line) {
+  line = (line || '').trim();
+  return line.length > 120 ? line.substring(0, 120) + '...' : line;
+}
+
+// ============================================
+// SUITE EDITOR INTEGRATION
+// ============================================
+
+function addPatternCountRule(pattern = '', min = '', max = '') {
+  const container = document.getElementById('status-rules-counts-container');
+  const id = 'count-rule-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+
+  const div = document.createElement('div');
+  div.className = 'flex space-x-2 status-count-rule';
+  div.id = id;
+  div.innerHTML = `
+    <input type="text" placeholder="Pattern" value="${escapeHtml(pattern)}"
+      class="flex-1 aero-input p-2 rounded text-sm font-mono count-rule-pattern">
+    <input type="number" min="0" placeholder="Min" value="${escapeHtml(String(min))}"
+      class="w-20 aero-input p-2 rounded text-sm count-rule-min">
+    <input type="number" min="0" placeholder="Max" value="${escapeHtml(String(max))}"
+      class="w-20 aero-input p-2 rounded text-sm count-rule-max">
+    <button type="button" onclick="document.getElementById('${id}').remove()"
+      class="bg-red-600 hover:bg-red-500 text-white px-3 rounded text-sm">×</button>
+  `;
+  container.appendChild(div);
+}
+
+/**
+ * Loads a suite's rules into the editor form.
+ * @param {Object} [rules]
+ */
+function loadStatusRulesIntoForm(rules) {
+  rules = normalizeStatusRules(rules);
+  document.getElementById('status_rule_exit_code').checked = !!rules.exit_code;
+  document.getElementById('status_rule_stderr').checked = !!rules.stderr_is_failure;
+  document.getElementById('status_rule_must_match').value = rules.must_match.join('\n');
+  document.getElementById('status_rule_must_not_match').value = rules.must_not_match.join('\n');
+
+  const container = document.getElementById('status-rules-counts-container');
+  container.innerHTML = '';
+  rules.pattern_counts.forEach(rule => {
+    addPatternCountRule(rule.pattern, rule.min === null || rule.min === undefined ? '' : rule.min,
+      rule.max === null || rule.max === undefined ? '' : rule.max);
+  });
+}
+
+function getStatusRulesFromForm() {
+  const splitLines = (id) => document.getElementById(id).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '');
+  const parseBound = (value) => value === '' ? null : parseInt(value, 10);
+
+  const patternCounts = [];
+  document.querySelectorAll('#status-rules-counts-container .status-count-rule').forEach(div => {
+    const pattern = div.querySelector('.count-rule-pattern').value.trim();
+    if (!pattern) return;
+    patternCounts.push({
+      pattern,
+      min: parseBound(div.querySelector('.count-rule-min').value),
+      max: parseBound(div.querySelector('.count-rule-max').value)
+    });
+  });
+
+  return {
+    exit_code: document.getElementById('status_rule_exit_code').checked,
+    stderr_is_failure: document.getElementById('status_rule_stderr').checked,
+    must_match: splitLines('status_rule_must_match'),
+    must_not_match: splitLines('status_rule_must_not_match'),
+    pattern_counts: patternCounts
+  };
+}
@@ -0,0 +1,184 @@
+// ============================================
+// SUITE HOOKS
+// Before/after scripts at suite and view level,
+// run through the suite's own executor around
+// runTestSuite(). After hooks always run, even
+// when the suite failed or was aborted.
+// ============================================
+
+// Hook Structure
+/*
+suite.hooks = {
+  before: "code run before the suite",
+  after: "code run after the suite"
+}
+
+view.hooks = {
+  language: "python",   // view hooks only run for suites in this language
+  before: "...",
+  after: "..."
+}
+
+Order: view before -> suite before -> suite -> suite after -> view after.
+A failing before hook skips the suite (FAILURE). A failing after hook
+fails an otherwise passing run.
+
+Hooks can hand values to the suite and later hooks by printing
+    ::set-parameter NAME=value
+*/
+
+const HOOK_SET_PARAMETER_PATTERN = /^::set-parameter\s+([A-Za-z_][A-Za-z0-9_]*)=(.*)$/;
+
+// Upper bound for after hooks, also of runs that are already aborted or timed out
+const TEARDOWN_TIMEOUT_SECONDS = 120;
+
+/**
+ * Hooks that apply to a suite, in execution order.
+ * @param {Object} suite
+ * @returns {{before: Array<{phase: string, scope: string, code: string}>, after: Array<Object>}}
+ */
+function getSuiteHooks(suite) {
+  const executor = getExecutor(suite.language);
+  if (!executor || executor.supportsHooks === false) return { before: [], after: [] };
+
+  const suiteHooks = suite.hooks || {};
+  const view = suite.view_id ? views.find(v => v.id === suite.view_id) : null;
+  const viewHooks = view && view.hooks && view.hooks.language === suite.language ? view.hooks : {};
+  const viewScope = view ? `view "${view.name}"` : 'view';
+
+  const hook = (phase, scope, code) => (code && code.trim() ? [{ phase, scope, code }] : []);
+  return {
+    before: [...hook('before', viewScope, viewHooks.before), ...hook('before', 'suite', suiteHooks.before)],
+    after: [...hook('after', 'suite', suiteHooks.after), ...hook('after', viewScope, viewHooks.after)]
+  };
+}
+
+/**
+ * Runs one hook with the suite's executor.
+ * @param {Object} hook - Entry of getSuiteHooks()
+ * @param {Object} context
+ * @param {Object} context.suite
+ * @param {Object} context.parameters - Parameter map; ::set-parameter lines are written into it
+ * @param {AbortSignal} context.signal
+ * @returns {Promise<{status: string, log: string, error: string|null}>}
+ */
+async function runSuiteHook(hook, { suite, parameters, signal }) {
+  const executor = getExecutor(suite.language);
+  const title = `${hook.phase} hook (${hook.scope})`;
+  const started = Date.now();
+  const outputLines = [];
+  const infoLines = [];
+  let status = 'SUCCESS';
+  let error = null;
+
+  try {
+    const inputFiles = await prepareInputFiles(suite.input_files || []);
+    const result = await raceWithAbort(executor.execute({
+      suite,
+      code: hook.code,
+      inputFiles,
+      parameters: { ...parameters },
+      settings: getExecutorSettings(executor.id),
+      signal,
+      onOutput: (stream, line) => outputLines.push(line),
+      log: (line) => infoLines.push(line)
+    }), signal);
+    throwIfRunAborted(signal);
+
+    if (outputLines.length === 0 && result.output) outputLines.push(...result.output.split('\n'));
+    if (!result.success) {
+      status = 'FAILURE';
+      error = result.error || 'Hook failed';
+    }
+  } catch (caught) {
+    status = isAbortError(caught) ? RUN_STATUS_ABORTED : 'FAILURE';
+    error = caught.message;
+  }
+
+  const setParameters = [];
+  outputLines.forEach(line => {
+    const match = String(line).match(HOOK_SET_PARAMETER_PATTERN);
+    if (match) {
+      parameters[match[1]] = match[2];
+      setParameters.push(match[1]);
+    }
+  });
+
+  const duration = ((Date.now() - started) / 1000).toFixed(2);
+  let log = `--- HOOK: ${title} ---\n`;
+  if (outputLines.length > 0) log += `${outputLines.join('\n')}\n`;
+  if (error) log += `[ERROR] ${error}\n`;
+  if (setParameters.length > 0) log += `[HOOK] Set parameter(s): ${setParameters.join(', ')}\n`;
+  log += `--- HOOK ${status === 'SUCCESS' ? 'PASSED' : status === RUN_STATUS_ABORTED ? 'ABORTED' : 'FAILED'}: ${title} (${duration}s) ---\n\n`;
+
+  return { status, log, error };
+}
+
+// ============================================
+// SUITE EDITOR
+// ============================================
+
+function loadSuiteHooksIntoForm(hooks) {
+  const value = hooks || {};
+  const before = document.getElementById('suite_hook_before');
+  const after = document.getElementById('suite_hook_after');
+  if (before) before.value = value.before || '';
+  if (after) after.value = value.after || '';
+}
+
+/**
+ * @returns {Object|null} The hooks to store on the suite
+ */
+function getSuiteHooksFromForm() {
+  const before = (document.getElementById('suite_hook_before') || {}).value || '';
+  const after = (document.getElementById('suite_hook_after') || {}).value || '';
+  if (!before.trim() && !after.trim()) return null;
+  return { before, after };
+}
+
+// ============================================
+// VIEW HOOKS MODAL
+// ============================================
+
+let editingHooksViewId = null;
+
+function openViewHooksModal(viewId) {
+  const view = views.find(v => v.id === viewId);
+  if (!view) return;
+  editingHooksViewId = viewId;
+
+  const hooks = view.hooks || {};
+  const languageSelect = document.getElementById('view-hooks-language');
+  languageSelect.innerHTML = listExecutors()
+    .filter(executor => executor.supportsHooks !== false)
+    .map(executor => `<option value="${escapeHtml(executor.id)}">${escapeHtml(executor.label)}</option>`)
+    .join('');
+  if (hooks.language) languageSelect.value = hooks.language;
+
+  document.getElementById('view-hooks-title').textContent = `Hooks: ${view.name}`;
+  document.getElementById('view-hook-before').value = hooks.before || '';
+  document.getElementById('view-hook-after').value = hooks.after || '';
+  document.getElementById('view-hooks-modal').classList.remove('hidden');
+}
+
+function closeViewHooksModal() {
+  document.getElementById('view-hooks-modal').classList.add('hidden');
+  editingHooksViewId = null;
+}
+
+function saveViewHooks(event) {
+  event.preventDefault();
+  const view = views.find(v => v.id === editingHooksViewId);
+  if (!view) return;
+
+  const before = document.getElementById('view-hook-before').value;
+  const after = document.getElementById('view-hook-after').value;
+  view.hooks = before.trim() || after.trim()
+    ? { language: document.getElementById('view-hooks-language').value, before, after }
+    : null;
+
+  saveViewsToStorage();
+  renderViews();
+  closeViewHooksModal();
+  showMessage(`Hooks for view "${view.name}" saved`, 'success');
+}
@@ -35,6 +35,8 @@ let unitTestEditors = {
     last_run_time: "ISO timestamp",
     last_run_output: "test output",
     last_run_error: "error message if failed",
+    last_build_number: 0,         // Build number of the last run (permalink)
+    last_run_tests: null,         // Per-test results when the run wrote a JUnit report (see junit.js)
     assertions_passed: 0,
     assertions_failed: 0,
     execution_time_ms: 0,
@@ -645,7 +647,9 @@ function createUnitTestCard(test) {
                 <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-2">
                     <div>
                         <span class="aero-text-muted">Last Run:</span>
-                        <div class="font-semibold aero-text-secondary">${lastRunTime}</div>
+                        <div class="font-semibold aero-text-secondary">${lastRunTime}${test.last_build_number
+                            ? ` <a href="#/unit-test/${encodeURIComponent(test.id)}/run/${test.last_build_number}" class="underline">#${test.last_build_number}</a>`
+                            : ''}</div>
                     </div>
                     <div>
                         <span class="aero-text-muted">Assertions Passed:</span>
@@ -798,6 +802,7 @@ function getFilteredUnitTests() {
 // ============================================
 
 async function runUnitTest(testId) {
+    let buildNumber = null;
     try {
         const test = getUnitTest(testId);
         if (!test) {
@@ -807,6 +812,7 @@ async function runUnitTest(testId) {
         
         showMessage(`Running test: ${test.name}...`, 'info');
         
+        buildNumber = window.runHistory ? window.runHistory.nextBuildNumber(test.id, test.last_build_number) : null;
         const startTime = performance.now();
         let result;
         
@@ -830,10 +836,13 @@ async function runUnitTest(testId) {
             last_run_error: result.error || '',
             assertions_passed: result.assertions_passed || 0,
             assertions_failed: result.assertions_failed || 0,
-            execution_time_ms: executionTime
+            execution_time_ms: executionTime,
+            last_build_number: buildNumber || test.last_build_number || 0,
+            last_run_tests: result.tests || null
         };
         
         updateUnitTest(testId, updates);
+        await recordUnitTestRun(test, updates, buildNumber);
         
         // Re-render
         renderUnitTestsList();
@@ -851,19 +860,60 @@ async function runUnitTest(testId) {
         showMessage('Failed to run unit test', 'error');
         
         // Update test with error
-        updateUnitTest(testId, {
+        const updates = {
             status: 'FAIL',
             last_run_time: new Date().toISOString(),
             last_run_error: error.message || 'Unknown error',
-            last_run_output: ''
-        });
+            last_run_output: '',
+            last_run_tests: null
+        };
+        const test = getUnitTest(testId);
+        if (!buildNumber && test && window.runHistory) {
+            buildNumber = window.runHistory.nextBuildNumber(test.id, test.last_build_number);
+        }
+        if (buildNumber) updates.last_build_number = buildNumber;
+        updateUnitTest(testId, updates);
+        if (test) await recordUnitTestRun(test, updates, buildNumber);
         
         renderUnitTestsList();
         updateUnitTestStatistics();
     }
 }
 
+/**
+ * Stores a unit test run in the run history so its permalink keeps working.
+ */
+async function recordUnitTestRun(test, updates, buildNumber) {
+    if (!window.runHistory) return;
+    
+    let log = `=== UNIT TEST LOG ===\n`;
+    log += `Test: ${test.name}\n`;
+    log += `Framework: ${test.test_framework}\n`;
+    if (buildNumber) log += `Build: #${buildNumber}\n`;
+    log += `Status: ${updates.status}\n`;
+    if (typeof updates.assertions_passed === 'number') {
+        log += `Assertions: ${updates.assertions_passed} passed, ${updates.assertions_failed} failed\n`;
+    }
+    if (updates.last_run_tests) log += `\n${formatJUnitTestsLog(updates.last_run_tests)}`;
+    if (updates.last_run_output) log += `\n[OUTPUT]\n${updates.last_run_output}\n`;
+    if (updates.last_run_error) log += `\n[ERROR]\n${updates.last_run_error}\n`;
+    
+    await window.runHistory.recordRun(test, {
+        status: updates.status === 'PASS' ? 'SUCCESS' : 'FAILURE',
+        log,
+        duration: (updates.execution_time_ms || 0) / 1000,
+        mode: 'real',
+        buildNumber,
+        kind: 'unit-test',
+        tests: updates.last_run_tests || null
+    });
+}
+
 async function executePythonUnitTest(unitTest) {
+    if (isPythonWorkerAvailable()) {
+        return executePythonUnitTestInWorker(unitTest);
+    }
+    
     try {
         // Initialize Pyodide if not already loaded
         const pyodide = await initializePyodide();
@@ -905,6 +955,65 @@ ${unitTest.teardown_code || ''}
     }
 }
 
+/**
+ * Runs a Python unit test in the sandboxed worker runtime, so it gets a fresh
+ * namespace and cannot see state left behind by suites or other tests.
+ * When the code writes a JUnit report (pytest.main(['--junitxml=report.xml'])),
+ * its per-test results decide the outcome - pytest does not raise on failures.
+ */
+async function executePythonUnitTestInWorker(unitTest) {
+    const fullCode = `
+${unitTest.setup_code || ''}
+
+# Test code
+${unitTest.test_code}
+
+${unitTest.teardown_code || ''}
+`;
+    const assertCount = (unitTest.test_code.match(/assert /g) || []).length;
+    
+    try {
+        const result = await runPythonInWorker({ mode: 'unit', code: fullCode });
+        if (!result.success) {
+            return {
+                status: 'FAIL',
+                error: result.error || 'Test execution failed',
+                output: result.output || '',
+                assertions_passed: 0,
+                assertions_failed: assertCount,
+                tests: result.tests || null
+            };
+        }
+        
+        if (result.tests) {
+            const failed = result.tests.filter(test => test.status === 'FAILURE' || test.status === 'ERROR');
+            return {
+                status: failed.length === 0 ? 'PASS' : 'FAIL',
+                error: failed.map(test => `${test.name}: ${firstLine(test.message)}`).join('\n'),
+                output: result.output || '',
+                assertions_passed: result.tests.filter(test => test.status === 'SUCCESS').length,
+                assertions_failed: failed.length,
+                tests: result.tests
+            };
+        }
+        
+        return {
+            status: 'PASS',
+            output: result.output || result.value || 'Test completed successfully',
+            assertions_passed: assertCount,
+            assertions_failed: 0
+        };
+    } catch (error) {
+        return {
+            status: 'FAIL',
+            error: error.message || 'Test execution failed',
+            output: '',
+            assertions_passed: 0,
+            assertions_failed: assertCount
+        };
+    }
+}
+
 async function executeJavaScriptUnitTest(unitTest) {
     try {
         let passed = 0;
@@ -1189,6 +1298,20 @@ function exportUnitTests(testIds = null) {
     }
 }
 
+/**
+ * Downloads the last results of the visible tests as a JUnit XML report.
+ */
+function exportUnitTestsJUnit() {
+    const tests = getFilteredUnitTests().filter(test => test.status && test.status !== 'NOT_RUN');
+    if (tests.length === 0) {
+        showMessage('No unit test results to export - run some tests first', 'error');
+        return;
+    }
+    
+    downloadJUnitXml(getUnitTestsJUnitReport(tests), `unit-tests-junit-${Date.now()}.xml`);
+    showMessage(`Exported results of ${tests.length} unit tests as JUnit XML`, 'success');
+}
+
 function importUnitTestsFromFile() {
     try {
         const input = document.createElement('input');
@@ -5,7 +5,7 @@
 // ============================================
 
 // --- VWT State ---
-let vwt_files = { html: null, css: [], js: [] };
+let vwt_files = { html: null, css: [], js: [], data: null };
 let vwt_steps = [];
 let vwt_selectedStepIndex = null;
 let vwt_dragStartIndex = null;
@@ -92,7 +92,7 @@ const vwt_availableSteps = [
 
 function openVisualWebTester() {
  vwt_editingSuiteId = null;
- vwt_files = { html: null, css: [], js: [] };
+ vwt_files = { html: null, css: [], js: [], data: null };
  vwt_steps = [];
  vwt_selectedStepIndex = null;
  vwt_updateFilesPreview();
@@ -102,6 +102,8 @@ function openVisualWebTester() {
  document.getElementById('vwt-html-file').value = '';
  document.getElementById('vwt-css-files').value = '';
  document.getElementById('vwt-js-files').value = '';
+ document.getElementById('vwt-data-file').value = '';
+ document.getElementById('vwt-retry-attempts').value = 1;
  vwt_initializeToolbox();
  vwt_renderCanvas();
  vwt_renderPropertiesPanel();
@@ -115,6 +117,10 @@ function openVisualWebTesterForEdit(suite) {
  vwt_files.html = suite.website_html_content || null;
  vwt_files.css = suite.website_css_contents || [];
  vwt_files.js = suite.website_js_contents || [];
+ const dataSource = getSuiteDataSource(suite);
+ const dataFile = dataSource ? (suite.input_files || []).find(f => f.filename === dataSource.file) : null;
+ vwt_files.data = dataFile ? { name: dataFile.filename, content: dataFile.content } : null;
+ document.getElementById('vwt-retry-attempts').value = getSuiteRetryPolicy(suite).max_attempts;
  vwt_selectedStepIndex = null;
  try {
  vwt_steps = suite.vwt_steps_json ? JSON.parse(suite.vwt_steps_json) : [];
@@ -150,6 +156,7 @@ function vwt_updateFilesPreview() {
  if (vwt_files.html) finalPreview += ` HTML loaded<br>`;
  if (vwt_files.css && vwt_files.css.length > 0) finalPreview += ` ${vwt_files.css.length} CSS file(s) loaded<br>`;
  if (vwt_files.js && vwt_files.js.length > 0) finalPreview += ` ${vwt_files.js.length} JS file(s) loaded<br>`;
+ if (vwt_files.data) finalPreview += ` Data rows: ${vwt_escapeHtml(vwt_files.data.name)}<br>`;
  preview.innerHTML = finalPreview === '' ? 'Upload files to begin...' : '<strong>Loaded Files:</strong><br>' + finalPreview;
 }
 
@@ -158,6 +165,8 @@ async function vwt_handleFileUpload(input, type) {
  if (!files || files.length === 0) return;
  if (type === 'html') {
  vwt_files.html = await vwt_readFileAsText(files[0]);
+ } else if (type === 'data') {
+ vwt_files.data = { name: files[0].name, content: await vwt_readFileAsText(files[0]) };
  } else {
  vwt_files[type] = [];
  for (let file of files) {
@@ -306,17 +315,22 @@ function vwt_generateRobotCode() {
 async function vwt_saveSuite() {
  if (vwt_steps.length === 0 || !vwt_files.html) { showMessage('Cannot save: Add steps and upload an HTML file.', 'error'); return; }
  let suiteName, suiteDescription, suiteViewId;
- if (vwt_editingSuiteId) {
- const existingSuite = testSuites.find(s => s.id === vwt_editingSuiteId);
+ const existingSuite = vwt_editingSuiteId ? testSuites.find(s => s.id === vwt_editingSuiteId) : null;
+ if (vwt_editingSuiteId && !existingSuite) { showMessage('Cannot save: the suite being edited no longer exists.', 'error'); return; }
+ if (existingSuite) {
  suiteName = prompt("Confirm test suite name:", existingSuite.name); if (!suiteName) return;
  suiteDescription = prompt("Confirm description:", existingSuite.description); suiteViewId = existingSuite.view_id;
  } else {
  suiteName = prompt("Enter a name for this new test suite:", "New Visual Web Test"); if (!suiteName) return;
  suiteDescription = prompt("Enter a description (optional):", "Generated by Visual Web Tester"); suiteViewId = currentViewId || null;
  }
- const suiteData = { name: suiteName, description: suiteDescription, language: 'website', code: vwt_generateRobotCode(), vwt_steps_json: JSON.stringify(vwt_steps), website_method: 'upload', website_html_content: vwt_files.html, website_css_contents: vwt_files.css, website_js_contents: vwt_files.js, view_id: suiteViewId, parameters: [], input_files: [], log_config: { enabled: true, format: 'html', save_trigger: 'always' } };
+ // Live runs are retried like other suites (see retry-policy.js)
+ const existingPolicy = existingSuite ? existingSuite.retry_policy || null : null;
+ const maxAttempts = parseInt(document.getElementById('vwt-retry-attempts').value, 10) || 1;
+ const retryPolicy = maxAttempts > 1 ? { delay_seconds: 0, retry_on: '', ...existingPolicy, max_attempts: Math.min(10, maxAttempts) } : null;
+ const suiteData = { name: suiteName, description: suiteDescription, language: 'website', code: vwt_generateRobotCode(), vwt_steps_json: JSON.stringify(vwt_steps), website_method: 'upload', website_html_content: vwt_files.html, website_css_contents: vwt_files.css, website_js_contents: vwt_files.js, view_id: suiteViewId, parameters: [], input_files: vwt_files.data ? [{ filename: vwt_files.data.name, content: vwt_files.data.content }] : [], data_driven: vwt_files.data ? { enabled: true, file: vwt_files.data.name } : null, log_config: { enabled: true, format: 'html', save_trigger: 'always' }, retry_policy: retryPolicy };
  try {
- if (vwt_editingSuiteId) { const existingSuite = testSuites.find(s => s.id === vwt_editingSuiteId); await currentStorage.updateSuite(vwt_editingSuiteId, { ...existingSuite, ...suiteData }); showMessage("Test suite updated!", 'success'); }
+ if (existingSuite) { await currentStorage.updateSuite(vwt_editingSuiteId, { ...existingSuite, ...suiteData }); showMessage("Test suite updated!", 'success'); }
  else { await currentStorage.saveSuite(suiteData); showMessage("Test suite saved!", 'success'); }
  closeVisualWebTester();
  } catch (error) { showMessage(`Error saving suite: ${error.message}`, 'error'); }
@@ -333,17 +347,19 @@ let vwt_activeRunnerIdInModal = null;
 
 /**
  * Main entry point to start a new test run or maximize an existing one.
+ * Resolves with the final status of the run (SUCCESS/FAILURE).
  */
-function vwt_openLiveRunner(suite) {
+function vwt_openLiveRunner(suite, options = {}) {
  if (!suite || suite.language !== 'website' || suite.website_method !== 'upload') {
  console.error("Invalid suite for Live Runner.");
- return;
+ return Promise.resolve('FAILURE');
  }
 
  for (const runner of activeTestRunners.values()) {
  if (runner.suite.id === suite.id) {
+ if (options.signal && !runner.isExecuting) runner.parentSignal = options.signal;
  vwt_maximizeLiveRunner(runner.id);
- return;
+ return runner.isExecuting ? runner.runPromise : Promise.resolve(runner.status);
  }
  }
 
@@ -368,14 +384,17 @@ function vwt_openLiveRunner(suite) {
  iframe: iframe,
  status: 'RUNNING', 
  isMinimized: true,
- isExecuting: false
+ isExecuting: false,
+ attempts: 1,
+ parentSignal: options.signal || null, // Cancels the run, e.g. from the execution queue
+ runControl: null
  };
 
  activeTestRunners.set(runnerId, runner);
  
  vwt_addTestToMinimizeBar(runnerId);
  vwt_maximizeLiveRunner(runnerId);
- vwt_runLiveTestFromRunner(runnerId);
+ return vwt_runLiveTestFromRunner(runnerId);
 }
 
 /**
@@ -404,13 +423,14 @@ function vwt_maximizeLiveRunner(runnerId) {
  const logArea = document.getElementById('vwt-runner-logs');
  const rerunButton = document.getElementById('vwt-runner-rerun-btn');
  
- title.textContent = ` ${runner.suite.name}`;
+ title.textContent = ` ${runner.suite.name}${runner.buildNumber ? ` #${runner.buildNumber}` : ''}`;
  vwt_renderRunnerCanvas(runner.steps);
  logArea.value = runner.log.join('\n');
  logArea.scrollTop = logArea.scrollHeight;
  
  rerunButton.disabled = runner.isExecuting;
  rerunButton.innerHTML = runner.isExecuting ? `<div class="spinner mr-2"></div> Running...` : ' Re-run Test';
+ document.getElementById('vwt-runner-stop-btn').classList.toggle('hidden', !runner.isExecuting);
 
  modal.classList.remove('hidden');
  document.body.classList.add('modal-open');
@@ -470,12 +490,20 @@ function vwt_closeLiveRunner(fromModalOrRunnerId) {
 
 /**
  * The core test execution logic for a given runner.
+ * Resolves with the runner's final status.
  */
-async function vwt_runLiveTestFromRunner(runnerId) {
+function vwt_runLiveTestFromRunner(runnerId) {
  if (!runnerId) runnerId = vwt_activeRunnerIdInModal;
  const runner = activeTestRunners.get(runnerId);
- if (!runner || runner.isExecuting) return;
+ if (!runner) return Promise.resolve('FAILURE');
+ if (runner.isExecuting) return runner.runPromise;
+
+ runner.runPromise = vwt_executeRunner(runner);
+ return runner.runPromise;
+}
 
+async function vwt_executeRunner(runner) {
+ const runnerId = runner.id;
  runner.isExecuting = true;
  runner.status = 'RUNNING';
  vwt_updateMinimizeBarItem(runnerId);
@@ -497,9 +525,141 @@ async function vwt_runLiveTestFromRunner(runnerId) {
  document.getElementById('vwt-runner-logs').value = '';
  }
  runner.log.length = 0;
+ runner.rows = null;
+ runner.stepResults = [];
+
+ const latestSuite = testSuites.find(s => s.id === runner.suite.id) || runner.suite;
+ runner.buildNumber = window.runHistory ? window.runHistory.nextBuildNumber(runner.suite.id, latestSuite.last_build_number) : null;
+ const startTime = new Date();
+ const timeoutSeconds = getRunTimeoutSeconds(latestSuite);
+ runner.runControl = createRunControl({ timeoutSeconds, parentSignal: runner.parentSignal });
+ const signal = runner.runControl.signal;
+ // A queue cancellation only applies to the run it started
+ runner.parentSignal = null;
+ if (vwt_activeRunnerIdInModal === runnerId) {
+ document.getElementById('vwt-runner-stop-btn').classList.remove('hidden');
+ }
+ if (vwt_activeRunnerIdInModal === runnerId && runner.buildNumber) {
+ document.getElementById('vwt-runner-modal-title').textContent = ` ${runner.suite.name} #${runner.buildNumber}`;
+ }
 
- runnerLog("--- Starting Live Test Run ---");
+ runnerLog(`--- Starting Live Test Run${runner.buildNumber ? ` #${runner.buildNumber}` : ''} ---`);
+ if (timeoutSeconds > 0) runnerLog(`Timeout: ${timeoutSeconds}s`);
+ const retryPolicy = getSuiteRetryPolicy(latestSuite);
+ if (retryPolicy.max_attempts > 1) runnerLog(formatRetryPolicyLog(retryPolicy).trim());
+ 
+ try {
+ for (runner.attempts = 1; ; runner.attempts++) {
+ if (runner.attempts > 1) runnerLog(`--- Attempt ${runner.attempts}/${retryPolicy.max_attempts} ---`);
+ let errorMessage = '';
+ // The JUnit report shows the steps of the last attempt
+ runner.stepResults = [];
+ 
+ try {
+ const data = await vwt_loadRunnerData(latestSuite);
+ if (data) {
+ // Data-driven: the steps run once per row, {{field}} placeholders filled in
+ runnerLog(`[DATA-DRIVEN] ${data.file}: ${data.rows.length} row(s)`);
+ const result = await runDataDrivenRows(data, {
+ execute: async (row) => {
+ try {
+ await vwt_runStepsInSandbox(runner, getDataRowParameters(row), signal, runnerLog, formatDataRowLabel(row));
+ return { success: true, output: '' };
+ } catch (error) {
+ if (isAbortError(error)) throw error;
+ runnerLog(`Row failed: ${error.message}`);
+ return { success: false, output: '', error: error.message };
+ }
+ },
+ evaluate: (rowResult) => ({ status: rowResult.success ? 'SUCCESS' : 'FAILURE', error: rowResult.error }),
+ onOutput: (stream, line) => runnerLog(line)
+ });
+ runner.rows = result.rows;
+ formatDataRowsLog(result.rows).trimEnd().split('\n').forEach(line => runnerLog(line));
+ if (!result.success) throw new Error(result.error);
+ } else {
+ await vwt_runStepsInSandbox(runner, null, signal, runnerLog);
+ }
+ 
+ runnerLog("--- Test Run Finished Successfully ---");
+ runner.status = 'SUCCESS';
+
+ } catch (error) {
+ errorMessage = error.message;
+ if (isAbortError(error)) {
+ runnerLog(`--- ABORTED: ${runner.runControl.reason || error.message} ---`);
+ runner.status = RUN_STATUS_ABORTED;
+ } else {
+ runnerLog(`--- ERROR ---`);
+ runnerLog(error.message);
+ runnerLog("--- Test Run Aborted ---");
+ runner.status = 'FAILURE';
+ }
+ }
+ 
+ const retry = getRetryDecision(retryPolicy, runner.attempts, { status: runner.status, output: errorMessage });
+ if (retry.reason) runnerLog(`[RETRY] Attempt ${runner.attempts} failed: ${retry.reason}`);
+ if (!retry.retry) break;
+ if (retryPolicy.delay_seconds > 0) runnerLog(`[RETRY] Waiting ${retryPolicy.delay_seconds}s before the next attempt...`);
  
+ try {
+ await waitUnlessAborted(retryPolicy.delay_seconds * 1000, signal);
+ } catch (error) {
+ runnerLog(`--- ABORTED: ${runner.runControl.reason || error.message} ---`);
+ runner.status = RUN_STATUS_ABORTED;
+ break;
+ }
+ }
+ } finally {
+ runner.runControl.dispose();
+ runner.isExecuting = false;
+ vwt_updateMinimizeBarItem(runnerId);
+ if (vwt_activeRunnerIdInModal === runnerId) {
+ const rerunButton = document.getElementById('vwt-runner-rerun-btn');
+ rerunButton.disabled = false;
+ rerunButton.textContent = ' Re-run Test';
+ document.getElementById('vwt-runner-stop-btn').classList.add('hidden');
+ const canvas = document.getElementById('vwt-runner-canvas');
+ canvas.querySelectorAll('.aero-card').forEach(el => el.classList.remove('border-blue-700'));
+ }
+ }
+ runner.startedAt = startTime.toISOString();
+ runner.duration = parseFloat(((new Date() - startTime) / 1000).toFixed(2));
+ await vwt_recordRunnerResult(runner, runner.duration);
+ return runner.status;
+}
+
+/**
+ * Loads the suite's data-driven rows, or null when the mode is off.
+ */
+async function vwt_loadRunnerData(suite) {
+ const source = getSuiteDataSource(suite);
+ if (!source) return null;
+ return loadDataRows(source, await prepareInputFiles(suite.input_files || []));
+}
+
+/**
+ * Loads the site into the runner's iframe and runs all steps once. Each
+ * step's outcome and timing is added to runner.stepResults (JUnit test
+ * results); steps after a failure are reported as skipped.
+ * @param {Object} runner
+ * @param {Object|null} values - Fills {{name}} placeholders in the step values
+ * @param {AbortSignal} signal
+ * @param {Function} runnerLog
+ * @param {string} [rowLabel] - Data-driven row the steps run for
+ */
+async function vwt_runStepsInSandbox(runner, values, signal, runnerLog, rowLabel = null) {
+ const suiteName = rowLabel ? `${runner.suite.name} [${rowLabel}]` : runner.suite.name;
+ const recordStep = (name, started, status, message = '') => runner.stepResults.push({
+ suite: suiteName,
+ classname: runner.suite.name,
+ name,
+ time: started ? (Date.now() - started) / 1000 : 0,
+ status,
+ message
+ });
+
+ let current = { name: 'Load website', started: Date.now() };
  try {
  const htmlContent = vwt_buildWebsiteHTML({
  html: runner.suite.website_html_content,
@@ -512,20 +672,23 @@ async function vwt_runLiveTestFromRunner(runnerId) {
  runner.iframe.srcdoc = htmlContent;
  runnerLog("Website loaded into isolated sandbox.");
 
- await new Promise((resolve, reject) => {
+ await raceWithAbort(new Promise((resolve, reject) => {
  const timer = setTimeout(() => reject(new Error("Iframe load timed out")), 5000);
  runner.iframe.onload = () => { clearTimeout(timer); resolve(); };
- });
+ }), signal);
+ recordStep(current.name, current.started, 'SUCCESS');
 
  runnerLog("Sandbox ready. Starting test steps...");
  const iframeWin = runner.iframe.contentWindow;
 
  for (let i = 0; i < runner.steps.length; i++) {
+ throwIfRunAborted(signal);
  const step = runner.steps[i];
  const stepConfig = vwt_availableSteps.find(s => s.name === step.name);
+ current = { name: `${i + 1}. ${step.name}`, started: Date.now(), index: i };
  runnerLog(`[Step ${i + 1}/${runner.steps.length}] Running: ${step.name}`);
  
- if (vwt_activeRunnerIdInModal === runnerId) {
+ if (vwt_activeRunnerIdInModal === runner.id) {
  const canvas = document.getElementById('vwt-runner-canvas');
  canvas.querySelectorAll('.aero-card').forEach(el => 
  el.classList.toggle('border-blue-700', el.dataset.index == i)
@@ -533,27 +696,89 @@ async function vwt_runLiveTestFromRunner(runnerId) {
  await new Promise(r => setTimeout(r, 300));
  }
  
- await stepConfig.execute(step.params, iframeWin, runnerLog);
+ const params = values ? vwt_applyStepValues(step.params, values) : step.params;
+ await raceWithAbort(stepConfig.execute(params, iframeWin, runnerLog), signal);
+ recordStep(current.name, current.started, 'SUCCESS');
+ current = null;
  }
- 
- runnerLog("--- Test Run Finished Successfully ---");
- runner.status = 'SUCCESS';
+ } catch (error) {
+ if (current) {
+ recordStep(current.name, current.started, isAbortError(error) ? 'ERROR' : 'FAILURE', error.message);
+ const firstSkipped = current.index === undefined ? 0 : current.index + 1;
+ runner.steps.slice(firstSkipped).forEach((step, offset) =>
+ recordStep(`${firstSkipped + offset + 1}. ${step.name}`, null, 'SKIPPED'));
+ }
+ throw error;
+ }
+}
+
+function vwt_applyStepValues(params, values) {
+ const filled = {};
+ Object.entries(params || {}).forEach(([key, value]) => {
+ filled[key] = typeof value === 'string' ? applyParameterTemplate(value, values) : value;
+ });
+ return filled;
+}
 
+/**
+ * Stores a finished live run on the suite and in the run history, like
+ * runTestSuite() does for the other languages.
+ */
+async function vwt_recordRunnerResult(runner, duration) {
+ const log = runner.log.join('\n');
+ const flakiness = await computeSuiteFlakiness(runner.suite.id, { status: runner.status, attempts: runner.attempts });
+ try {
+ await currentStorage.updateSuite(runner.suite.id, {
+ last_run_status: runner.status,
+ last_run_time: new Date().toISOString(),
+ last_run_log: log,
+ last_build_number: runner.buildNumber || 0,
+ flakiness: flakiness || runner.suite.flakiness || null
+ });
  } catch (error) {
- runnerLog(`--- ERROR ---`);
- runnerLog(error.message);
- runnerLog("--- Test Run Aborted ---");
- runner.status = 'FAILURE';
- } finally {
- runner.isExecuting = false;
- vwt_updateMinimizeBarItem(runnerId);
- if (vwt_activeRunnerIdInModal === runnerId) {
- const rerunButton = document.getElementById('vwt-runner-rerun-btn');
- rerunButton.disabled = false;
- rerunButton.textContent = ' Re-run Test';
- const canvas = document.getElementById('vwt-runner-canvas');
- canvas.querySelectorAll('.aero-card').forEach(el => el.classList.remove('border-blue-700'));
+ console.error("Update error:", error);
+ }
+
+ if (window.runHistory) {
+ await window.runHistory.recordRun(runner.suite, {
+ status: runner.status,
+ log,
+ duration: parseFloat(duration.toFixed(2)),
+ mode: 'real',
+ buildNumber: runner.buildNumber,
+ attempts: runner.attempts,
+ rows: runner.rows,
+ tests: runner.stepResults && runner.stepResults.length > 0 ? runner.stepResults : null
+ });
+ }
+}
+
+/**
+ * Downloads the last run shown in the live runner modal as JUnit XML, one
+ * test case per step (per row in data-driven mode).
+ */
+function vwt_downloadRunnerJUnit() {
+ const runner = activeTestRunners.get(vwt_activeRunnerIdInModal);
+ if (!runner || runner.isExecuting || !runner.stepResults || runner.stepResults.length === 0) {
+ showMessage('No finished run to export', 'info');
+ return;
  }
+ const report = getSuiteRunJUnitReport(runner.suite, {
+ status: runner.status,
+ timestamp: runner.startedAt,
+ duration: runner.duration,
+ tests: runner.stepResults
+ });
+ downloadJUnitXml(report, `${runner.suite.name}_junit.xml`);
+}
+
+/**
+ * Stops the run shown in the live runner modal.
+ */
+function vwt_stopLiveRunner() {
+ const runner = activeTestRunners.get(vwt_activeRunnerIdInModal);
+ if (runner && runner.isExecuting && runner.runControl) {
+ runner.runControl.abort('Stopped by user');
  }
 }
 
@@ -633,7 +858,7 @@ function vwt_updateMinimizeBarItem(runnerId) {
  if (runner.status === 'SUCCESS') {
  item.classList.add('status-success');
  if(spinner) spinner.style.display = 'none';
- } else if (runner.status === 'FAILURE') {
+ } else if (runner.status === 'FAILURE' || runner.status === RUN_STATUS_ABORTED) {
  item.classList.add('status-failure');
  if(spinner) spinner.style.display = 'none';
  } else { 